@@ -9,19 +9,49 @@ const MindMapDefaults = {
   width: 800,
   height: 800,
 
+  // Initial map
+  data: null, // MindMap.sampleData if not given; an autosaved map takes precedence
+
   // Visual theme
   theme: 'default', // 'default', 'dark', 'compact'
 
   // Layout settings
-  radiusStep: 120, // Distance between levels
+  layout: 'radial',   // 'radial', 'tree', 'balanced', 'orgchart', 'outline'
+  radiusStep: 120,    // Distance between levels
+  siblingSpacing: 40, // Smallest distance between neighbouring leaves (tree, balanced, outline)
 
   // Feature toggles
   editable: true,     // Allow editing (right-click menu, double-click rename)
   showControls: true, // Show export/reset buttons
   showStatus: true,   // Show status messages
+  showSearch: false,  // Show a search box in the controls bar
 
   // Export settings
   exportFilename: 'mindmap-data.json',
+  svgExportFilename: 'mindmap.svg',
+  pngExportFilename: 'mindmap.png',
+
+  // History settings
+  historyDepth: 100,      // Maximum number of undo steps
+  historyGroupDelay: 500, // Repeated edits of one node closer together (ms) form one undo step
+
+  // Keyboard shortcuts (merged over MindMap.defaultKeyBindings, null disables)
+  keyBindings: {
+    undo: 'Mod+Z',
+    redo: ['Mod+Shift+Z', 'Mod+Y'],
+    navigateUp: 'ArrowUp',
+    navigateDown: 'ArrowDown',
+    navigateLeft: 'ArrowLeft',
+    navigateRight: 'ArrowRight',
+    addChild: ['Insert', 'Mod+Enter'], // Not Tab: Tab has to move focus out of the map
+    addSibling: 'Enter',
+    rename: 'F2',
+    delete: ['Delete', 'Backspace'],
+    toggleCollapse: 'Space',
+    deselect: 'Escape',
+    contextMenu: ['Shift+F10', 'ContextMenu'],
+    selectAll: 'Mod+A'
+  },
 
   // Custom colors (overrides theme)
   colors: {
@@ -58,20 +88,79 @@ const MindMapDefaults = {
     leaf: 8
   },
 
-  // Font settings
+  // Font settings (px; leave out to keep the theme's sizes)
   fontSize: {
     root: 14,
     branch: 12,
     leaf: 11
   },
 
+  // Node content
+  labelMaxWidth: 160, // Labels wrap onto more lines past this width (px); 0 disables wrapping
+  avoidLabelOverlap: true, // Layouts make room for labels; radial shortens those that still don't fit
+  rotateLabels: false,     // Turn radial labels to run along their branch's angle
+  maxRadiusStep: null,     // Furthest apart rings may move to fit labels (px, default 2 × radiusStep)
+  imageSize: 48,      // Size of node.image thumbnails (px)
+
+  // Accessibility
+  ariaLabel: 'Mind map', // Accessible name of the tree for screen readers
+
+  // Data validation
+  onInvalidData: 'repair', // setData() with invalid data: 'repair' (and emit dataRepair), 'warn' (also log) or 'throw'
+
+  // Persistence
+  storage: null,         // Adapter: MindMap.localStorageAdapter(), MindMap.indexedDBAdapter(), MindMap.memoryAdapter() or your own
+  storageKey: 'mindmap', // Key the map is saved under
+  autosave: true,        // Save after each edit
+  autosaveDelay: 1000,   // Wait after the last edit before saving (ms)
+
+  // Collaboration
+  collaboration: null,   // { transport, peerId, name, color }, e.g. { transport: MindMap.broadcastChannelTransport() }
+
+  // Per-node styles
+  inheritBranchColors: false, // Nodes without their own fill/stroke take their parent's
+  colorPalette: [             // Colors offered in the context menu
+    { name: 'Red', fill: '#f87171', stroke: '#dc2626' },
+    { name: 'Orange', fill: '#fb923c', stroke: '#ea580c' },
+    { name: 'Yellow', fill: '#facc15', stroke: '#ca8a04' },
+    { name: 'Green', fill: '#4ade80', stroke: '#16a34a' },
+    { name: 'Blue', fill: '#60a5fa', stroke: '#2563eb' },
+    { name: 'Purple', fill: '#c084fc', stroke: '#9333ea' },
+    { name: 'Gray', fill: '#9ca3af', stroke: '#4b5563' }
+  ],
+
   // Event callbacks
   onNodeClick: null,       // (node, event) => {}
   onNodeDoubleClick: null, // (node, event) => {}
   onNodeAdd: null,         // (parentNode, newNode) => {}
   onNodeDelete: null,      // (deletedNode, parentNode) => {}
   onNodeRename: null,      // (node, oldName, newName) => {}
-  onDataChange: null       // (newData) => {}
+  onDataChange: null,      // (newData) => {}
+  onNodeMove: null,        // (node, newParent, oldParent) => {}
+  onNodeSelect: null,      // (node) => {}
+  onSelectionChange: null, // (ids) => {}
+  onNodeCollapse: null,    // (node) => {}
+  onNodeExpand: null,      // (node) => {}
+  onHistoryChange: null,   // (canUndo, canRedo) => {}
+  onPan: null,             // (offsetX, offsetY) => {}
+  onZoom: null,            // (zoom) => {}
+  onSearch: null,          // (query, results) => {}
+  onNodeStyle: null,       // (node) => {}
+  onViewportChange: null,  // (viewport) => {}
+  onCrossLinkAdd: null,    // (link) => {}
+  onCrossLinkRemove: null, // (link) => {}
+  onCrossLinkUpdate: null, // (link) => {}
+  onSaveStateChange: null, // (state) => {}  'unsaved', 'saving', 'saved' or 'error'
+  onStorageError: null,    // (error, key) => {}  the saved map couldn't be loaded; autosave is stopped
+  onPeersChange: null,     // (peers) => {}
+  onRemoteChange: null,    // (operations) => {}
+  onDataRepair: null,      // (errors, data) => {}  setData() repaired invalid data
+
+  // Cancelable callbacks (return false to veto the edit)
+  onBeforeNodeAdd: null,    // (parentNode, name) => {}
+  onBeforeNodeDelete: null, // (node, parentNode) => {}
+  onBeforeNodeMove: null,   // (node, newParent, oldParent) => {}
+  onBeforeNodeRename: null  // (node, oldName, newName) => {}
 };
 
 // Example theme configurations
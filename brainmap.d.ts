@@ -36,6 +36,94 @@ export interface ColorScheme {
   link?: string;
 }
 
+/**
+ * Keyboard shortcut bindings. Each value is a key combination such as
+ * 'Mod+Shift+Z' ('Mod' is Ctrl, or Cmd on macOS), a list of alternatives,
+ * or null to disable the shortcut.
+ */
+export interface KeyBindings {
+  undo?: string | string[] | null;
+  redo?: string | string[] | null;
+  navigateUp?: string | string[] | null;
+  navigateDown?: string | string[] | null;
+  navigateLeft?: string | string[] | null;
+  navigateRight?: string | string[] | null;
+  addChild?: string | string[] | null;
+  addSibling?: string | string[] | null;
+  rename?: string | string[] | null;
+  delete?: string | string[] | null;
+  toggleCollapse?: string | string[] | null;
+  deselect?: string | string[] | null;
+  contextMenu?: string | string[] | null;
+  selectAll?: string | string[] | null;
+}
+
+/**
+ * Built-in layout modes
+ * - radial: children spread around a central root
+ * - tree: horizontal tree with the root on the left
+ * - balanced: children split left and right of a central root
+ * - orgchart: top-down organisation chart
+ * - outline: indented list
+ */
+export type LayoutMode = 'radial' | 'tree' | 'balanced' | 'orgchart' | 'outline' | (string & {});
+
+/**
+ * Computed position of a visible node
+ */
+export interface NodePosition {
+  x: number;
+  y: number;
+  /** Direction the node grows in, in radians (used for labels and links) */
+  angle?: number;
+  /** Depth of the node (root is 0) */
+  depth?: number;
+  /** Width in px the label has to be shortened to, if it doesn't fit */
+  labelWidth?: number;
+}
+
+/**
+ * Size of a node's label from MindMap#measureLabel(), in px
+ */
+export interface LabelBox {
+  width: number;
+  height: number;
+  /** Distance of the label from the node's centre */
+  offset: number;
+  /** Width of the node's shape */
+  size: number;
+}
+
+/**
+ * Options passed to layout functions: the config plus a label measurer
+ */
+export interface LayoutOptions extends MindMapConfig {
+  measureLabel?: (node: MindMapNode, depth: number) => LabelBox;
+}
+
+/**
+ * Map of node ID to computed position
+ */
+export type PositionMap = Record<string, NodePosition>;
+
+/**
+ * A pure layout function: returns a position for every visible node
+ */
+export type LayoutFunction = (tree: MindMapNode, options: LayoutOptions) => PositionMap;
+
+/**
+ * How links and labels are drawn for a registered layout
+ */
+export interface LayoutStyle {
+  /** Link shape, or a function returning SVG path data (default: 'radial') */
+  link?: 'radial' | 'horizontal' | 'vertical' | 'elbow' | 'straight'
+    | ((from: NodePosition, to: NodePosition, options: MindMapConfig) => string);
+  /** Label placement for non-root nodes (default: 'radial') */
+  label?: 'radial' | 'side' | 'below' | 'center';
+  /** Label placement for the root node (default: 'center') */
+  rootLabel?: 'radial' | 'side' | 'below' | 'center';
+}
+
 /**
  * Configuration options for the MindMap
  */
@@ -44,20 +132,384 @@ export interface MindMapConfig {
   width?: number;
   /** Height of the SVG canvas in pixels (default: 800) */
   height?: number;
+  /** Map to start with; an autosaved map takes precedence (default: MindMap.sampleData) */
+  data?: MindMapNode | null;
   /** Theme name: 'default', 'dark', or 'compact' (default: 'default') */
   theme?: 'default' | 'dark' | 'compact';
-  /** Distance between radius levels (default: 120) */
+  /** Layout mode (default: 'radial') */
+  layout?: LayoutMode;
+  /** Distance between radius levels, the smallest between levels of the layered layouts (default: 120) */
   radiusStep?: number;
+  /** Smallest distance between neighbouring leaves in tree, balanced and outline layouts (default: 40) */
+  siblingSpacing?: number;
   /** Whether the mindmap is editable (default: true) */
   editable?: boolean;
   /** Whether to show control buttons (default: true) */
   showControls?: boolean;
   /** Whether to show status bar (default: true) */
   showStatus?: boolean;
+  /** Whether to show a search box in the controls bar (default: false) */
+  showSearch?: boolean;
   /** Filename for exported JSON data (default: 'mindmap-data.json') */
   exportFilename?: string;
+  /** Filename used by the Export SVG button (default: 'mindmap.svg') */
+  svgExportFilename?: string;
+  /** Filename used by the Export PNG button (default: 'mindmap.png') */
+  pngExportFilename?: string;
+  /** Maximum number of undo steps (default: 100) */
+  historyDepth?: number;
+  /** Repeated edits of the same kind to the same node (e.g. renames) closer together than this many ms form one undo step (default: 500) */
+  historyGroupDelay?: number;
+  /** Keyboard shortcut overrides, merged over MindMap.defaultKeyBindings */
+  keyBindings?: KeyBindings;
+  /** Minimum zoom level (default: 0.1) */
+  minZoom?: number;
+  /** Maximum zoom level (default: 5) */
+  maxZoom?: number;
+  /** Zoom change per mouse wheel notch (default: 0.1) */
+  zoomSensitivity?: number;
+  /** Length of camera animations in ms (default: 200) */
+  animationDuration?: number;
+  /** Node radius per role (default: { root: 12, branch: 7, leaf: 8 }) */
+  nodeRadius?: { root?: number; branch?: number; leaf?: number };
+  /** Label font size per role; numbers are px (default: theme sizes) */
+  fontSize?: { root?: number | string; branch?: number | string; leaf?: number | string } | null;
+  /** Labels wrap onto more lines past this width in px; 0 disables wrapping (default: 160) */
+  labelMaxWidth?: number;
+  /**
+   * Let the layouts make room for labels: the radial layout widens their
+   * angle and moves rings apart, shortening labels that still don't fit with
+   * an ellipsis (the full name shows on hover); the layered layouts move
+   * levels and siblings apart (default: true)
+   */
+  avoidLabelOverlap?: boolean;
+  /** Turn radial labels to run along their branch's angle (default: false) */
+  rotateLabels?: boolean;
+  /** Furthest apart rings may move to fit labels, in px (default: 2 × radiusStep) */
+  maxRadiusStep?: number | null;
+  /** Size of node image thumbnails in px (default: 48) */
+  imageSize?: number;
+  /** Let nodes without their own fill/stroke use their parent's (default: false) */
+  inheritBranchColors?: boolean;
+  /** Accessible name of the tree for screen readers (default: 'Mind map') */
+  ariaLabel?: string;
+  /** Where to save and recover the map (default: none) */
+  storage?: StorageAdapter | null;
+  /** Key the map is saved under (default: 'mindmap') */
+  storageKey?: string;
+  /** Save to storage after each edit (default: true) */
+  autosave?: boolean;
+  /** Delay after the last edit before autosaving, in ms (default: 1000) */
+  autosaveDelay?: number;
+  /** Edit together with other peers from the start (see connect()) */
+  collaboration?: ({ transport: Transport } & CollaborationOptions) | null;
+  /**
+   * What setData() does with invalid data: 'repair' it and emit dataRepair,
+   * 'warn' (repair, emit dataRepair and log the problems to the console), or
+   * 'throw' an error with the list of problems (default: 'repair')
+   */
+  onInvalidData?: 'throw' | 'repair' | 'warn';
+  /** Colors offered in the context menu */
+  colorPalette?: PaletteColor[];
   /** Color scheme configuration */
   colors?: ColorScheme;
+  /** Called when a node is clicked or tapped */
+  onNodeClick?: (node: MindMapNode, event: Event) => void;
+  /** Called when a node is double-clicked or double-tapped */
+  onNodeDoubleClick?: (node: MindMapNode, event: Event) => void;
+  /** Called after a node is added */
+  onNodeAdd?: (parentNode: MindMapNode, newNode: MindMapNode) => void;
+  /** Called after a node is deleted */
+  onNodeDelete?: (deletedNode: MindMapNode, parentNode: MindMapNode) => void;
+  /** Called after a node is renamed */
+  onNodeRename?: (node: MindMapNode, oldName: string, newName: string) => void;
+  /** Called after any change to the tree data */
+  onDataChange?: (newData: MindMapNode) => void;
+  /** Called before a node is added; return false to cancel */
+  onBeforeNodeAdd?: (parentNode: MindMapNode, name: string) => boolean | void;
+  /** Called before a node is deleted; return false to cancel */
+  onBeforeNodeDelete?: (node: MindMapNode, parentNode: MindMapNode) => boolean | void;
+  /** Called after a node is moved to a new parent or position */
+  onNodeMove?: (node: MindMapNode, newParent: MindMapNode, oldParent: MindMapNode) => void;
+  /** Called before a node is moved; return false to cancel */
+  onBeforeNodeMove?: (node: MindMapNode, newParent: MindMapNode, oldParent: MindMapNode) => boolean | void;
+  /** Called before a node is renamed; return false to cancel */
+  onBeforeNodeRename?: (node: MindMapNode, oldName: string, newName: string) => boolean | void;
+  /** Called when the selected node changes */
+  onNodeSelect?: (node: MindMapNode | null) => void;
+  /** Called when the set of selected nodes changes */
+  onSelectionChange?: (ids: string[]) => void;
+  /** Called when a node's subtree is collapsed */
+  onNodeCollapse?: (node: MindMapNode) => void;
+  /** Called when a node's subtree is expanded */
+  onNodeExpand?: (node: MindMapNode) => void;
+  /** Called while the view is panned */
+  onPan?: (offsetX: number, offsetY: number) => void;
+  /** Called while the view is zoomed */
+  onZoom?: (zoom: number) => void;
+  /** Called when the undo/redo history changes */
+  onHistoryChange?: (canUndo: boolean, canRedo: boolean) => void;
+  /** Called when a search runs or is cleared (query is null) */
+  onSearch?: (query: string | null, results: string[]) => void;
+  /** Called whenever the view is panned or zoomed */
+  onViewportChange?: (viewport: Viewport) => void;
+  /** Called when a node's style changes */
+  onNodeStyle?: (node: MindMapNode) => void;
+  /** Called after a cross-link is added */
+  onCrossLinkAdd?: (link: CrossLink) => void;
+  /** Called after a cross-link is removed, also when deleteNode removes an endpoint */
+  onCrossLinkRemove?: (link: CrossLink) => void;
+  /** Called after a cross-link's label or style changes */
+  onCrossLinkUpdate?: (link: CrossLink) => void;
+  /** Called when the save state shown in the status bar changes */
+  onSaveStateChange?: (state: SaveState) => void;
+  /** Called when the saved map can't be read and autosave is stopped */
+  onStorageError?: (error: Error, key: string) => void;
+  /** Called when peers join, leave or select another node */
+  onPeersChange?: (peers: Peer[]) => void;
+  /** Called after operations from other peers were applied */
+  onRemoteChange?: (operations: Operation[]) => void;
+  /** Called after setData() repaired invalid data */
+  onDataRepair?: (errors: DataError[], data: unknown) => void;
+}
+
+/**
+ * Events emitted by the MindMap and their listener signatures
+ */
+export interface MindMapEvents {
+  nodeClick: (node: MindMapNode, event: Event) => void;
+  nodeDoubleClick: (node: MindMapNode, event: Event) => void;
+  nodeAdd: (parentNode: MindMapNode, newNode: MindMapNode) => void;
+  nodeDelete: (deletedNode: MindMapNode, parentNode: MindMapNode) => void;
+  nodeRename: (node: MindMapNode, oldName: string, newName: string) => void;
+  dataChange: (newData: MindMapNode) => void;
+  beforeNodeAdd: (parentNode: MindMapNode, name: string) => boolean | void;
+  beforeNodeDelete: (node: MindMapNode, parentNode: MindMapNode) => boolean | void;
+  beforeNodeRename: (node: MindMapNode, oldName: string, newName: string) => boolean | void;
+  nodeMove: (node: MindMapNode, newParent: MindMapNode, oldParent: MindMapNode) => void;
+  beforeNodeMove: (node: MindMapNode, newParent: MindMapNode, oldParent: MindMapNode) => boolean | void;
+  nodeSelect: (node: MindMapNode | null) => void;
+  selectionChange: (ids: string[]) => void;
+  nodeCollapse: (node: MindMapNode) => void;
+  nodeExpand: (node: MindMapNode) => void;
+  pan: (offsetX: number, offsetY: number) => void;
+  zoom: (zoom: number) => void;
+  historyChange: (canUndo: boolean, canRedo: boolean) => void;
+  search: (query: string | null, results: string[]) => void;
+  viewportChange: (viewport: Viewport) => void;
+  nodeStyle: (node: MindMapNode) => void;
+  crossLinkAdd: (link: CrossLink) => void;
+  crossLinkRemove: (link: CrossLink) => void;
+  crossLinkUpdate: (link: CrossLink) => void;
+  saveStateChange: (state: SaveState) => void;
+  storageError: (error: Error, key: string) => void;
+  peersChange: (peers: Peer[]) => void;
+  remoteChange: (operations: Operation[]) => void;
+  dataRepair: (errors: DataError[], data: unknown) => void;
+}
+
+/**
+ * A problem found in map data by MindMap.validateData
+ */
+export interface DataError {
+  /** JSON path of the offending value, e.g. '$.children[1].id' */
+  path: string;
+  code: 'invalid-root' | 'missing-id' | 'invalid-id' | 'duplicate-id' | 'missing-name' | 'invalid-name' | 'invalid-children' |
+    'invalid-node' | 'cycle' | 'invalid-style' | 'invalid-value' | 'invalid-links' | 'invalid-link';
+  message: string;
+}
+
+/**
+ * Persistence backend for the `storage` option. Methods may return plain
+ * values or promises.
+ */
+export interface StorageAdapter {
+  /** Read the map saved under a key, or null if there is none */
+  load(key: string): Promise<MindMapNode | null> | MindMapNode | null;
+  /** Save a map under a key */
+  save(key: string, data: MindMapNode): Promise<void> | void;
+  /** List the keys of all saved maps */
+  list(): Promise<string[]> | string[];
+  /** Delete the map saved under a key */
+  remove(key: string): Promise<void> | void;
+}
+
+/**
+ * Autosave state: unsaved edits, saving, saved, or the last save failed
+ */
+export type SaveState = 'unsaved' | 'saving' | 'saved' | 'error';
+
+/**
+ * Message channel between peers, e.g. a WebSocket relay
+ */
+export interface Transport {
+  /** Send a message to all other peers */
+  send(message: CollaborationMessage): void;
+  /** Receive messages from other peers; returns a function that stops listening */
+  subscribe(handler: (message: CollaborationMessage) => void): () => void;
+  /** Release the channel on disconnect (optional) */
+  close?(): void;
+}
+
+/**
+ * Message sent between peers. Transports only need to deliver it as is.
+ */
+export interface CollaborationMessage {
+  type: 'hello' | 'sync' | 'ops' | 'presence' | 'leave';
+  /** ID of the sending peer */
+  peer: string;
+  /** ID of the only peer that should handle it (sync replies) */
+  to?: string;
+  [key: string]: unknown;
+}
+
+/**
+ * How this peer appears to the others
+ */
+export interface CollaborationOptions {
+  /** Unique peer ID (default: random) */
+  peerId?: string;
+  /** Name shown on presence rings (default: the peer ID) */
+  name?: string;
+  /** Presence ring color (default: picked from colorPalette) */
+  color?: string;
+}
+
+/**
+ * Another peer editing the map
+ */
+export interface Peer {
+  id: string;
+  name: string;
+  color: string;
+  /** Node the peer has selected, or null */
+  nodeId: string | null;
+}
+
+/**
+ * One change to a tree, as produced by MindMap.diffTrees. Operations sent
+ * between peers also carry a Lamport clock and the peer ID.
+ */
+export type Operation = (
+  | { type: 'add'; id: string; parent: string; after: string | null; fields: Partial<MindMapNode> }
+  | { type: 'move'; id: string; parent: string; after: string | null }
+  | { type: 'rename'; id: string; name: string }
+  | { type: 'update'; id: string; fields: Record<string, unknown> }
+  | { type: 'delete'; id: string }
+  | { type: 'links'; links: CrossLink[] }
+  | { type: 'reset'; tree: MindMapNode }
+) & { clock?: number; peer?: string };
+
+/**
+ * Visible area in tree coordinates, plus the raw camera transform
+ */
+export interface Viewport {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  zoom: number;
+  offsetX: number;
+  offsetY: number;
+}
+
+/**
+ * Animation options for camera methods
+ */
+export interface CameraOptions {
+  /** Ease to the new view instead of jumping (default: false) */
+  animate?: boolean;
+  /** Animation length in ms (default: config.animationDuration) */
+  duration?: number;
+}
+
+/**
+ * Options for fitToContent()
+ */
+export interface FitOptions extends CameraOptions {
+  /** Space around the content (default: 20) */
+  padding?: number;
+  /** Upper zoom bound, e.g. 1 to avoid enlarging small maps (default: config.maxZoom) */
+  maxZoom?: number;
+}
+
+/**
+ * Options for search()
+ */
+export interface SearchOptions {
+  /** Treat the query as a regular expression (default: false) */
+  regex?: boolean;
+  /** Match case (default: false) */
+  caseSensitive?: boolean;
+}
+
+/**
+ * A single undoable command
+ */
+export interface HistoryCommand {
+  undo: () => void;
+  redo: () => void;
+  /**
+   * Merge key: consecutive commands with the same key (e.g. renames of one
+   * node) within `historyGroupDelay` form one undo step
+   */
+  group?: string;
+}
+
+/**
+ * Options for MindMap.parseOutline() and MindMap.parseMarkdown()
+ */
+export interface OutlineParseOptions {
+  /** Creates the ID of each new node (default: MindMap.createIdGenerator()) */
+  generateId?: () => string;
+}
+
+/**
+ * Result of MindMap.parseOPML() and MindMap.parseFreeMind()
+ */
+export interface ParseResult {
+  /** Tree for setData() */
+  data: MindMapNode;
+  /** Descriptions of content that was skipped */
+  warnings: string[];
+}
+
+/**
+ * Element of a document parsed by MindMap.parseXML()
+ */
+export interface XMLElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: Array<XMLElement | { text: string }>;
+}
+
+/**
+ * Options for exportSVG()
+ */
+export interface ImageExportOptions {
+  /** Background color; defaults to the theme background, 'transparent' for none */
+  background?: string;
+  /** Space around the content in pixels (default: 20) */
+  padding?: number;
+}
+
+/**
+ * Options for MindMap.renderToString(): the config options that affect the
+ * picture plus the exportSVG() options
+ */
+export interface RenderToStringOptions extends MindMapConfig, ImageExportOptions {
+  /** Crop to the content; false keeps the live map's 0 0 width height view box (default: true) */
+  crop?: boolean;
+  /** Embed the map data for MindMap.hydrate() (default: true) */
+  embedData?: boolean;
+}
+
+/**
+ * Options for exportPNG()
+ */
+export interface PNGExportOptions extends ImageExportOptions {
+  /** Pixel ratio of the image (default: 2) */
+  scale?: number;
 }
 
 /**
@@ -70,16 +522,125 @@ export interface MindMapNode {
   name: string;
   /** Child nodes (optional) */
   children?: MindMapNode[];
+  /** Whether the node's subtree is collapsed (optional) */
+  collapsed?: boolean;
+  /** Free-form note text, shown as the node's tooltip (optional) */
+  note?: string;
+  /** Link URL, drawn as a clickable link icon (optional) */
+  url?: string;
+  /** Image URL, drawn as a thumbnail above the node (optional) */
+  image?: string;
+  /** Mermaid node shape (optional) */
+  shape?: MermaidShape;
+  /** Mermaid ::icon() value (optional) */
+  icon?: string;
+  /** Mermaid ::: class names (optional) */
+  className?: string;
+  /** PlantUML: the branch is drawn without a box (optional) */
+  boxless?: boolean;
+  /** PlantUML: side of the root a first-level branch is on (optional, default 'right') */
+  side?: 'left' | 'right';
+  /** Per-node appearance (optional) */
+  style?: NodeStyle;
+  /** Cross-links between any two nodes (root node only, optional) */
+  links?: CrossLink[];
+}
+
+/**
+ * A non-hierarchical relationship, drawn as a dashed arrow
+ */
+export interface CrossLink {
+  /** ID of the node the arrow starts at */
+  from: string;
+  /** ID of the node the arrow points to */
+  to: string;
+  /** Text shown on the arrow (optional) */
+  label?: string;
+  /** Appearance (optional) */
+  style?: CrossLinkStyle;
+}
+
+/**
+ * Copied subtrees, as stored under MindMap.clipboardType on the clipboard
+ */
+export interface ClipboardPayload {
+  /** Copied subtrees, with their original IDs */
+  nodes: MindMapNode[];
+  /** Cross-links between the copied nodes */
+  links: CrossLink[];
+}
+
+/**
+ * Contents of the shared in-page clipboard
+ */
+export interface ClipboardData {
+  payload: ClipboardPayload;
+  /** The payload as JSON */
+  json: string;
+  /** The copied nodes as a plain-text indented outline */
+  text: string;
+}
+
+/**
+ * Appearance of a cross-link
+ */
+export interface CrossLinkStyle {
+  /** Line and arrowhead color */
+  stroke?: string;
+  /** Line width in px (default: 1.5) */
+  width?: number;
+  /** Draw a dashed line (default: true) */
+  dashed?: boolean;
+}
+
+/**
+ * Appearance of a single node
+ */
+export interface NodeStyle {
+  /** Fill color */
+  fill?: string;
+  /** Border color (also used for the link to the node) */
+  stroke?: string;
+  /** Label color */
+  text?: string;
+  /** Node shape (default: 'circle') */
+  shape?: 'circle' | 'rounded' | 'pill' | 'none';
+  /** Node radius (default: config.nodeRadius for the node's role) */
+  radius?: number;
+  /** Label font size; numbers are px */
+  fontSize?: number | string;
+  /** Label font weight */
+  fontWeight?: number | string;
+  /** Emoji or short text drawn inside the node */
+  icon?: string;
+}
+
+/**
+ * Color offered in the context menu
+ */
+export interface PaletteColor {
+  name?: string;
+  fill: string;
+  stroke?: string;
 }
 
+/**
+ * Node shapes of the Mermaid mindmap syntax
+ */
+export type MermaidShape = 'square' | 'rounded' | 'circle' | 'bang' | 'cloud' | 'hexagon';
+
 /**
  * Context menu item definition
  */
 export interface ContextMenuItem {
   /** Display text for the menu item */
   text: string;
-  /** Action to execute when clicked */
-  action: () => void;
+  /** Action to execute when clicked; receives the color for swatch rows */
+  action: (color?: PaletteColor) => void | Promise<void>;
+  /** Show the item as destructive */
+  dangerous?: boolean;
+  /** Show a row of color buttons instead of a single action */
+  swatches?: PaletteColor[];
 }
 
 /**
@@ -125,221 +686,1144 @@ export declare class MindMap {
   readonly isEditing: boolean;
   /** ID of the node being edited */
   readonly editingNode: string | null;
-  /** SVG element */
-  readonly svg: SVGSVGElement | null;
-  /** Viewport group element */
-  readonly viewport: SVGGElement | null;
-  /** Status element */
-  readonly statusEl: HTMLElement | null;
-  /** Controls element */
-  readonly controlsEl: HTMLElement | null;
+  /** ID of the primary selected node */
+  readonly selectedNode: string | null;
+  /** IDs of all selected nodes */
+  readonly selection: Set<string>;
+  /** Positions from the last render, keyed by node ID */
+  readonly positions: PositionMap;
+  /** Active search query, or null */
+  readonly searchQuery: string | null;
+  /** IDs of nodes matching the active search, in tree order */
+  readonly searchResults: string[];
+  /** Index of the current search result (-1 before next/previous) */
+  readonly searchIndex: number;
+  /**
+   * Resolves once the autosaved map is restored; until then the map shows
+   * config.data or the sample map. Never rejects (see the storageError event).
+   */
+  readonly ready: Promise<void>;
+  /** Autosave state, or null before the first edit or save */
+  readonly saveState: SaveState | null;
+  /** Other peers, keyed by peer ID */
+  readonly peers: Map<string, Peer & { seen: number; clock: number | null }>;
+
+  /** Registered layouts, keyed by name */
+  static readonly layouts: Record<string, { fn: LayoutFunction } & Required<LayoutStyle>>;
 
   /**
-   * Create a new MindMap instance
-   * @param container - DOM element or CSS selector for the container
-   * @param options - Configuration options
+   * Register a layout that can be selected with the `layout` option or setLayout()
+   * @param name - Layout name
+   * @param fn - Pure layout function
+   * @param style - How links and labels are drawn
    */
-  constructor(container: string | HTMLElement, options?: MindMapConfig);
+  static registerLayout(name: string, fn: LayoutFunction, style?: LayoutStyle): void;
 
   /**
-   * Initialize the mindmap
+   * Get the visible children of a node (none if it is collapsed)
+   * @param node - Node to read
    */
-  init(): void;
+  static visibleChildren(node: MindMapNode): MindMapNode[];
 
   /**
-   * Set up the DOM structure
+   * Count visible leaves per node ID; a collapsed branch counts as one leaf
+   * @param node - Root node to count from
+   * @param counts - Map to fill (default: new object)
+   * @returns Map of node ID to leaf count
    */
-  setupDOM(): void;
+  static countLeaves(node: MindMapNode, counts?: Record<string, number>): Record<string, number>;
+
+  /** Built-in radial layout */
+  static radialLayout: LayoutFunction;
+  /** Built-in horizontal tree layout */
+  static treeLayout: LayoutFunction;
+  /** Built-in balanced two-sided layout */
+  static balancedLayout: LayoutFunction;
+  /** Built-in top-down org chart layout */
+  static orgChartLayout: LayoutFunction;
+  /** Built-in indented outline layout */
+  static outlineLayout: LayoutFunction;
+
+  /** Default keyboard shortcuts */
+  static readonly defaultKeyBindings: Required<KeyBindings>;
+
+  /** Default configuration, overridden by the constructor options */
+  static readonly defaults: MindMapConfig;
+
+  /** Background, surface color and font sizes brainmap.css gives each theme */
+  static readonly themeDefaults: Record<string, { background: string; surface: string; fontSize: { root: number; branch: number; leaf: number } }>;
 
   /**
-   * Apply custom colors to CSS variables
+   * Render a map to a standalone SVG string without a DOM, e.g. in Node.js.
+   * Theme colors are inlined and, unless embedData is false, the data is
+   * embedded for hydrate().
+   * @throws If data isn't a node object
    */
-  applyCustomColors(): void;
+  static renderToString(data: MindMapNode, options?: RenderToStringOptions): string;
 
   /**
-   * Set up event listeners for interactions
+   * Make a map rendered with renderToString() interactive: the data embedded
+   * in the SVG inside container is loaded into a new MindMap
+   * @throws Error if the container isn't found or the embedded data isn't valid JSON
    */
-  setupEventListeners(): void;
+  static hydrate(container: string | HTMLElement, options?: MindMapConfig): MindMap;
+
+  /** Build the markup of an SVG element; content is markup, so escape text first */
+  static svgElement(name: string, attributes?: Record<string, string | number | null | undefined>, content?: string): string;
+
+  /** Gradient definitions the node shapes are filled with */
+  static gradientMarkup(colors: ColorScheme): string;
+
+  /** CSS properties copied from the computed styles into exported SVGs */
+  static readonly exportStyleProperties: string[];
+
+  /** MIME type of the JSON subtree payload on the system clipboard */
+  static readonly clipboardType: string;
+
+  /** Map shown when no data was given and nothing was autosaved */
+  static readonly sampleData: MindMapNode;
 
   /**
-   * Remove event listeners
+   * Storage adapter keeping maps as JSON in localStorage
+   * @param options - Key prefix (default: 'mindmap:') and Storage object (default: localStorage)
    */
-  removeEventListeners(): void;
+  static localStorageAdapter(options?: { prefix?: string; storage?: Storage }): StorageAdapter;
 
   /**
-   * Set the mindmap data
-   * @param data - Tree data structure
+   * Storage adapter keeping maps in an IndexedDB object store
+   * @param options - Database name (default: 'mindmap') and object store name (default: 'maps')
    */
-  setData(data: MindMapNode): void;
+  static indexedDBAdapter(options?: { database?: string; store?: string }): StorageAdapter;
 
   /**
-   * Get the current mindmap data
-   * @returns Deep clone of the current tree data
+   * Storage adapter keeping copies of maps in memory, for tests
    */
-  getData(): MindMapNode | null;
+  static memoryAdapter(): StorageAdapter;
+
+  /** How often peers announce their presence, in ms */
+  static readonly presenceInterval: number;
 
   /**
-   * Generate a unique node ID
-   * @returns Unique identifier string
+   * Describe how one tree became another as operations
+   * @param prev - Earlier tree
+   * @param next - Later tree
+   * @returns Operations that turn prev into next when applied in order
    */
-  generateId(): string;
+  static diffTrees(prev: MindMapNode | null, next: MindMapNode | null): Operation[];
 
   /**
-   * Set status message
-   * @param message - Status message to display
+   * Find the nodes that differ between two trees: added, moved, renamed,
+   * updated and deleted nodes (with deleted subtrees) and their parents
+   * @returns The node IDs and whether the cross-links changed; null if the root was replaced
    */
-  setStatus(message: string): void;
+  static changedNodes(prev: MindMapNode | null, next: MindMapNode | null): { ids: Set<string>; links: boolean } | null;
 
   /**
-   * Convert screen coordinates to SVG coordinates
-   * @param screenX - Screen X coordinate
-   * @param screenY - Screen Y coordinate
-   * @returns SVG coordinates
+   * Apply an operation to a tree; operations that no longer fit are ignored
+   * @param tree - Tree to change (modified in place except for reset)
+   * @param op - Operation
+   * @returns The resulting tree
    */
-  screenToSvg(screenX: number, screenY: number): Point;
+  static applyOperation(tree: MindMapNode, op: Operation): MindMapNode;
 
   /**
-   * Handle mouse wheel events for zooming
-   * @param e - Wheel event
+   * Order operations by Lamport clock, then peer ID
    */
-  handleWheel(e: WheelEvent): void;
+  static compareOperations(a: Operation, b: Operation): number;
 
   /**
-   * Handle mouse down events for panning
-   * @param e - Mouse event
+   * Order [clock, peer] stamps
    */
-  handleMouseDown(e: MouseEvent): void;
+  static compareStamps(a: [number, string], b: [number, string]): number;
 
   /**
-   * Handle mouse move events for panning
-   * @param e - Mouse event
+   * Indexes of a longest strictly increasing subsequence
    */
-  handleMouseMove(e: MouseEvent): void;
+  static longestIncreasingRun(values: number[]): number[];
 
   /**
-   * Handle mouse up events
+   * Transport syncing maps between tabs of the same origin
+   * @param name - Channel name (default: 'mindmap')
    */
-  handleMouseUp(): void;
+  static broadcastChannelTransport(name?: string): Transport;
+
+  /** Last copied subtrees, shared by every map on the page */
+  static clipboard: ClipboardData | null;
 
   /**
-   * Handle mouse leave events
+   * Parse indented text or Markdown into a list of top-level nodes.
+   * Headings nest by level, list items and plain lines by indentation.
+   * @param text - Outline text
+   * @param options - ID generator for the new nodes
    */
-  handleMouseLeave(): void;
+  static parseOutline(text: string, options?: OutlineParseOptions): MindMapNode[];
 
   /**
-   * Get distance between two touch points
-   * @param touches - Touch list
-   * @returns Distance in pixels
+   * Parse Markdown into a single tree; several top-level entries are wrapped in a new root
+   * @param text - Markdown text
+   * @param options - ID generator for the new nodes
+   * @returns Root node, or null for empty input
    */
-  getTouchDistance(touches: TouchList): number;
+  static parseMarkdown(text: string, options?: OutlineParseOptions): MindMapNode | null;
 
   /**
-   * Get center point between two touches
-   * @param touches - Touch list
-   * @returns Center point coordinates
+   * Serialize a tree as a Markdown heading followed by a nested list
+   * @param tree - Root node
    */
-  getTouchCenter(touches: TouchList): Point;
+  static toMarkdown(tree: MindMapNode): string;
 
   /**
-   * Handle touch start events
-   * @param e - Touch event
+   * Escape a node name for one line of Markdown: backslashes, "<", "&" and
+   * inline markup are escaped, line breaks become `<br>`, characters that
+   * would start a heading, list item or quote are backslash-escaped, and
+   * leading or trailing whitespace becomes character references
    */
-  handleTouchStart(e: TouchEvent): void;
+  static escapeMarkdown(name: string): string;
 
   /**
-   * Handle touch move events
-   * @param e - Touch event
+   * Undo escapeMarkdown(): `<br>` becomes a line break, numeric character
+   * references are decoded and backslash escapes are removed
    */
-  handleTouchMove(e: TouchEvent): void;
+  static unescapeMarkdown(text: string): string;
 
   /**
-   * Handle touch end events
-   * @param e - Touch event
+   * Serialize nodes as a plain-text outline, indented two spaces per level
+   * @param nodes - Top-level node or nodes
    */
-  handleTouchEnd(e: TouchEvent): void;
+  static toOutline(nodes: MindMapNode | MindMapNode[]): string;
 
   /**
-   * Update the SVG transform based on current zoom and offset
+   * Create an ID generator for nodes built outside an instance
+   * @param prefix - ID prefix (default: 'node_')
    */
-  updateTransform(): void;
+  static createIdGenerator(prefix?: string): () => string;
 
   /**
-   * Count leaves in the tree for layout calculations
-   * @param node - Root node to count from
-   * @returns Number of leaf nodes
+   * Check map data
+   * @param data - Data to check
+   * @returns The problems found; empty if the data is valid
    */
-  countLeaves(node: MindMapNode): number;
+  static validateData(data: unknown): DataError[];
 
   /**
-   * Calculate layout positions for all nodes
-   * @param root - Root node to layout
+   * Repair map data: generate missing IDs, replace duplicate IDs, coerce
+   * names to strings, and drop cycles, non-node children, bad styles and
+   * cross-links to unknown nodes
+   * @param data - Data to repair (not modified)
+   * @param options - generateId creates node IDs
+   * @returns A clean deep copy and the problems that were fixed; an empty
+   * root (with an 'invalid-root' error at '$') if data isn't a node object
    */
-  layoutRoot(root: MindMapNode): void;
+  static normalizeData(data: unknown, options?: { generateId?: () => string }): { data: MindMapNode; errors: DataError[] };
 
   /**
-   * Layout nodes in a radial pattern
-   * @param node - Node to layout
-   * @param parentX - Parent X coordinate
-   * @param parentY - Parent Y coordinate
-   * @param startAngle - Starting angle in radians
-   * @param endAngle - Ending angle in radians
-   * @param radius - Distance from parent
+   * Set an inline CSS property, or remove it when the value is empty
+   * @param element - Element to update
+   * @param name - Property name, e.g. '--mindmap-node-fill'
+   * @param value - New value
    */
-  layoutNode(
-    node: MindMapNode,
-    parentX: number,
-    parentY: number,
-    startAngle: number,
-    endAngle: number,
-    radius: number
-  ): void;
+  static setStyleProperty(element: Element & ElementCSSInlineStyle, name: string, value?: string | number | null): void;
 
   /**
-   * Find a node by its ID in the tree
-   * @param tree - Root node to search from
-   * @param id - Node ID to find
-   * @returns Found node or null
+   * Set an attribute only when it changes, or remove it for null/undefined
+   * @param element - Element to update
+   * @param name - Attribute name
+   * @param value - New value
    */
-  findNodeById(tree: MindMapNode, id: string): MindMapNode | null;
+  static updateAttribute(element: Element, name: string, value?: string | number | null): void;
 
   /**
-   * Find parent node by child ID
-   * @param tree - Root node to search from
-   * @param childId - Child node ID
-   * @returns Parent node or null
+   * Build a name matcher for a search query; throws for an invalid regex
+   * @param query - Text or regular expression
+   * @param options - Regex and case sensitivity
    */
-  findParentById(tree: MindMapNode, childId: string): MindMapNode | null;
+  static createMatcher(query: string, options?: SearchOptions): (name: string) => boolean;
 
   /**
-   * Add a child node to a parent
+   * Return a URL that is safe to use as a link, or null for scripting schemes
+   * @param url - URL to check
+   * @param options - image: also allow data:image URLs
+   */
+  static safeUrl(url: string, options?: { image?: boolean }): string | null;
+
+  /**
+   * Parse an XML document without a DOM; throws on malformed markup
+   * @param text - XML source
+   * @returns Root element
+   */
+  static parseXML(text: string): XMLElement;
+
+  /**
+   * Decode XML character and entity references
+   */
+  static decodeXMLEntities(text: string): string;
+
+  /**
+   * Escape text for XML content or attribute values
+   */
+  static escapeXML(text: string): string;
+
+  /**
+   * Get the plain text of a parsed element, with line breaks between HTML blocks
+   */
+  static xmlText(element: XMLElement): string;
+
+  /**
+   * Parse an OPML outline (text, _note, url/htmlUrl/xmlUrl, expansionState)
+   * @param text - OPML source
+   * @param options - ID generator for the new nodes
+   */
+  static parseOPML(text: string, options?: OutlineParseOptions): ParseResult;
+
+  /**
+   * Serialize a tree as an OPML 2.0 document
+   */
+  static toOPML(tree: MindMapNode): string;
+
+  /**
+   * Parse a FreeMind/Freeplane .mm map (TEXT, rich text, ID, FOLDED, LINK, notes)
+   * @param text - .mm source
+   * @param options - ID generator for nodes without a usable ID
+   */
+  static parseFreeMind(text: string, options?: OutlineParseOptions): ParseResult;
+
+  /**
+   * Serialize a tree as a FreeMind .mm map
+   */
+  static toFreeMind(tree: MindMapNode): string;
+
+  /** Mermaid shape delimiters, keyed by shape name */
+  static readonly mermaidShapes: Record<MermaidShape, [string, string]>;
+
+  /**
+   * Parse a Mermaid `mindmap` diagram; throws if it can't be read
+   * @param text - Mermaid source
+   * @param options - ID generator for nodes without a Mermaid ID
+   */
+  static fromMermaid(text: string, options?: OutlineParseOptions): MindMapNode;
+
+  /**
+   * Decode Mermaid entity codes (`#quot;`, `#35;`, ...) in node text
+   */
+  static decodeMermaidEntities(text: string): string;
+
+  /**
+   * Serialize a tree as a Mermaid `mindmap` diagram; names of shaped nodes
+   * are quoted and syntax characters are written as entity codes
+   */
+  static toMermaid(tree: MindMapNode): string;
+
+  /**
+   * Parse a PlantUML @startmindmap diagram; throws if it can't be read.
+   * [#color] becomes style.fill, "_" boxless and left-side branches side: 'left'.
+   * @param text - PlantUML source
+   * @param options - ID generator for the new nodes
+   */
+  static fromPlantUML(text: string, options?: OutlineParseOptions): MindMapNode;
+
+  /**
+   * Serialize a tree as a PlantUML @startmindmap diagram, writing plain
+   * style.fill colors, boxless and left-side branches back out
+   */
+  static toPlantUML(tree: MindMapNode): string;
+  /** SVG element */
+  readonly svg: SVGSVGElement | null;
+  /** Viewport group element */
+  readonly viewport: SVGGElement | null;
+  /** Status element */
+  readonly statusEl: HTMLElement | null;
+  /** Visually hidden aria-live region for screen-reader announcements */
+  readonly liveRegion: HTMLElement | null;
+  /** Controls element */
+  readonly controlsEl: HTMLElement | null;
+
+  /**
+   * Create a new MindMap instance
+   * @param container - DOM element or CSS selector for the container
+   * @param options - Configuration options
+   * @throws If the container isn't found or onInvalidData is not a known policy
+   */
+  constructor(container: string | HTMLElement, options?: MindMapConfig);
+
+  /**
+   * Initialize the mindmap
+   */
+  init(): void;
+
+  /**
+   * Set up the DOM structure
+   */
+  setupDOM(): void;
+
+  /**
+   * Apply custom colors to CSS variables
+   */
+  applyCustomColors(): void;
+
+  /**
+   * Set up event listeners for interactions
+   */
+  setupEventListeners(): void;
+
+  /**
+   * Remove event listeners
+   */
+  removeEventListeners(): void;
+
+  /**
+   * Set the mindmap data. Invalid data is handled by the onInvalidData option.
+   * @param data - Tree data structure
+   * @throws If data is invalid and onInvalidData is 'throw'
+   */
+  setData(data: MindMapNode): void;
+
+  /**
+   * Apply the onInvalidData policy, emitting dataRepair unless it throws
+   * @param errors - Problems found in the data
+   * @param data - The data as given
+   * @throws If onInvalidData is 'throw' or not a known policy
+   */
+  handleInvalidData(errors: DataError[], data: unknown): void;
+
+  /**
+   * Get the current mindmap data
+   * @returns Deep clone of the current tree data
+   */
+  getData(): MindMapNode | null;
+
+  /**
+   * Generate a unique node ID
+   * @returns Unique identifier string
+   */
+  generateId(): string;
+
+  /**
+   * Generate a node ID that no node in the map uses yet
+   * @returns Unused identifier string
+   */
+  generateUnusedId(): string;
+
+  /**
+   * Replace the map with a Markdown outline
+   * @param text - Markdown with headings and/or nested lists
+   * @returns True if anything was imported
+   */
+  importMarkdown(text: string): boolean;
+
+  /**
+   * Export the map as a Markdown heading followed by a nested list
+   */
+  exportMarkdown(): string;
+
+  /**
+   * Add an indented text outline (or Markdown list) as a subtree under a node
+   * @param nodeId - Parent node ID
+   * @param text - Outline text
+   * @returns True if any nodes were added
+   */
+  pasteText(nodeId: string, text: string): boolean;
+
+  /**
+   * Append nodes to a node's children as one undo step; IDs must be unused
+   * @param nodeId - Parent node ID
+   * @param nodes - Nodes to add
+   * @param links - Cross-links between the new nodes
+   * @returns True if any nodes were added
+   */
+  pasteNodes(nodeId: string, nodes: MindMapNode[], links?: CrossLink[]): boolean;
+
+  /**
+   * Build clipboard contents for subtrees
+   * @param nodeIds - IDs of the subtree roots
+   * @returns Null if none of the nodes exist
+   */
+  createClipboardData(nodeIds: string[]): ClipboardData | null;
+
+  /**
+   * Copy subtrees to the clipboard
+   * @param nodeIds - Node ID or IDs (default: the selection)
+   * @returns False if there is nothing to copy
+   */
+  copy(nodeIds?: string | string[]): boolean;
+
+  /**
+   * Copy subtrees to the clipboard and delete them as one undo step
+   * @param nodeIds - Node ID or IDs (default: the selection); the root is skipped
+   * @returns Whether anything was cut
+   */
+  cut(nodeIds?: string | string[]): boolean;
+
+  /**
+   * Paste copied subtrees under a node with new IDs
+   * @param targetId - Parent node ID (default: the selected node)
+   * @param contents - Clipboard JSON, a text outline or a payload (default: MindMap.clipboard)
+   * @returns True if any nodes were added
+   */
+  paste(targetId?: string | null, contents?: string | ClipboardData | ClipboardPayload): boolean;
+
+  /**
+   * Paste from the system clipboard if it can be read, otherwise from MindMap.clipboard
+   * @param targetId - Parent node ID (default: the selected node)
+   * @returns Resolves to true if any nodes were added
+   */
+  pasteFromClipboard(targetId?: string | null): Promise<boolean>;
+
+  /**
+   * Paste a clipboard payload under a node, giving every node a new ID
+   * @param nodeId - Parent node ID
+   * @param payload - Copied nodes and links
+   */
+  pastePayload(nodeId: string, payload: ClipboardPayload): boolean;
+
+  /**
+   * Read a clipboard JSON payload
+   * @param text - Clipboard text
+   * @returns Null if the text isn't a payload
+   */
+  parseClipboardJSON(text: string): ClipboardPayload | null;
+
+  /**
+   * Write clipboard contents to the system clipboard (both formats inside
+   * a copy event, the outline otherwise)
+   */
+  writeSystemClipboard(data: ClipboardData): void;
+
+  /**
+   * Check whether a clipboard event belongs to a text field instead of the map
+   */
+  isTextClipboardEvent(e: ClipboardEvent): boolean;
+
+  /**
+   * Handle copying or cutting the selected nodes with the keyboard
+   * @param e - Clipboard event
+   * @param cut - Delete the nodes after copying
+   */
+  handleCopy(e: ClipboardEvent, cut?: boolean): void;
+
+  /**
+   * Handle pasting a map payload or text outline onto the selected node
+   * @param e - Clipboard event
+   */
+  handlePaste(e: ClipboardEvent): void;
+
+  /**
+   * Replace the map with an OPML outline; throws if it can't be read
+   * @param text - OPML source
+   * @returns Warnings about skipped content
+   */
+  importOPML(text: string): string[];
+
+  /**
+   * Export the map as an OPML 2.0 document
+   */
+  exportOPML(): string;
+
+  /**
+   * Replace the map with a FreeMind/Freeplane .mm map; throws if it can't be read
+   * @param text - .mm source
+   * @returns Warnings about skipped content
+   */
+  importFreeMind(text: string): string[];
+
+  /**
+   * Export the map as a FreeMind .mm document
+   */
+  exportFreeMind(): string;
+
+  /**
+   * Replace the map with a Mermaid `mindmap` diagram; throws if it can't be read
+   * @param text - Mermaid source
+   */
+  importMermaid(text: string): boolean;
+
+  /**
+   * Export the map as a Mermaid `mindmap` diagram
+   */
+  toMermaid(): string;
+
+  /**
+   * Replace the map with a PlantUML @startmindmap diagram; throws if it can't be read
+   * @param text - PlantUML source
+   */
+  importPlantUML(text: string): boolean;
+
+  /**
+   * Export the map as a PlantUML @startmindmap diagram
+   */
+  toPlantUML(): string;
+
+  /**
+   * Register an event listener
+   * @param event - Event name
+   * @param handler - Listener function
+   * @returns The MindMap instance for chaining
+   */
+  on<K extends keyof MindMapEvents>(event: K, handler: MindMapEvents[K]): this;
+
+  /**
+   * Remove an event listener, or all listeners for the event if no handler is given
+   * @param event - Event name
+   * @param handler - Listener function to remove
+   * @returns The MindMap instance for chaining
+   */
+  off<K extends keyof MindMapEvents>(event: K, handler?: MindMapEvents[K]): this;
+
+  /**
+   * Register an event listener that is removed after its first call
+   * @param event - Event name
+   * @param handler - Listener function
+   * @returns The MindMap instance for chaining
+   */
+  once<K extends keyof MindMapEvents>(event: K, handler: MindMapEvents[K]): this;
+
+  /**
+   * Emit an event to listeners and the matching `on*` config callback
+   * @param event - Event name
+   * @param args - Event arguments
+   * @returns False if any listener returned false (cancels "before" events)
+   */
+  emit<K extends keyof MindMapEvents>(event: K, ...args: Parameters<MindMapEvents[K]>): boolean;
+
+  /**
+   * Call a listener, reporting its errors with reportError() so the edit
+   * that emitted the event still completes
+   */
+  callListener(handler: (...args: any[]) => unknown, args: unknown[]): unknown;
+
+  /**
+   * Set status message
+   * @param message - Status message to display
+   */
+  setStatus(message: string): void;
+
+  /**
+   * Read a message out to screen readers through the live region
+   * @param message - Message to announce
+   */
+  announce(message: string): void;
+
+  /**
+   * Convert screen coordinates to SVG coordinates
+   * @param screenX - Screen X coordinate
+   * @param screenY - Screen Y coordinate
+   * @returns SVG coordinates
+   */
+  screenToSvg(screenX: number, screenY: number): Point;
+
+  /**
+   * Handle mouse wheel events for zooming
+   * @param e - Wheel event
+   */
+  handleWheel(e: WheelEvent): void;
+
+  /**
+   * Handle mouse down events for panning
+   * @param e - Mouse event
+   */
+  handleMouseDown(e: MouseEvent): void;
+
+  /**
+   * Handle mouse move events for panning
+   * @param e - Mouse event
+   */
+  handleMouseMove(e: MouseEvent): void;
+
+  /**
+   * Handle mouse up events
+   */
+  handleMouseUp(): void;
+
+  /**
+   * Handle mouse leave events
+   */
+  handleMouseLeave(): void;
+
+  /**
+   * Get distance between two touch points
+   * @param touches - Touch list
+   * @returns Distance in pixels
+   */
+  getTouchDistance(touches: TouchList): number;
+
+  /**
+   * Get center point between two touches
+   * @param touches - Touch list
+   * @returns Center point coordinates
+   */
+  getTouchCenter(touches: TouchList): Point;
+
+  /**
+   * Handle touch start events
+   * @param e - Touch event
+   */
+  handleTouchStart(e: TouchEvent): void;
+
+  /**
+   * Handle touch move events
+   * @param e - Touch event
+   */
+  handleTouchMove(e: TouchEvent): void;
+
+  /**
+   * Handle touch end events
+   * @param e - Touch event
+   */
+  handleTouchEnd(e: TouchEvent): void;
+
+  /**
+   * Update the SVG transform based on current zoom and offset
+   */
+  updateTransform(): void;
+
+  /**
+   * Get the visible area in tree coordinates along with the raw transform
+   */
+  getViewport(): Viewport;
+
+  /**
+   * Clamp a zoom level to config.minZoom and config.maxZoom
+   */
+  clampZoom(zoom: number): number;
+
+  /**
+   * Move the camera to a zoom and offset, optionally animated
+   */
+  setView(view: { zoom: number; offsetX: number; offsetY: number }, options?: CameraOptions): void;
+
+  /**
+   * Apply a camera position immediately and notify listeners
+   */
+  applyView(zoom: number, offsetX: number, offsetY: number): void;
+
+  /**
+   * Cancel a running camera animation
+   */
+  stopCameraAnimation(): void;
+
+  /**
+   * Zoom to a level (clamped), keeping the anchor point in place
+   * @param zoom - Zoom level
+   * @param anchor - Point in SVG coordinates (default: center of the view)
+   * @param options - Animation options
+   */
+  setZoom(zoom: number, anchor?: Point | null, options?: CameraOptions): void;
+
+  /**
+   * Center the view on a point in tree coordinates, keeping the zoom
+   */
+  panTo(x: number, y: number, options?: CameraOptions): void;
+
+  /**
+   * Center the view on a node and zoom in
+   * @param nodeId - ID of the node
+   * @param options - Target zoom (default: at least 1.5) and animation options
+   * @returns False if the node isn't visible
+   */
+  zoomToNode(nodeId: string, options?: CameraOptions & { zoom?: number }): boolean;
+
+  /**
+   * Zoom and pan so the whole map is visible
+   * @returns False if there is nothing to fit
+   */
+  fitToContent(options?: FitOptions): boolean;
+
+
+  /**
+   * Count all descendants of a node
+   * @param node - Node to count from
+   * @returns Number of descendant nodes
+   */
+  countDescendants(node: MindMapNode): number;
+
+  /**
+   * Collapse a node's subtree
+   * @param nodeId - ID of the node
+   * @returns Whether the state changed
+   */
+  collapse(nodeId: string): boolean;
+
+  /**
+   * Expand a node's subtree
+   * @param nodeId - ID of the node
+   * @returns Whether the state changed
+   */
+  expand(nodeId: string): boolean;
+
+  /**
+   * Toggle a node's collapsed state
+   * @param nodeId - ID of the node
+   * @returns Whether the state changed
+   */
+  toggleCollapse(nodeId: string): boolean;
+
+  /**
+   * Set a node's collapsed state
+   * @param nodeId - ID of the node
+   * @param collapsed - Whether to collapse
+   * @returns Whether the state changed
+   */
+  setCollapsed(nodeId: string, collapsed: boolean): boolean;
+
+  /**
+   * Collapse or expand several nodes, rendering once
+   * @param nodeIds - IDs of the nodes (default: the selection)
+   * @param collapsed - Whether to collapse
+   * @returns Whether any node changed
+   */
+  setNodesCollapsed(nodeIds: string[] | null, collapsed: boolean): boolean;
+
+  /**
+   * Expand every node, emitting nodeExpand for each one that changes
+   */
+  expandAll(): void;
+
+  /**
+   * Show nodes up to the given depth (root is depth 0) and collapse the
+   * rest, emitting nodeCollapse or nodeExpand for each node that changes
+   * @param depth - Deepest visible level
+   */
+  collapseToDepth(depth: number): void;
+
+  /**
+   * Compute node positions with the configured layout
+   * @param root - Root node to layout
+   * @returns Map of node ID to position
+   */
+  computeLayout(root: MindMapNode): PositionMap;
+
+  /**
+   * Measure the box a node's label takes up, for label-aware layouts
+   * @param node - Node whose label to measure
+   * @param depth - Depth of the node (root is 0)
+   */
+  measureLabel(node: MindMapNode, depth: number): LabelBox;
+
+  /**
+   * Get the computed position of a visible node
+   * @param nodeId - ID of the node
+   * @returns Position, or null if the node is hidden or unknown
+   */
+  getNodePosition(nodeId: string): NodePosition | null;
+
+  /**
+   * Change the layout mode and re-render
+   * @param layout - Layout mode
+   */
+  setLayout(layout: LayoutMode): void;
+
+  /**
+   * Build the SVG path for the link between a parent and a child
+   * @param parent - Parent node
+   * @param child - Child node
+   * @returns SVG path data
+   */
+  getLinkPath(parent: MindMapNode, child: MindMapNode): string;
+
+  /**
+   * Find a node by its ID in the tree
+   * @param tree - Root node to search from
+   * @param id - Node ID to find
+   * @returns Found node or null
+   */
+  findNodeById(tree: MindMapNode, id: string): MindMapNode | null;
+
+  /**
+   * Find parent node by child ID
+   * @param tree - Root node to search from
+   * @param childId - Child node ID
+   * @returns Parent node or null
+   */
+  findParentById(tree: MindMapNode, childId: string): MindMapNode | null;
+
+  /**
+   * Add a child node to a parent
    * @param parentId - ID of the parent node
    * @param name - Name for the new child node
    * @returns Success status
    */
-  addChild(parentId: string, name?: string): boolean;
+  addChild(parentId: string, name?: string): boolean;
+
+  /**
+   * Add a sibling node
+   * @param nodeId - ID of the node to add sibling to
+   * @param name - Name for the new sibling node
+   * @returns Success status
+   */
+  addSibling(nodeId: string, name?: string): boolean;
+
+  /**
+   * Delete a node from the tree
+   * @param nodeId - ID of the node to delete
+   * @returns Success status
+   */
+  deleteNode(nodeId: string): boolean;
+
+  /**
+   * Delete several nodes as one undo step
+   * @param nodeIds - IDs of the nodes to delete (default: the selection)
+   * @returns Whether any node was deleted
+   */
+  deleteNodes(nodeIds?: string[] | null): boolean;
+
+  /**
+   * Rename a node
+   * @param nodeId - ID of the node to rename
+   * @param newName - New name for the node
+   * @returns Success status
+   */
+  renameNode(nodeId: string, newName: string): boolean;
+
+  /**
+   * Record an undoable command; a command with a `group` key is merged into
+   * the previous step when that has the same key and was recorded within
+   * `historyGroupDelay`, any other command is a step of its own
+   * @param label - Description shown in the status bar on undo/redo
+   * @param command - Undo/redo functions
+   */
+  recordHistory(label: string, command: HistoryCommand): void;
+
+  /**
+   * Run several edits as one undo step; rendering and dataChange are
+   * deferred until fn returns
+   * @param label - Description shown in the status bar on undo/redo
+   * @param fn - Function making the edits
+   * @returns What fn returns
+   */
+  batch<T>(label: string, fn: () => T): T;
+
+  /**
+   * Undo the last step
+   * @returns Whether a step was undone
+   */
+  undo(): boolean;
+
+  /**
+   * Redo the last undone step
+   * @returns Whether a step was redone
+   */
+  redo(): boolean;
+
+  /**
+   * Check if there is a step to undo
+   */
+  canUndo(): boolean;
+
+  /**
+   * Check if there is a step to redo
+   */
+  canRedo(): boolean;
+
+  /**
+   * Clear the undo/redo history
+   */
+  clearHistory(): void;
+
+  /**
+   * Drop the undo and redo steps that touch nodes other peers changed
+   * @param changed - Result of MindMap.changedNodes(); null drops every step
+   */
+  dropHistory(changed: { ids: Set<string>; links: boolean } | null): void;
+
+  /**
+   * Handle keyboard shortcuts
+   * @param e - Keyboard event
+   */
+  handleKeyDown(e: KeyboardEvent): void;
+
+  /**
+   * Check whether a keyboard event matches a key binding
+   * @param e - Keyboard event
+   * @param binding - Key combination or list of alternatives
+   */
+  matchesKeyBinding(e: KeyboardEvent, binding: string | string[] | null): boolean;
+
+  /**
+   * Run a keyboard action by name (e.g. 'addChild', 'navigateUp')
+   * @param action - Name of a key binding
+   * @returns False if nothing was done
+   */
+  runKeyAction(action: keyof KeyBindings): boolean;
+
+  /**
+   * Select a node, or clear the selection with null
+   * @param nodeId - ID of the node to select
+   * @returns Whether the node exists
+   */
+  selectNode(nodeId: string | null): boolean;
+
+  /**
+   * Get the primary selected node ID
+   */
+  getSelectedNode(): string | null;
+
+  /**
+   * Replace the selection; unknown IDs are ignored
+   * @param nodeIds - IDs of the nodes to select
+   * @param primary - Node that keyboard actions act on (default: the last ID)
+   * @returns Always true
+   */
+  setSelection(nodeIds: string[], primary?: string | null): boolean;
 
   /**
-   * Add a sibling node
-   * @param nodeId - ID of the node to add sibling to
-   * @param name - Name for the new sibling node
-   * @returns Success status
+   * Get the IDs of all selected nodes, in selection order
    */
-  addSibling(nodeId: string, name?: string): boolean;
+  getSelection(): string[];
 
   /**
-   * Delete a node from the tree
-   * @param nodeId - ID of the node to delete
-   * @returns Success status
+   * Add a node to the selection, or remove it if it is already selected
+   * @param nodeId - ID of the node
+   * @returns Whether the node exists
    */
-  deleteNode(nodeId: string): boolean;
+  toggleNodeSelection(nodeId: string): boolean;
 
   /**
-   * Rename a node
-   * @param nodeId - ID of the node to rename
-   * @param newName - New name for the node
+   * Select a node and all its descendants, collapsed ones included
+   * @param nodeId - ID of the subtree root
+   * @returns Whether the node exists
+   */
+  selectSubtree(nodeId: string): boolean;
+
+  /**
+   * Show or clear the selected state of a rendered node
+   */
+  markSelected(nodeId: string, selected: boolean): void;
+
+  /**
+   * Drop IDs that lie inside another listed node's subtree
+   * @param nodeIds - Node IDs
+   * @returns The remaining IDs in tree order
+   */
+  getTopmostNodes(nodeIds: string[]): string[];
+
+  /**
+   * Start a rubber-band selection at a screen point
+   * @param additive - Keep the current selection
+   */
+  startMarquee(clientX: number, clientY: number, additive?: boolean): void;
+
+  /**
+   * Stretch the rubber band to a screen point
+   */
+  updateMarquee(clientX: number, clientY: number): void;
+
+  /**
+   * Finish the rubber band
+   * @param apply - Select the nodes inside it (false cancels)
+   */
+  endMarquee(apply?: boolean): void;
+
+  /**
+   * Make the selected node (or the root) the only node reachable with Tab
+   */
+  updateTabStop(): void;
+
+  /**
+   * Move keyboard focus to a node
+   * @param nodeId - ID of the node
+   * @returns Whether the node is rendered
+   */
+  focusNode(nodeId: string): boolean;
+
+  /**
+   * Select nodes as they receive keyboard focus
+   * @param e - Focus event
+   */
+  handleFocusIn(e: FocusEvent): void;
+
+  /**
+   * Move the selection to the nearest related node in a screen direction
+   * @param direction - Direction to move in
+   * @returns Whether the selection moved
+   */
+  navigate(direction: 'up' | 'down' | 'left' | 'right'): boolean;
+
+  /**
+   * Search node names; highlights matches, dims other nodes and expands
+   * collapsed ancestors of matches. An empty query clears the search.
+   * @param query - Text or regular expression
+   * @param options - Regex and case sensitivity
+   * @returns Matching node IDs in tree order
+   */
+  search(query: string, options?: SearchOptions): string[];
+
+  /**
+   * Clear the search highlight
+   */
+  clearSearch(): void;
+
+  /**
+   * Get the IDs of nodes matching the active search, in tree order
+   */
+  findMatches(): string[];
+
+  /**
+   * Select and center the next search result
+   * @returns False if there are no results
+   */
+  nextSearchResult(): boolean;
+
+  /**
+   * Select and center the previous search result
+   * @returns False if there are no results
+   */
+  previousSearchResult(): boolean;
+
+  /**
+   * Select and center a search result by index (wraps around)
+   * @param index - Result index
+   */
+  goToSearchResult(index: number): boolean;
+
+  /**
+   * Pan so that a node is in the center of the view, keeping the zoom
+   * @param nodeId - ID of the node
+   */
+  centerOnNode(nodeId: string, options?: CameraOptions): boolean;
+
+  /**
+   * Sync the search box count and buttons with the search state
+   */
+  updateSearchControls(): void;
+
+  /**
+   * Add a child or sibling node and open it in the inline editor
+   * @param nodeId - ID of the reference node
+   * @param relation - Whether to add a child or a sibling (default: 'child')
    * @returns Success status
    */
-  renameNode(nodeId: string, newName: string): boolean;
+  addAndEdit(nodeId: string, relation?: 'child' | 'sibling'): boolean;
+
+  /**
+   * Move a node (with its subtree) under a new parent
+   * @param nodeId - ID of the node to move
+   * @param newParentId - ID of the new parent node
+   * @param index - Position among the new parent's current children (default: append)
+   * @returns Success status (false for the root or a move into its own subtree)
+   */
+  moveNode(nodeId: string, newParentId: string, index?: number): boolean;
+
+  /**
+   * Move several nodes under a new parent as one undo step, keeping their order
+   * @param nodeIds - IDs of the nodes to move (default: the selection)
+   * @param newParentId - ID of the new parent node
+   * @param index - Position of the first node among the new parent's children (default: append)
+   * @returns Whether any node moved
+   */
+  moveNodes(nodeIds: string[] | null, newParentId: string, index?: number): boolean;
+
+  /**
+   * Check whether a node is the given ancestor or inside its subtree
+   * @param ancestorId - ID of the ancestor node
+   * @param nodeId - ID of the node to test
+   */
+  isDescendant(ancestorId: string, nodeId: string): boolean;
+
+  /**
+   * Convert screen coordinates to tree coordinates (after pan and zoom)
+   * @param screenX - Screen X coordinate
+   * @param screenY - Screen Y coordinate
+   */
+  screenToTree(screenX: number, screenY: number): Point;
 
   /**
    * Show context menu at specified position
@@ -349,11 +1833,40 @@ export declare class MindMap {
    */
   showContextMenu(x: number, y: number, nodeId: string): void;
 
+  /**
+   * Show the context menu of a cross-link
+   * @param x - X coordinate
+   * @param y - Y coordinate
+   * @param link - Cross-link the menu is for
+   */
+  showCrossLinkMenu(x: number, y: number, link: CrossLink): void;
+
+  /**
+   * Open a context menu with the given items at a screen position
+   * @param x - X coordinate
+   * @param y - Y coordinate
+   * @param items - Menu items
+   */
+  openContextMenu(x: number, y: number, items: ContextMenuItem[]): void;
+
   /**
    * Hide the context menu
    */
   hideContextMenu(): void;
 
+  /**
+   * Keyboard operation of the open context menu
+   * @param e - Keyboard event
+   */
+  handleMenuKeyDown(e: KeyboardEvent): void;
+
+  /**
+   * Keep Tab and Shift+Tab focus inside an element
+   * @param e - Keyboard event
+   * @param element - Element to trap focus in
+   */
+  trapFocus(e: KeyboardEvent, element: Element): void;
+
   /**
    * Show custom input modal
    * @param title - Modal title
@@ -376,11 +1889,202 @@ export declare class MindMap {
   stopEdit(save?: boolean): void;
 
   /**
-   * Draw the complete mindmap visualization
+   * Draw the mindmap, reconciling existing elements by node ID so only
+   * changed nodes and links are touched
    * @param root - Root node to draw
    */
   draw(root: MindMapNode): void;
 
+  /**
+   * Create or update the group element of a node
+   * @param node - Node to draw
+   * @param depth - Depth of the node
+   * @param isRoot - Whether the node is the root
+   * @param layoutEntry - Registered layout being drawn
+   */
+  drawNode(node: MindMapNode, depth: number, isRoot: boolean, layoutEntry: { fn: LayoutFunction } & Required<LayoutStyle>, style?: NodeStyle): void;
+
+  /**
+   * Draw a node's image thumbnail and its link and note markers
+   * @param g - Group element of the node
+   * @param node - Node to draw
+   * @param r - Radius of the node's shape
+   */
+  drawNodeContent(g: SVGGElement, node: MindMapNode, r: number): void;
+
+  /**
+   * Split a label into lines at line breaks and config.labelMaxWidth
+   * @param name - Label text
+   * @param role - Role of the node, which sets the font size
+   * @param style - Node style with font overrides
+   * @param maxWidth - Width to wrap at instead of config.labelMaxWidth
+   */
+  wrapLabel(name: string, role: 'root' | 'branch' | 'leaf', style?: NodeStyle, maxWidth?: number): string[];
+
+  /**
+   * Shorten a line of text so that it fits maxWidth with an ellipsis added
+   * @param font - Font from getLabelFont()
+   */
+  ellipsize(text: string, font: { size: number; css: string }, maxWidth: number): string;
+
+  /**
+   * Lay out a node's label: its lines, shortened to the layout's labelWidth,
+   * and its position, anchor and rotation relative to the node
+   */
+  getLabelLayout(
+    node: MindMapNode,
+    role: 'root' | 'branch' | 'leaf',
+    style: NodeStyle,
+    placement: 'radial' | 'side' | 'below' | 'center',
+    pos: NodePosition,
+    r: number,
+    extent: number
+  ): { lines: string[]; truncated: boolean; x: number | null; y: number | null; anchor: string | null; rotate: number | null };
+
+  /**
+   * Get the font a label is drawn with
+   * @param role - Role of the node
+   * @param style - Node style with font overrides
+   */
+  getLabelFont(role: 'root' | 'branch' | 'leaf', style?: NodeStyle): { size: number; weight: number | string; css: string };
+
+  /**
+   * Measure the width of a line of text in px (estimated without canvas support)
+   * @param text - Text to measure
+   * @param font - Font from getLabelFont()
+   */
+  measureText(text: string, font: { size: number; css: string }): number;
+
+  /**
+   * Set the ARIA tree item attributes of a node's group
+   * @param node - Node to describe
+   * @param depth - Depth of the node
+   * @param index - Position among its visible siblings
+   * @param count - Number of visible siblings, itself included
+   */
+  updateTreeItem(node: MindMapNode, depth: number, index: number, count: number): void;
+
+  /**
+   * Create or update the cross-link arrows of visible nodes
+   */
+  drawCrossLinks(): void;
+
+  /**
+   * Compute the curve, arrowhead and label position of a cross-link
+   * @param fromId - ID of the start node
+   * @param toId - ID of the end node
+   */
+  getCrossLinkGeometry(fromId: string, toId: string): { path: string; arrow: string; labelX: number; labelY: number };
+
+  /**
+   * Create or update the link from a parent to a child
+   * @param parent - Parent node
+   * @param child - Child node
+   * @param color - Link color overriding the theme (optional)
+   */
+  drawLink(parent: MindMapNode, child: MindMapNode, color?: string): void;
+
+  /**
+   * Get a node's effective style, including inherited branch colors
+   * @param node - Node to read
+   * @param parentStyle - Effective style of the parent (null for the root)
+   */
+  resolveNodeStyle(node: MindMapNode, parentStyle: NodeStyle | null): NodeStyle;
+
+  /**
+   * Change a node's style; null removes a property
+   * @param nodeId - ID of the node
+   * @param changes - Style properties to set
+   * @returns Whether the style changed
+   */
+  setNodeStyle(nodeId: string, changes: { [K in keyof NodeStyle]?: NodeStyle[K] | null }): boolean;
+
+  /**
+   * Change the style of several nodes as one undo step
+   * @param nodeIds - IDs of the nodes (default: the selection)
+   * @param changes - Style properties to set; null removes a property
+   * @returns Whether any style changed
+   */
+  setNodesStyle(nodeIds: string[] | null, changes: { [K in keyof NodeStyle]?: NodeStyle[K] | null }): boolean;
+
+  /**
+   * Change a node's note, url or image; null or '' removes a field
+   * @param nodeId - ID of the node
+   * @param changes - Fields to set
+   * @returns Whether anything changed
+   */
+  setNodeContent(nodeId: string, changes: { note?: string | null; url?: string | null; image?: string | null }): boolean;
+
+  /**
+   * Get a copy of the cross-links
+   */
+  getCrossLinks(): CrossLink[];
+
+  /**
+   * Find the cross-link from one node to another
+   * @param fromId - ID of the start node
+   * @param toId - ID of the end node
+   */
+  findCrossLink(fromId: string, toId: string): CrossLink | null;
+
+  /**
+   * Replace the cross-links without rendering or recording history
+   * @param links - New cross-links
+   */
+  restoreCrossLinks(links: CrossLink[]): void;
+
+  /**
+   * Connect two nodes with a cross-link arrow (undoable)
+   * @param fromId - ID of the start node
+   * @param toId - ID of the end node
+   * @param options - Label and style
+   * @returns Whether the link was added (false for self-links and duplicates)
+   */
+  addCrossLink(fromId: string, toId: string, options?: { label?: string; style?: CrossLinkStyle }): boolean;
+
+  /**
+   * Remove the cross-link from one node to another (undoable)
+   * @param fromId - ID of the start node
+   * @param toId - ID of the end node
+   * @returns Whether a link was removed
+   */
+  removeCrossLink(fromId: string, toId: string): boolean;
+
+  /**
+   * Change a cross-link's label or style; null removes them (undoable)
+   * @param fromId - ID of the start node
+   * @param toId - ID of the end node
+   * @param changes - Label and style
+   * @returns Whether the link changed
+   */
+  updateCrossLink(fromId: string, toId: string, changes: { label?: string | null; style?: CrossLinkStyle | null }): boolean;
+
+  /**
+   * Let the user pick the target of a new cross-link with the next node click
+   * @param nodeId - ID of the start node
+   * @returns Whether connect mode started
+   */
+  startConnect(nodeId: string): boolean;
+
+  /**
+   * Leave connect mode
+   * @returns Whether connect mode was active
+   */
+  cancelConnect(): boolean;
+
+  /**
+   * Get the rendered group element of a node
+   * @param nodeId - ID of the node
+   * @returns The element, or null if the node is not rendered
+   */
+  getNodeElement(nodeId: string): SVGGElement | null;
+
+  /**
+   * Check whether an event has listeners or an `on*` config callback
+   * @param event - Event name
+   */
+  hasListeners(event: keyof MindMapEvents): boolean;
+
   /**
    * Render the complete mindmap
    */
@@ -392,15 +2096,177 @@ export declare class MindMap {
   exportData(): void;
 
   /**
-   * Reset the view to center and default zoom
+   * Export the map as a standalone SVG image cropped to its content, with
+   * theme colors and gradients inlined
+   * @param options - Background and padding
+   * @returns SVG image Blob
+   */
+  exportSVG(options?: ImageExportOptions): Blob;
+
+  /**
+   * Export the map as a PNG image cropped to its content
+   * @param options - Scale, background and padding
+   * @returns Promise resolving with a PNG image Blob
+   */
+  exportPNG(options?: PNGExportOptions): Promise<Blob>;
+
+  /**
+   * Build a detached copy of the SVG with computed styles inlined and the
+   * view box set to the content bounds
+   * @param options - Background and padding
+   */
+  buildExportSVG(options?: ImageExportOptions): SVGSVGElement;
+
+  /**
+   * Get the bounding box of the drawn content in tree coordinates
+   */
+  getContentBounds(): { x: number; y: number; width: number; height: number };
+
+  /**
+   * Trigger a browser download of a Blob
+   * @param blob - Content to download
+   * @param filename - Suggested filename
+   */
+  downloadBlob(blob: Blob, filename: string): void;
+
+  /**
+   * Download the map as an SVG file named config.svgExportFilename
+   * @param options - Background and padding
+   */
+  downloadSVG(options?: ImageExportOptions): void;
+
+  /**
+   * Download the map as a PNG file named config.pngExportFilename
+   * @param options - Scale, background and padding
+   */
+  downloadPNG(options?: PNGExportOptions): Promise<void>;
+
+  /**
+   * Center the map at 100% zoom, zooming out if it doesn't fit
+   * @param options - Animation options
    */
-  resetView(): void;
+  resetView(options?: CameraOptions): void;
 
   /**
-   * Destroy the mindmap and clean up resources
+   * Destroy the mindmap and clean up resources, saving pending edits first
    */
   destroy(): void;
 
+  /**
+   * Replace the starting map with the autosaved one, unless it was edited
+   * meanwhile; load errors and invalid saved data emit storageError
+   */
+  restoreAutosave(): Promise<void>;
+
+  /**
+   * Replace the map with one saved under a key, and autosave there from now on
+   * @param key - Storage key (default: the storageKey option)
+   * @returns Whether a map was found
+   */
+  load(key?: string): Promise<boolean>;
+
+  /**
+   * Save the map to storage now
+   * @returns False if there is no storage or saving failed
+   */
+  save(): Promise<boolean>;
+
+  /**
+   * Mark the map unsaved and autosave it after autosaveDelay
+   */
+  scheduleAutosave(): void;
+
+  /**
+   * Stop autosaving after the saved map couldn't be read, so it isn't
+   * overwritten; sets saveState to 'error' and emits storageError.
+   * Calling save() or load() resumes autosave.
+   */
+  blockAutosave(error: Error, key: string): void;
+
+  /**
+   * Save right away if an autosave is pending
+   */
+  flushAutosave(): void;
+
+  /**
+   * Update the save state and the status bar indicator
+   */
+  setSaveState(state: SaveState): void;
+
+  /**
+   * Show the save state in the status bar
+   */
+  updateSaveStatus(): void;
+
+  /**
+   * Start editing together with other peers. A peer joining a session
+   * takes over the session's map; two peers connecting at the same moment
+   * both keep the map of the lower peer ID.
+   * @param transport - Message channel to the other peers
+   * @param options - How this peer appears to the others
+   * @returns False without a transport or data
+   */
+  connect(transport: Transport, options?: CollaborationOptions): boolean;
+
+  /**
+   * Stop collaborating; the map keeps its current state
+   */
+  disconnect(): void;
+
+  /**
+   * Get the other connected peers
+   */
+  getPeers(): Peer[];
+
+  /**
+   * Send a message to the other peers
+   */
+  sendCollabMessage(message: Omit<CollaborationMessage, 'peer'>): void;
+
+  /**
+   * Tell the other peers which node is selected
+   */
+  sendPresence(): void;
+
+  /**
+   * Turn local edits since the last call into operations and send them
+   */
+  captureOperations(): void;
+
+  /**
+   * Handle a message from another peer
+   */
+  handleCollabMessage(message: CollaborationMessage): void;
+
+  /**
+   * Merge remote operations, replaying the log when they arrive out of
+   * order; a sync may replace the base
+   * @param ops - Remote operations
+   * @param sync - Sync message carrying another peer's base map
+   */
+  mergeOperations(ops: Operation[], sync?: CollaborationMessage): void;
+
+  /**
+   * Fold the operations every peer has reported seeing into the base, so
+   * the log and the sync sent to joiners stay short
+   */
+  compactLog(): void;
+
+  /**
+   * Record a peer's presence message
+   */
+  updatePeer(message: CollaborationMessage): void;
+
+  /**
+   * Forget peers that stopped sending presence
+   */
+  prunePeers(): void;
+
+  /**
+   * Draw a colored ring around each node another peer has selected
+   */
+  drawPresence(): void;
+
   /**
    * Update the mindmap configuration
    * @param newConfig - New configuration options
@@ -17,36 +17,70 @@ class MindMap {
       throw new Error('MindMap: Container element not found');
     }
 
-    // Default configuration
-    this.config = {
-      width: 800,
-      height: 800,
-      theme: 'default', // 'default', 'dark', 'compact'
-      radiusStep: 120,
-      editable: true,
-      showControls: true,
-      showStatus: true,
-      exportFilename: 'mindmap-data.json',
-      colors: {
-        root: { fill: '#f97316', stroke: '#dc2626', text: '#ffffff' },
-        branch: { fill: '#34d399', stroke: '#059669', text: '#065f46' },
-        leaf: { fill: '#60a5fa', stroke: '#2563eb', text: '#1e40af' },
-        link: 'rgba(255,255,255,0.6)'
-      },
-      ...options
-    };
+    // Configuration: MindMap.defaults overridden by the options
+    this.config = { ...MindMap.defaults, ...options };
+    this.config.keyBindings = { ...MindMap.defaultKeyBindings, ...options.keyBindings };
+
+    if (!['repair', 'warn', 'throw'].includes(this.config.onInvalidData)) {
+      throw new Error(`MindMap: Unknown onInvalidData policy "${this.config.onInvalidData}"`);
+    }
 
     // Initialize state
     this.treeData = null;
     this.zoom = 1;
     this.offsetX = 0;
     this.offsetY = 0;
+    this.cameraAnimation = null;
     this.isDragging = false;
     this.dragStart = null;
     this.isEditing = false;
     this.editingNode = null;
+    this.selectedNode = null;
+    this.selection = new Set();
+    this.marquee = null;
+    this.activeBatch = null;
+    this.positions = {};
+    this.searchQuery = null;
+    this.searchMatcher = null;
+    this.searchResults = [];
+    this.searchMatches = null;
+    this.searchIndex = -1;
     this.contextMenu = null;
     this.nodeIdCounter = Date.now();
+    this.listeners = {};
+    this.dragMoved = false;
+    this.nodeDrag = null;
+    this.nodeTouch = null;
+    this.nodeTap = null;
+    this.connectingFrom = null;
+    this.clipboardEvent = null;
+
+    // Storage state
+    this.ready = Promise.resolve();
+    this.saveState = null;
+    this.autosaveTimer = null;
+    this.revision = 0;
+    this.isRestoring = false;
+    this.autosaveBlocked = false;
+
+    // Collaboration state
+    this.collab = null;
+    this.peers = new Map();
+
+    // Render state
+    this.gLinks = null;
+    this.gCrossLinks = null;
+    this.gNodes = null;
+    this.nodeElements = new Map();
+    this.nodeKeys = new Map();
+    this.nodeRadii = new Map();
+    this.linkElements = new Map();
+    this.crossLinkElements = new Map();
+
+    // History state
+    this.undoStack = [];
+    this.redoStack = [];
+    this.isApplyingHistory = false;
 
     // Touch state
     this.isTouching = false;
@@ -58,6 +92,8 @@ class MindMap {
     this.svg = null;
     this.viewport = null;
     this.statusEl = null;
+    this.statusTextEl = null;
+    this.saveStatusEl = null;
     this.controlsEl = null;
 
     this.init();
@@ -70,16 +106,20 @@ class MindMap {
     this.setupDOM();
     this.setupEventListeners();
 
-    // Add default data if none provided
-    if (!this.treeData) {
-      this.setData({
-        id: 'root',
-        name: 'My Mind Map',
-        children: [
-          { id: 'node1', name: 'Idea 1', children: [{ id: 'node1-1', name: 'Detail A' }] },
-          { id: 'node2', name: 'Idea 2' },
-          { id: 'node3', name: 'Idea 3', children: [{ id: 'node3-1', name: 'Detail B' }, { id: 'node3-2', name: 'Detail C' }] }
-        ]
+    // Start from config.data or the sample map right away, so the map is
+    // usable while the last autosave (which replaces it) is loading
+    this.isRestoring = true;
+    try {
+      this.setData(this.config.data || MindMap.sampleData);
+    } finally {
+      this.isRestoring = false;
+    }
+    if (this.config.storage) this.ready = this.restoreAutosave();
+
+    if (this.config.collaboration) {
+      const { transport, ...options } = this.config.collaboration;
+      this.ready = this.ready.then(() => {
+        this.connect(transport, options);
       });
     }
   }
@@ -102,7 +142,17 @@ class MindMap {
       this.controlsEl = document.createElement('div');
       this.controlsEl.className = 'mindmap-controls';
       this.controlsEl.innerHTML = `
+        ${this.config.showSearch ? `<div class="mindmap-search">
+          <input class="mindmap-search-input" type="search" placeholder="Search..." aria-label="Search nodes">
+          <span class="mindmap-search-count"></span>
+          <button class="mindmap-control-btn" data-action="search-prev" title="Previous match (Shift+Enter)" disabled>‹</button>
+          <button class="mindmap-control-btn" data-action="search-next" title="Next match (Enter)" disabled>›</button>
+        </div>` : ''}
+        <button class="mindmap-control-btn" data-action="undo" title="Undo (Ctrl+Z)" disabled>Undo</button>
+        <button class="mindmap-control-btn" data-action="redo" title="Redo (Ctrl+Shift+Z)" disabled>Redo</button>
         <button class="mindmap-control-btn" data-action="export">Export JSON</button>
+        <button class="mindmap-control-btn" data-action="export-svg">Export SVG</button>
+        <button class="mindmap-control-btn" data-action="export-png">Export PNG</button>
         <button class="mindmap-control-btn" data-action="reset">Reset View</button>
       `;
       this.container.appendChild(this.controlsEl);
@@ -112,19 +162,47 @@ class MindMap {
     if (this.config.showStatus) {
       this.statusEl = document.createElement('div');
       this.statusEl.className = 'mindmap-status';
+      this.statusTextEl = document.createElement('span');
+      this.statusTextEl.className = 'mindmap-status-text';
+      this.statusEl.appendChild(this.statusTextEl);
 
       // Detect if device supports touch
       const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
       if (this.config.editable) {
-        this.statusEl.textContent = isTouchDevice ?
+        this.statusTextEl.textContent = isTouchDevice ?
           'Long press nodes for menu • Double tap to rename' :
           'Right-click nodes to edit • Double-click to rename';
       } else {
-        this.statusEl.textContent = 'Interactive Mind Map';
+        this.statusTextEl.textContent = 'Interactive Mind Map';
+      }
+
+      // Autosave indicator
+      if (this.config.storage) {
+        this.saveStatusEl = document.createElement('span');
+        this.saveStatusEl.className = 'mindmap-save-status';
+        this.statusEl.appendChild(this.saveStatusEl);
+        this.updateSaveStatus();
       }
 
       this.container.appendChild(this.statusEl);
+    } else {
+      this.statusEl = null;
+      this.statusTextEl = null;
+      this.saveStatusEl = null;
+    }
+
+    // Screen readers hear status messages through a visually hidden live region
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'mindmap-live-region';
+    this.liveRegion.setAttribute('role', 'status');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.container.appendChild(this.liveRegion);
+
+    // Make container focusable for keyboard shortcuts
+    if (!this.container.hasAttribute('tabindex')) {
+      this.container.setAttribute('tabindex', '0');
     }
 
     // Create SVG
@@ -132,24 +210,13 @@ class MindMap {
     this.svg.setAttribute('class', 'mindmap-svg');
     this.svg.setAttribute('viewBox', `0 0 ${this.config.width} ${this.config.height}`);
     this.svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    this.svg.setAttribute('role', 'tree');
+    this.svg.setAttribute('aria-multiselectable', 'true');
+    this.svg.setAttribute('aria-label', this.config.ariaLabel);
 
     // Create gradients
     const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-    defs.innerHTML = `
-      <linearGradient id="mindmapRootGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-        <stop offset="0%" style="stop-color:${this.config.colors.root.fill};stop-opacity:1" />
-        <stop offset="100%" style="stop-color:${this.config.colors.root.stroke};stop-opacity:1" />
-      </linearGradient>
-      <linearGradient id="mindmapBranchGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-        <stop offset="0%" style="stop-color:${this.config.colors.branch.fill};stop-opacity:1" />
-        <stop offset="100%" style="stop-color:${this.config.colors.branch.stroke};stop-opacity:1" />
-      </linearGradient>
-      <linearGradient id="mindmapLeafGradient" x1="0%" y1="0%" x2="100%" y2="100%">
-        <stop offset="0%" style="stop-color:${this.config.colors.leaf.fill};stop-opacity:1" />
-        <stop offset="50%" style="stop-color:${this.config.colors.leaf.fill};stop-opacity:0.8" />
-        <stop offset="100%" style="stop-color:${this.config.colors.leaf.stroke};stop-opacity:1" />
-      </linearGradient>
-    `;
+    defs.innerHTML = MindMap.gradientMarkup(this.config.colors);
     this.svg.appendChild(defs);
 
     // Create viewport group
@@ -160,7 +227,7 @@ class MindMap {
   }
 
   /**
-   * Apply custom colors to CSS variables
+   * Apply custom colors and font sizes to CSS variables
    */
   applyCustomColors() {
     const root = this.container;
@@ -187,6 +254,13 @@ class MindMap {
     if (this.config.colors.link) {
       root.style.setProperty('--mindmap-color-link', this.config.colors.link);
     }
+
+    if (this.config.fontSize) {
+      ['root', 'branch', 'leaf'].forEach(role => {
+        const size = this.config.fontSize[role];
+        if (size) root.style.setProperty(`--mindmap-font-size-${role}`, typeof size === 'number' ? `${size}px` : size);
+      });
+    }
   }
 
   /**
@@ -206,7 +280,16 @@ class MindMap {
       touchstart: (e) => this.handleTouchStart(e),
       touchmove: (e) => this.handleTouchMove(e),
       touchend: (e) => this.handleTouchEnd(e),
-      hideContextMenu: () => this.hideContextMenu()
+      keydown: (e) => this.handleKeyDown(e),
+      copy: (e) => this.handleCopy(e),
+      cut: (e) => this.handleCopy(e, true),
+      paste: (e) => this.handlePaste(e),
+      click: (e) => this.handleClick(e),
+      dblclick: (e) => this.handleDoubleClick(e),
+      contextmenu: (e) => this.handleContextMenu(e),
+      focusin: (e) => this.handleFocusIn(e),
+      hideContextMenu: () => this.hideContextMenu(),
+      pagehide: () => this.flushAutosave()
     };
 
     // Controls
@@ -214,11 +297,41 @@ class MindMap {
       this.controlsEl.addEventListener('click', (e) => {
         if (!e.target.matches('.mindmap-control-btn')) return;
         const action = e.target.dataset.action;
+        if (action === 'undo') this.undo();
+        if (action === 'redo') this.redo();
         if (action === 'export') this.exportData();
-        if (action === 'reset') this.resetView();
+        if (action === 'export-svg') this.downloadSVG();
+        if (action === 'export-png') this.downloadPNG();
+        if (action === 'reset') this.resetView({ animate: true });
+        if (action === 'search-prev') this.previousSearchResult();
+        if (action === 'search-next') this.nextSearchResult();
       });
+
+      const searchInput = this.controlsEl.querySelector('.mindmap-search-input');
+      if (searchInput) {
+        searchInput.value = this.searchQuery || '';
+        this.updateSearchControls();
+        searchInput.addEventListener('input', () => this.search(searchInput.value));
+        searchInput.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.shiftKey) this.previousSearchResult();
+            else this.nextSearchResult();
+          } else if (e.key === 'Escape') {
+            searchInput.value = '';
+            this.clearSearch();
+            this.container.focus();
+          }
+        });
+      }
     }
 
+    // Keyboard shortcuts
+    this.container.addEventListener('keydown', this.boundHandlers.keydown);
+    this.container.addEventListener('copy', this.boundHandlers.copy);
+    this.container.addEventListener('cut', this.boundHandlers.cut);
+    this.container.addEventListener('paste', this.boundHandlers.paste);
+
     // Zoom and pan
     if (this.svg) {
       this.svg.addEventListener('wheel', this.boundHandlers.wheel);
@@ -227,6 +340,12 @@ class MindMap {
       this.svg.addEventListener('mouseup', this.boundHandlers.mouseup);
       this.svg.addEventListener('mouseleave', this.boundHandlers.mouseleave);
 
+      // Node interactions (delegated)
+      this.svg.addEventListener('click', this.boundHandlers.click);
+      this.svg.addEventListener('dblclick', this.boundHandlers.dblclick);
+      this.svg.addEventListener('contextmenu', this.boundHandlers.contextmenu);
+      this.svg.addEventListener('focusin', this.boundHandlers.focusin);
+
       // Touch events
       this.svg.addEventListener('touchstart', this.boundHandlers.touchstart, { passive: false });
       this.svg.addEventListener('touchmove', this.boundHandlers.touchmove, { passive: false });
@@ -235,6 +354,9 @@ class MindMap {
 
     // Global click to hide context menu
     document.addEventListener('click', this.boundHandlers.hideContextMenu);
+
+    // Don't lose the last edits to the autosave delay when the page closes
+    window.addEventListener('pagehide', this.boundHandlers.pagehide);
   }
 
   /**
@@ -247,6 +369,10 @@ class MindMap {
       this.svg.removeEventListener('mousemove', this.boundHandlers.mousemove);
       this.svg.removeEventListener('mouseup', this.boundHandlers.mouseup);
       this.svg.removeEventListener('mouseleave', this.boundHandlers.mouseleave);
+      this.svg.removeEventListener('click', this.boundHandlers.click);
+      this.svg.removeEventListener('dblclick', this.boundHandlers.dblclick);
+      this.svg.removeEventListener('contextmenu', this.boundHandlers.contextmenu);
+      this.svg.removeEventListener('focusin', this.boundHandlers.focusin);
 
       // Remove touch events
       this.svg.removeEventListener('touchstart', this.boundHandlers.touchstart);
@@ -255,7 +381,12 @@ class MindMap {
     }
 
     if (this.boundHandlers) {
+      this.container.removeEventListener('keydown', this.boundHandlers.keydown);
+      this.container.removeEventListener('copy', this.boundHandlers.copy);
+      this.container.removeEventListener('cut', this.boundHandlers.cut);
+      this.container.removeEventListener('paste', this.boundHandlers.paste);
       document.removeEventListener('click', this.boundHandlers.hideContextMenu);
+      window.removeEventListener('pagehide', this.boundHandlers.pagehide);
     }
   }
 
@@ -263,16 +394,45 @@ class MindMap {
    * Set the mindmap data
    */
   setData(data) {
-    this.treeData = JSON.parse(JSON.stringify(data)); // Deep clone
+    // Normalizing also deep clones and drops internal fields
+    const { data: tree, errors } = MindMap.normalizeData(data, { generateId: () => this.generateId() });
+    if (errors.length) this.handleInvalidData(errors, data);
+
+    this.treeData = tree;
+    this.clearHistory();
     this.render();
     this.setStatus('Data loaded successfully');
+    this.emitDataChange();
+  }
+
+  /**
+   * Apply the onInvalidData policy to problems found by setData(). Throws
+   * for 'throw'; 'repair' and 'warn' use the repaired data and emit
+   * dataRepair, 'warn' also logs the problems to the console.
+   */
+  handleInvalidData(errors, data) {
+    const policy = this.config.onInvalidData;
+    const summary = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('; ') +
+      (errors.length > 3 ? ` (and ${errors.length - 3} more)` : '');
+
+    if (policy === 'throw') {
+      const error = new Error(`MindMap: Invalid data: ${summary}`);
+      error.errors = errors;
+      throw error;
+    }
+    if (policy === 'warn') {
+      console.warn(`MindMap: Repaired invalid data: ${summary}`, errors);
+    } else if (policy !== 'repair') {
+      throw new Error(`MindMap: Unknown onInvalidData policy "${policy}"`);
+    }
+    this.emit('dataRepair', errors, data);
   }
 
   /**
    * Get the mindmap data
    */
   getData() {
-    return JSON.parse(JSON.stringify(this.treeData)); // Deep clone
+    return this.cloneNode(this.treeData); // Deep clone without internal fields
   }
 
   /**
@@ -282,32 +442,159 @@ class MindMap {
     return 'node_' + (++this.nodeIdCounter);
   }
 
+  /**
+   * Generate an ID no node in the map has yet
+   */
+  generateUnusedId() {
+    let id;
+    do id = this.generateId(); while (this.findNodeById(this.treeData, id));
+    return id;
+  }
+
+  /**
+   * Register an event listener
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(handler);
+    return this;
+  }
+
+  /**
+   * Remove an event listener (or all listeners for the event)
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return this;
+    if (!handler) {
+      delete this.listeners[event];
+    } else {
+      this.listeners[event] = this.listeners[event].filter(h => h !== handler && h._original !== handler);
+    }
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   */
+  once(event, handler) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      return handler(...args);
+    };
+    wrapper._original = handler;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Emit an event to registered listeners and the matching config callback
+   * (e.g. 'nodeAdd' also calls config.onNodeAdd).
+   * Returns false if any listener returned false, which cancels "before" events.
+   */
+  emit(event, ...args) {
+    let allowed = true;
+    const handlers = (this.listeners[event] || []).slice();
+    for (const handler of handlers) {
+      if (this.callListener(handler, args) === false) allowed = false;
+    }
+
+    const callbackName = 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+    if (typeof this.config[callbackName] === 'function') {
+      if (this.callListener(this.config[callbackName], args) === false) allowed = false;
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Call a listener. Events are emitted in the middle of edits, so an error
+   * thrown by a listener is reported (reaching window.onerror and the
+   * console) instead of leaving the edit half done.
+   */
+  callListener(handler, args) {
+    try {
+      return handler.apply(this, args);
+    } catch (err) {
+      if (typeof reportError === 'function') {
+        reportError(err);
+      } else {
+        setTimeout(() => {
+          throw err;
+        }, 0);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Notify listeners that the tree data changed
+   */
+  emitDataChange() {
+    if (this.activeBatch) {
+      this.activeBatch.dataChange = true;
+      return;
+    }
+    this.scheduleAutosave();
+    this.captureOperations();
+    // Cloning large trees is costly, so only do it when someone is listening
+    if (!this.hasListeners('dataChange')) return;
+    this.emit('dataChange', this.getData());
+  }
+
+  /**
+   * Check whether an event has listeners or a config callback
+   */
+  hasListeners(event) {
+    const callbackName = 'on' + event.charAt(0).toUpperCase() + event.slice(1);
+    return !!(this.listeners[event] && this.listeners[event].length) ||
+      typeof this.config[callbackName] === 'function';
+  }
+
   /**
    * Set status message
    */
   setStatus(message) {
-    if (!this.statusEl) return;
-    this.statusEl.textContent = message;
+    this.announce(message);
+    if (!this.statusTextEl) return;
+    this.statusTextEl.textContent = message;
     setTimeout(() => {
-      if (this.statusEl) {
+      if (this.statusTextEl) {
         // Detect if device supports touch
         const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
 
         if (this.config.editable) {
-          this.statusEl.textContent = isTouchDevice ?
+          this.statusTextEl.textContent = isTouchDevice ?
             'Long press nodes for menu • Double tap to rename' :
             'Right-click nodes to edit • Double-click to rename';
         } else {
-          this.statusEl.textContent = 'Interactive Mind Map';
+          this.statusTextEl.textContent = 'Interactive Mind Map';
         }
       }
     }, 3000);
   }
 
+  /**
+   * Read a message out to screen readers
+   */
+  announce(message) {
+    if (!this.liveRegion) return;
+    // A changed text is announced again even when the message repeats
+    this.liveRegion.textContent = this.liveRegion.textContent === message ? `${message}\u00a0` : message;
+  }
+
   /**
    * Convert screen coordinates to SVG coordinates
    */
   screenToSvg(screenX, screenY) {
+    // The screen CTM accounts for letterboxing from preserveAspectRatio
+    const ctm = this.svg.getScreenCTM && this.svg.getScreenCTM();
+    if (ctm && this.svg.createSVGPoint) {
+      const point = this.svg.createSVGPoint();
+      point.x = screenX;
+      point.y = screenY;
+      const { x, y } = point.matrixTransform(ctm.inverse());
+      return { x, y };
+    }
+
     const rect = this.svg.getBoundingClientRect();
     const svgX = (screenX - rect.left) / rect.width * this.config.width;
     const svgY = (screenY - rect.top) / rect.height * this.config.height;
@@ -321,22 +608,357 @@ class MindMap {
     if (this.isEditing) return;
     e.preventDefault();
 
-    const scaleFactor = e.deltaY > 0 ? 0.9 : 1.1;
-    const newZoom = this.zoom * scaleFactor;
+    // Normalize line and page scrolling to pixels; one notch (~100px)
+    // zooms by a factor of 1 + zoomSensitivity
+    let delta = e.deltaY;
+    if (e.deltaMode === 1) delta *= 33;
+    if (e.deltaMode === 2) delta *= this.config.height;
+    const scaleFactor = Math.pow(1 + this.config.zoomSensitivity, -delta / 100);
 
-    const centerPoint = this.screenToSvg(
-      this.svg.getBoundingClientRect().left + this.svg.getBoundingClientRect().width / 2,
-      this.svg.getBoundingClientRect().top + this.svg.getBoundingClientRect().height / 2
-    );
+    // Zoom around the cursor
+    this.setZoom(this.zoom * scaleFactor, this.screenToSvg(e.clientX, e.clientY));
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   */
+  handleKeyDown(e) {
+    if (this.isEditing) return;
+    if (e.target.matches && e.target.matches('input, textarea, [contenteditable="true"]')) return;
 
-    const fixedX = (centerPoint.x - this.offsetX) / this.zoom;
-    const fixedY = (centerPoint.y - this.offsetY) / this.zoom;
+    const bindings = this.config.keyBindings;
+    const action = Object.keys(bindings).find(name => this.matchesKeyBinding(e, bindings[name]));
+    if (!action) return;
 
-    this.zoom = newZoom;
-    this.offsetX = centerPoint.x - fixedX * this.zoom;
-    this.offsetY = centerPoint.y - fixedY * this.zoom;
+    const handled = this.runKeyAction(action);
+    if (handled !== false) e.preventDefault();
+  }
 
-    this.updateTransform();
+  /**
+   * Check whether a keyboard event matches a binding such as 'Mod+Shift+Z'.
+   * 'Mod' is Ctrl on Windows/Linux and Cmd on macOS. Arrays match any entry.
+   */
+  matchesKeyBinding(e, binding) {
+    if (!binding) return false;
+    if (Array.isArray(binding)) return binding.some(b => this.matchesKeyBinding(e, b));
+
+    const parts = binding.split('+');
+    let key = parts.pop().toLowerCase();
+    if (key === 'space') key = ' ';
+    const mods = parts.map(p => p.toLowerCase());
+
+    const wantCtrl = mods.includes('ctrl');
+    const wantMeta = mods.includes('meta');
+    const wantMod = mods.includes('mod');
+    const hasMod = e.ctrlKey || e.metaKey;
+
+    if (wantMod ? !hasMod : (e.ctrlKey !== wantCtrl || e.metaKey !== wantMeta)) return false;
+    if (e.shiftKey !== mods.includes('shift')) return false;
+    if (e.altKey !== mods.includes('alt')) return false;
+
+    return e.key.toLowerCase() === key;
+  }
+
+  /**
+   * Run a keyboard action by name. Returns false if nothing was done so the
+   * browser default is kept.
+   */
+  runKeyAction(action) {
+    const nodeId = this.selectedNode;
+    const editable = this.config.editable;
+
+    switch (action) {
+      case 'undo':
+        return this.undo();
+      case 'redo':
+        return this.redo();
+      case 'navigateUp':
+        return this.navigate('up');
+      case 'navigateDown':
+        return this.navigate('down');
+      case 'navigateLeft':
+        return this.navigate('left');
+      case 'navigateRight':
+        return this.navigate('right');
+      case 'deselect':
+        if (this.cancelConnect()) {
+          this.setStatus('Connect cancelled');
+          return true;
+        }
+        if (!nodeId) return false;
+        this.selectNode(null);
+        return true;
+      case 'toggleCollapse': {
+        if (!nodeId) return false;
+        if (this.selection.size > 1) {
+          const node = this.findNodeById(this.treeData, nodeId);
+          return this.setNodesCollapsed(null, !node.collapsed);
+        }
+        return this.toggleCollapse(nodeId);
+      }
+      case 'selectAll':
+        return this.selectSubtree(this.treeData.id);
+      case 'rename':
+        if (!nodeId || !editable) return false;
+        this.startEdit(nodeId);
+        return true;
+      case 'addChild':
+        if (!nodeId || !editable) return false;
+        return this.addAndEdit(nodeId, 'child');
+      case 'addSibling':
+        if (!nodeId || !editable) return false;
+        return this.addAndEdit(nodeId, nodeId === this.treeData.id ? 'child' : 'sibling');
+      case 'delete': {
+        if (!nodeId || !editable) return false;
+        if (this.selection.size > 1) {
+          // Select the closest ancestor that survives
+          const ancestors = [];
+          for (let p = this.findParentById(this.treeData, nodeId); p; p = this.findParentById(this.treeData, p.id)) {
+            ancestors.push(p.id);
+          }
+          if (!this.deleteNodes()) return false;
+          const survivor = ancestors.find(id => this.findNodeById(this.treeData, id));
+          this.selectNode(survivor);
+          this.focusNode(survivor);
+          return true;
+        }
+        const parent = this.findParentById(this.treeData, nodeId);
+        if (!parent) return false;
+        const index = parent.children.findIndex(c => c.id === nodeId);
+        const next = parent.children[index + 1] || parent.children[index - 1] || parent;
+        if (!this.deleteNode(nodeId)) return false;
+        this.selectNode(next.id);
+        this.focusNode(next.id);
+        return true;
+      }
+      case 'contextMenu': {
+        if (!nodeId || !editable) return false;
+        const rect = this.getNodeElement(nodeId).getBoundingClientRect();
+        this.showContextMenu(rect.left + rect.width / 2, rect.top + rect.height / 2, nodeId);
+        return true;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Add a child or sibling and open it straight into inline edit
+   */
+  addAndEdit(nodeId, relation = 'child') {
+    const added = relation === 'child' ? this.addChild(nodeId) : this.addSibling(nodeId);
+    if (!added) return false;
+
+    let newNode;
+    if (relation === 'child') {
+      const parent = this.findNodeById(this.treeData, nodeId);
+      newNode = parent.children[parent.children.length - 1];
+    } else {
+      const parent = this.findParentById(this.treeData, nodeId);
+      newNode = parent.children[parent.children.findIndex(c => c.id === nodeId) + 1];
+    }
+
+    this.selectNode(newNode.id);
+    this.startEdit(newNode.id);
+    return true;
+  }
+
+  /**
+   * Select only this node (or clear the selection with null)
+   */
+  selectNode(nodeId) {
+    if (nodeId && !this.findNodeById(this.treeData, nodeId)) return false;
+    return this.setSelection(nodeId ? [nodeId] : []);
+  }
+
+  /**
+   * Replace the selection. primary is the node keyboard actions and
+   * single-node events refer to (defaults to the last ID). Unknown IDs are
+   * ignored.
+   */
+  setSelection(nodeIds, primary) {
+    const ids = [...new Set(nodeIds)].filter(id => this.findNodeById(this.treeData, id));
+    const nextPrimary = ids.includes(primary) ? primary : (ids[ids.length - 1] || null);
+    const changed = ids.length !== this.selection.size || ids.some(id => !this.selection.has(id));
+    const primaryChanged = nextPrimary !== this.selectedNode;
+    if (!changed && !primaryChanged) return true;
+
+    for (const id of this.selection) {
+      if (!ids.includes(id)) this.markSelected(id, false);
+    }
+    ids.forEach(id => this.markSelected(id, true));
+    this.selection = new Set(ids);
+    this.selectedNode = nextPrimary;
+    this.updateTabStop();
+
+    // Keyboard focus follows the selection while it is inside the map
+    const active = document.activeElement;
+    if (nextPrimary && active && (active === this.container || this.svg.contains(active))) {
+      this.focusNode(nextPrimary);
+    }
+
+    if (primaryChanged) {
+      this.sendPresence();
+      this.emit('nodeSelect', nextPrimary ? this.findNodeById(this.treeData, nextPrimary) : null);
+    }
+    if (changed) this.emit('selectionChange', [...ids]);
+    return true;
+  }
+
+  /**
+   * Get the IDs of all selected nodes, in the order they were selected
+   */
+  getSelection() {
+    return [...this.selection];
+  }
+
+  /**
+   * Add a node to the selection, or remove it if it is already selected
+   */
+  toggleNodeSelection(nodeId) {
+    if (!this.findNodeById(this.treeData, nodeId)) return false;
+    if (this.selection.has(nodeId)) {
+      const ids = this.getSelection().filter(id => id !== nodeId);
+      return this.setSelection(ids, this.selectedNode === nodeId ? undefined : this.selectedNode);
+    }
+    return this.setSelection([...this.selection, nodeId], nodeId);
+  }
+
+  /**
+   * Select a node and everything below it, collapsed nodes included
+   */
+  selectSubtree(nodeId) {
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!node) return false;
+    const ids = [];
+    const collect = (n) => {
+      ids.push(n.id);
+      (n.children || []).forEach(collect);
+    };
+    collect(node);
+    return this.setSelection(ids, nodeId);
+  }
+
+  /**
+   * Show or clear the selected state of a rendered node
+   */
+  markSelected(nodeId, selected) {
+    const element = this.getNodeElement(nodeId);
+    if (!element) return;
+    element.classList.toggle('selected', selected);
+    element.setAttribute('aria-selected', String(selected));
+  }
+
+  /**
+   * Reduce a list of node IDs to those not inside another listed node's
+   * subtree, in tree order. Bulk operations act on these.
+   */
+  getTopmostNodes(nodeIds) {
+    const ids = new Set(nodeIds);
+    const topmost = [];
+    const visit = (node, inside) => {
+      const listed = ids.has(node.id);
+      if (listed && !inside) topmost.push(node.id);
+      (node.children || []).forEach(c => visit(c, inside || listed));
+    };
+    if (this.treeData) visit(this.treeData, false);
+    return topmost;
+  }
+
+  /**
+   * Make the selected node (or the root) the one node reachable with Tab
+   */
+  updateTabStop() {
+    const nodeId = this.selectedNode && this.getNodeElement(this.selectedNode) ? this.selectedNode : this.treeData && this.treeData.id;
+    if (this.tabStop && this.tabStop !== nodeId) {
+      const previous = this.getNodeElement(this.tabStop);
+      if (previous) previous.setAttribute('tabindex', '-1');
+    }
+    const element = nodeId && this.getNodeElement(nodeId);
+    if (element) element.setAttribute('tabindex', '0');
+    this.tabStop = nodeId;
+  }
+
+  /**
+   * Move keyboard focus to a node's element
+   */
+  focusNode(nodeId) {
+    const element = this.getNodeElement(nodeId);
+    if (!element) return false;
+    element.focus({ preventScroll: true });
+    return true;
+  }
+
+  /**
+   * Select nodes as they receive keyboard focus (delegated from the SVG)
+   */
+  handleFocusIn(e) {
+    // Mouse presses select on click instead, which knows about modifier keys
+    if (this.nodeDrag || this.isDragging) return;
+    const node = this.getEventNode(e);
+    if (node && node.id !== this.selectedNode) this.selectNode(node.id);
+  }
+
+  /**
+   * Get the selected node ID
+   */
+  getSelectedNode() {
+    return this.selectedNode;
+  }
+
+  /**
+   * Move the selection in a screen direction ('up', 'down', 'left', 'right').
+   * Parent, children and siblings are preferred; any visible node in that
+   * direction is the fallback.
+   */
+  navigate(direction) {
+    if (!this.treeData) return false;
+    if (!this.selectedNode) return this.selectNode(this.treeData.id);
+
+    const vectors = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+    const [dx, dy] = vectors[direction];
+    const current = this.findNodeById(this.treeData, this.selectedNode);
+    const parent = this.findParentById(this.treeData, current.id);
+
+    const score = (node) => {
+      const from = this.positions[current.id];
+      const to = this.positions[node.id];
+      const vx = to.x - from.x;
+      const vy = to.y - from.y;
+      const distance = Math.hypot(vx, vy);
+      if (distance === 0) return Infinity;
+      const cos = (vx * dx + vy * dy) / distance;
+      if (cos < 0.3) return Infinity;
+      return distance / cos;
+    };
+
+    const pickBest = (nodes) => {
+      let best = null;
+      let bestScore = Infinity;
+      for (const node of nodes) {
+        const value = score(node);
+        if (value < bestScore) {
+          best = node;
+          bestScore = value;
+        }
+      }
+      return best;
+    };
+
+    const related = [];
+    if (parent) related.push(parent, ...parent.children.filter(c => c !== current));
+    if (current.children && !current.collapsed) related.push(...current.children);
+
+    const visible = [];
+    const collect = (node) => {
+      if (node !== current) visible.push(node);
+      if (node.children && !node.collapsed) node.children.forEach(collect);
+    };
+    collect(this.treeData);
+
+    const target = pickBest(related) || pickBest(visible);
+    if (!target) return false;
+    return this.selectNode(target.id);
   }
 
   /**
@@ -344,7 +966,24 @@ class MindMap {
    */
   handleMouseDown(e) {
     if (this.isEditing) return;
+
+    // Pressing a node in editable mode starts a node drag instead of panning
+    const nodeElement = e.target.closest && e.target.closest('.mindmap-node');
+    if (nodeElement && this.config.editable && e.button === 0) {
+      this.nodeDrag = { nodeId: nodeElement.getAttribute('data-node-id'), x: e.clientX, y: e.clientY, active: false };
+      this.dragMoved = false;
+      return;
+    }
+
+    // With Shift (or Ctrl/Cmd to add to the selection) the canvas drag selects instead of panning
+    if (!nodeElement && e.button === 0 && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+      this.startMarquee(e.clientX, e.clientY, e.ctrlKey || e.metaKey);
+      return;
+    }
+
+    this.stopCameraAnimation();
     this.isDragging = true;
+    this.dragMoved = false;
     this.dragStart = { x: e.clientX, y: e.clientY, ox: this.offsetX, oy: this.offsetY };
     this.svg.style.cursor = 'grabbing';
   }
@@ -353,16 +992,47 @@ class MindMap {
    * Handle mouse move for panning
    */
   handleMouseMove(e) {
+    if (this.marquee) {
+      this.updateMarquee(e.clientX, e.clientY);
+      return;
+    }
+
+    if (this.nodeDrag) {
+      if (!this.nodeDrag.active) {
+        const distance = Math.abs(e.clientX - this.nodeDrag.x) + Math.abs(e.clientY - this.nodeDrag.y);
+        if (distance <= 5) return;
+        this.startNodeDrag(this.nodeDrag.nodeId);
+      }
+      this.updateNodeDrag(e.clientX, e.clientY);
+      return;
+    }
+
     if (!this.isDragging || this.isEditing) return;
     this.offsetX = this.dragStart.ox + (e.clientX - this.dragStart.x);
     this.offsetY = this.dragStart.oy + (e.clientY - this.dragStart.y);
+    if (Math.abs(e.clientX - this.dragStart.x) + Math.abs(e.clientY - this.dragStart.y) > 3) {
+      this.dragMoved = true;
+    }
     this.updateTransform();
+    this.emit('pan', this.offsetX, this.offsetY);
+    this.emit('viewportChange', this.getViewport());
   }
 
   /**
    * Handle mouse up
    */
   handleMouseUp() {
+    if (this.marquee) {
+      this.endMarquee(true);
+      return;
+    }
+
+    if (this.nodeDrag) {
+      if (this.nodeDrag.active) this.dragMoved = true;
+      this.endNodeDrag(true);
+    } else if (this.isDragging && !this.dragMoved) {
+      this.selectNode(null); // Click on empty canvas
+    }
     this.isDragging = false;
     this.svg.style.cursor = this.isEditing ? 'default' : 'grab';
   }
@@ -371,63 +1041,261 @@ class MindMap {
    * Handle mouse leave
    */
   handleMouseLeave() {
+    if (this.marquee) this.endMarquee(false);
+    if (this.nodeDrag) this.endNodeDrag(false);
     this.isDragging = false;
     this.svg.style.cursor = this.isEditing ? 'default' : 'grab';
   }
 
   /**
-   * Get touch distance for pinch-to-zoom
+   * Start a rubber-band selection at a screen point. additive keeps the
+   * current selection.
    */
-  getTouchDistance(touches) {
-    const dx = touches[0].clientX - touches[1].clientX;
-    const dy = touches[0].clientY - touches[1].clientY;
-    return Math.sqrt(dx * dx + dy * dy);
+  startMarquee(clientX, clientY, additive = false) {
+    const start = this.screenToTree(clientX, clientY);
+    const element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    element.setAttribute('class', 'mindmap-marquee');
+    element.setAttribute('x', start.x);
+    element.setAttribute('y', start.y);
+    element.setAttribute('width', 0);
+    element.setAttribute('height', 0);
+    this.viewport.appendChild(element);
+
+    this.marquee = { start, end: start, additive, element };
   }
 
   /**
-   * Get touch center point
+   * Stretch the rubber band to a screen point
    */
-  getTouchCenter(touches) {
+  updateMarquee(clientX, clientY) {
+    if (!this.marquee) return;
+    const { start, element } = this.marquee;
+    const end = this.screenToTree(clientX, clientY);
+    element.setAttribute('x', Math.min(start.x, end.x));
+    element.setAttribute('y', Math.min(start.y, end.y));
+    element.setAttribute('width', Math.abs(end.x - start.x));
+    element.setAttribute('height', Math.abs(end.y - start.y));
+    this.marquee.end = end;
+  }
+
+  /**
+   * Finish the rubber band, selecting the visible nodes inside it
+   */
+  endMarquee(apply = true) {
+    const marquee = this.marquee;
+    this.marquee = null;
+    if (!marquee) return;
+    marquee.element.remove();
+    if (!apply) return;
+
+    const { start, end } = marquee;
+    const minX = Math.min(start.x, end.x), maxX = Math.max(start.x, end.x);
+    const minY = Math.min(start.y, end.y), maxY = Math.max(start.y, end.y);
+    const inside = Object.keys(this.positions).filter(id => {
+      const { x, y } = this.positions[id];
+      return x >= minX && x <= maxX && y >= minY && y <= maxY;
+    });
+
+    this.setSelection(marquee.additive ? [...this.selection, ...inside] : inside, marquee.additive ? this.selectedNode : undefined);
+    if (inside.length) this.setStatus(`${this.selection.size} node${this.selection.size === 1 ? '' : 's'} selected`);
+  }
+
+  /**
+   * Convert screen coordinates to tree (viewport) coordinates
+   */
+  screenToTree(screenX, screenY) {
+    const point = this.screenToSvg(screenX, screenY);
     return {
-      x: (touches[0].clientX + touches[1].clientX) / 2,
-      y: (touches[0].clientY + touches[1].clientY) / 2
+      x: (point.x - this.offsetX) / this.zoom,
+      y: (point.y - this.offsetY) / this.zoom
     };
   }
 
   /**
-   * Handle touch start
+   * Begin dragging a node (shows the ghost preview)
    */
-  handleTouchStart(e) {
-    if (this.isEditing) return;
-
-    // Check if touch started on a node - if so, let node handle it
-    const target = e.target;
-    const nodeElement = target.closest('.mindmap-node');
-    if (nodeElement) {
-      return; // Let node handle the touch
+  startNodeDrag(nodeId) {
+    if (!this.config.editable || nodeId === this.treeData.id) {
+      this.nodeDrag = null;
+      return false;
     }
 
-    e.preventDefault();
-
-    const touches = e.touches;
-    this.isTouching = true;
+    const source = this.getNodeElement(nodeId);
+    if (!source) return false;
 
-    if (touches.length === 1) {
-      // Single touch - panning
-      this.isDragging = true;
-      this.touchStart = {
-        x: touches[0].clientX,
-        y: touches[0].clientY,
-        ox: this.offsetX,
-        oy: this.offsetY
-      };
-    } else if (touches.length === 2) {
-      // Two touches - pinch to zoom
-      this.isDragging = false;
-      this.lastTouchDistance = this.getTouchDistance(touches);
-      this.lastTouchCenter = this.getTouchCenter(touches);
+    const ghost = source.cloneNode(true);
+    ghost.removeAttribute('data-node-id');
+    ghost.setAttribute('class', source.getAttribute('class') + ' mindmap-drag-ghost');
+    // The ghost is decoration: keep it out of the accessibility tree and tab order
+    [ghost, ...ghost.querySelectorAll('*')].forEach(el => {
+      [...el.attributes].forEach(({ name }) => {
+        if (name === 'role' || name === 'tabindex' || name.startsWith('aria-')) el.removeAttribute(name);
+      });
+    });
+    ghost.setAttribute('aria-hidden', 'true');
+    this.viewport.appendChild(ghost);
+    source.classList.add('dragging');
 
-      // Convert touch center to SVG coordinates
+    this.nodeDrag = { ...(this.nodeDrag || {}), nodeId, active: true, ghost, source, target: null };
+    this.svg.style.cursor = 'grabbing';
+    return true;
+  }
+
+  /**
+   * Move the drag ghost and update the drop-target highlight
+   */
+  updateNodeDrag(clientX, clientY) {
+    if (!this.nodeDrag || !this.nodeDrag.active) return;
+
+    const point = this.screenToTree(clientX, clientY);
+    this.nodeDrag.ghost.setAttribute('transform', `translate(${point.x},${point.y})`);
+
+    const target = this.findDropTarget(this.nodeDrag.nodeId, point);
+    const previous = this.nodeDrag.target;
+    if (previous && (!target || previous.element !== target.element || previous.position !== target.position)) {
+      previous.element.classList.remove('drop-target', 'drop-child', 'drop-before', 'drop-after');
+    }
+    if (target) {
+      target.element.classList.add('drop-target', `drop-${target.position}`);
+    }
+    this.nodeDrag.target = target;
+  }
+
+  /**
+   * Finish a node drag, moving the node if dropped on a valid target
+   */
+  endNodeDrag(drop = true) {
+    const drag = this.nodeDrag;
+    this.nodeDrag = null;
+    if (!drag || !drag.active) return;
+
+    drag.ghost.remove();
+    drag.source.classList.remove('dragging');
+    if (drag.target) {
+      drag.target.element.classList.remove('drop-target', 'drop-child', 'drop-before', 'drop-after');
+    }
+    this.svg.style.cursor = 'grab';
+
+    if (!drop || !drag.target) return;
+
+    // Dragging one of several selected nodes moves them all
+    const move = this.selection.has(drag.nodeId) && this.selection.size > 1 ?
+      (parentId, index) => this.moveNodes(this.getSelection(), parentId, index) :
+      (parentId, index) => this.moveNode(drag.nodeId, parentId, index);
+
+    const { nodeId: targetId, position } = drag.target;
+    if (position === 'child') {
+      move(targetId);
+    } else {
+      const parent = this.findParentById(this.treeData, targetId);
+      const index = parent.children.findIndex(c => c.id === targetId);
+      move(parent.id, position === 'before' ? index : index + 1);
+    }
+  }
+
+  /**
+   * Find the node under a tree-space point and whether the drop means
+   * "make child" or "insert before/after as sibling". Returns null for the
+   * dragged subtree itself, which would create a cycle.
+   */
+  findDropTarget(nodeId, point) {
+    const hitRadius = 40;
+    let best = null;
+    let bestDistance = hitRadius;
+
+    const visit = (node) => {
+      if (node.id === nodeId) return; // Skip the dragged subtree
+      const pos = this.positions[node.id];
+      const distance = Math.hypot(point.x - pos.x, point.y - pos.y);
+      if (distance < bestDistance) {
+        best = node;
+        bestDistance = distance;
+      }
+      if (node.children && !node.collapsed) node.children.forEach(visit);
+    };
+    visit(this.treeData);
+
+    if (!best) return null;
+
+    const element = this.getNodeElement(best.id);
+    if (!element) return null;
+
+    const parent = this.findParentById(this.treeData, best.id);
+    const bestPos = this.positions[best.id];
+    const link = this.getLayoutEntry().link;
+    let position = 'child';
+    if (parent && bestDistance > 16 && link !== 'radial') {
+      // Siblings are stacked vertically, or horizontally for top-down layouts
+      const delta = link === 'vertical' ? point.x - bestPos.x : point.y - bestPos.y;
+      position = delta < 0 ? 'before' : 'after';
+    } else if (parent && bestDistance > 16) {
+      // Siblings are ordered by angle around their parent
+      const parentPos = this.positions[parent.id];
+      const pointerAngle = Math.atan2(point.y - parentPos.y, point.x - parentPos.x);
+      const nodeAngle = Math.atan2(bestPos.y - parentPos.y, bestPos.x - parentPos.x);
+      let delta = pointerAngle - nodeAngle;
+      while (delta > Math.PI) delta -= Math.PI * 2;
+      while (delta < -Math.PI) delta += Math.PI * 2;
+      position = delta < 0 ? 'before' : 'after';
+    }
+
+    return { nodeId: best.id, element, position };
+  }
+
+  /**
+   * Get touch distance for pinch-to-zoom
+   */
+  getTouchDistance(touches) {
+    const dx = touches[0].clientX - touches[1].clientX;
+    const dy = touches[0].clientY - touches[1].clientY;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Get touch center point
+   */
+  getTouchCenter(touches) {
+    return {
+      x: (touches[0].clientX + touches[1].clientX) / 2,
+      y: (touches[0].clientY + touches[1].clientY) / 2
+    };
+  }
+
+  /**
+   * Handle touch start
+   */
+  handleTouchStart(e) {
+    if (this.isEditing) return;
+
+    // Touches that start on a node are handled as node gestures
+    const node = this.getEventNode(e);
+    if (node) {
+      this.handleNodeTouchStart(e, node.id);
+      return;
+    }
+
+    e.preventDefault();
+    this.stopCameraAnimation();
+
+    const touches = e.touches;
+    this.isTouching = true;
+
+    if (touches.length === 1) {
+      // Single touch - panning
+      this.isDragging = true;
+      this.touchStart = {
+        x: touches[0].clientX,
+        y: touches[0].clientY,
+        ox: this.offsetX,
+        oy: this.offsetY
+      };
+    } else if (touches.length === 2) {
+      // Two touches - pinch to zoom
+      this.isDragging = false;
+      this.lastTouchDistance = this.getTouchDistance(touches);
+      this.lastTouchCenter = this.getTouchCenter(touches);
+
+      // Convert touch center to SVG coordinates
       const svgCenter = this.screenToSvg(this.lastTouchCenter.x, this.lastTouchCenter.y);
       this.touchStart = {
         x: this.lastTouchCenter.x,
@@ -445,15 +1313,13 @@ class MindMap {
    * Handle touch move
    */
   handleTouchMove(e) {
-    if (!this.isTouching || this.isEditing) return;
-
-    // Check if touch is on a node - if so, don't interfere
-    const target = e.target;
-    const nodeElement = target.closest('.mindmap-node');
-    if (nodeElement) {
-      return; // Let node handle the touch
+    if (this.nodeTouch) {
+      this.handleNodeTouchMove(e);
+      return;
     }
 
+    if (!this.isTouching || this.isEditing) return;
+
     e.preventDefault();
 
     const touches = e.touches;
@@ -463,6 +1329,8 @@ class MindMap {
       this.offsetX = this.touchStart.ox + (touches[0].clientX - this.touchStart.x);
       this.offsetY = this.touchStart.oy + (touches[0].clientY - this.touchStart.y);
       this.updateTransform();
+      this.emit('pan', this.offsetX, this.offsetY);
+      this.emit('viewportChange', this.getViewport());
     } else if (touches.length === 2 && this.lastTouchDistance && this.touchStart) {
       // Two touch pinch-to-zoom
       const currentDistance = this.getTouchDistance(touches);
@@ -470,7 +1338,7 @@ class MindMap {
 
       // Calculate zoom
       const scaleFactor = currentDistance / this.lastTouchDistance;
-      const newZoom = Math.max(0.1, Math.min(5, this.touchStart.zoom * scaleFactor));
+      const newZoom = this.clampZoom(this.touchStart.zoom * scaleFactor);
 
       // Calculate new offset to zoom around touch center
       const fixedX = (this.touchStart.svgX - this.touchStart.ox) / this.touchStart.zoom;
@@ -488,6 +1356,8 @@ class MindMap {
       this.offsetY = svgCenter.y - fixedY * this.zoom + centerDy;
 
       this.updateTransform();
+      this.emit('zoom', this.zoom);
+      this.emit('viewportChange', this.getViewport());
     }
   }
 
@@ -495,15 +1365,13 @@ class MindMap {
    * Handle touch end
    */
   handleTouchEnd(e) {
-    if (!this.isTouching) return;
-
-    // Check if touch is on a node - if so, don't interfere
-    const target = e.target;
-    const nodeElement = target.closest('.mindmap-node');
-    if (nodeElement) {
-      return; // Let node handle the touch
+    if (this.nodeTouch) {
+      this.handleNodeTouchEnd(e);
+      return;
     }
 
+    if (!this.isTouching) return;
+
     e.preventDefault();
 
     const touches = e.touches;
@@ -536,6 +1404,148 @@ class MindMap {
     this.viewport.setAttribute('transform', `translate(${this.offsetX},${this.offsetY}) scale(${this.zoom})`);
   }
 
+  /**
+   * Get the visible area in tree coordinates along with the raw transform
+   */
+  getViewport() {
+    return {
+      x: -this.offsetX / this.zoom,
+      y: -this.offsetY / this.zoom,
+      width: this.config.width / this.zoom,
+      height: this.config.height / this.zoom,
+      zoom: this.zoom,
+      offsetX: this.offsetX,
+      offsetY: this.offsetY
+    };
+  }
+
+  /**
+   * Clamp a zoom level to config.minZoom and config.maxZoom
+   */
+  clampZoom(zoom) {
+    return Math.max(this.config.minZoom, Math.min(this.config.maxZoom, zoom));
+  }
+
+  /**
+   * Move the camera to a zoom and offset. With options.animate the change
+   * is eased over options.duration (default config.animationDuration) ms.
+   */
+  setView({ zoom, offsetX, offsetY }, options = {}) {
+    this.stopCameraAnimation();
+
+    const duration = options.duration !== undefined ? options.duration : this.config.animationDuration;
+    if (!options.animate || duration <= 0 || typeof requestAnimationFrame !== 'function') {
+      this.applyView(zoom, offsetX, offsetY);
+      return;
+    }
+
+    const from = { zoom: this.zoom, offsetX: this.offsetX, offsetY: this.offsetY };
+    let start = null;
+    const step = (now) => {
+      if (start === null) start = now;
+      const t = Math.min(1, (now - start) / duration);
+      const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+      this.applyView(
+        from.zoom + (zoom - from.zoom) * eased,
+        from.offsetX + (offsetX - from.offsetX) * eased,
+        from.offsetY + (offsetY - from.offsetY) * eased
+      );
+      this.cameraAnimation = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    this.cameraAnimation = requestAnimationFrame(step);
+  }
+
+  /**
+   * Apply a camera position immediately and notify listeners
+   */
+  applyView(zoom, offsetX, offsetY) {
+    const zoomChanged = zoom !== this.zoom;
+    const panned = offsetX !== this.offsetX || offsetY !== this.offsetY;
+    this.zoom = zoom;
+    this.offsetX = offsetX;
+    this.offsetY = offsetY;
+    this.updateTransform();
+    if (zoomChanged) this.emit('zoom', this.zoom);
+    if (panned) this.emit('pan', this.offsetX, this.offsetY);
+    this.emit('viewportChange', this.getViewport());
+  }
+
+  /**
+   * Cancel a running camera animation
+   */
+  stopCameraAnimation() {
+    if (this.cameraAnimation) {
+      cancelAnimationFrame(this.cameraAnimation);
+      this.cameraAnimation = null;
+    }
+  }
+
+  /**
+   * Zoom to a level, keeping the anchor point ({ x, y } in SVG coordinates,
+   * default the center of the view) in place
+   */
+  setZoom(zoom, anchor = null, options = {}) {
+    const point = anchor || { x: this.config.width / 2, y: this.config.height / 2 };
+    const newZoom = this.clampZoom(zoom);
+    const fixedX = (point.x - this.offsetX) / this.zoom;
+    const fixedY = (point.y - this.offsetY) / this.zoom;
+    this.setView({
+      zoom: newZoom,
+      offsetX: point.x - fixedX * newZoom,
+      offsetY: point.y - fixedY * newZoom
+    }, options);
+  }
+
+  /**
+   * Center the view on a point in tree coordinates, keeping the zoom
+   */
+  panTo(x, y, options = {}) {
+    this.setView({
+      zoom: this.zoom,
+      offsetX: this.config.width / 2 - x * this.zoom,
+      offsetY: this.config.height / 2 - y * this.zoom
+    }, options);
+  }
+
+  /**
+   * Center the view on a node and zoom in (options.zoom, default at least 1.5)
+   */
+  zoomToNode(nodeId, options = {}) {
+    const pos = this.positions[nodeId];
+    if (!pos) return false;
+    const zoom = this.clampZoom(options.zoom !== undefined ? options.zoom : Math.max(this.zoom, 1.5));
+    this.setView({
+      zoom,
+      offsetX: this.config.width / 2 - pos.x * zoom,
+      offsetY: this.config.height / 2 - pos.y * zoom
+    }, options);
+    return true;
+  }
+
+  /**
+   * Zoom and pan so the whole map is visible. Options: padding (default 20),
+   * maxZoom (upper bound for small maps), animate, duration.
+   */
+  fitToContent(options = {}) {
+    const bounds = this.getContentBounds();
+    if (!bounds.width && !bounds.height) return false;
+
+    const padding = options.padding !== undefined ? options.padding : 20;
+    const fit = Math.min(
+      this.config.width / (bounds.width + padding * 2),
+      this.config.height / (bounds.height + padding * 2)
+    );
+    const maxZoom = options.maxZoom !== undefined ? options.maxZoom : this.config.maxZoom;
+    const zoom = this.clampZoom(Math.min(fit, maxZoom));
+
+    this.setView({
+      zoom,
+      offsetX: this.config.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+      offsetY: this.config.height / 2 - (bounds.y + bounds.height / 2) * zoom
+    }, options);
+    return true;
+  }
+
   /**
    * Find node by ID in tree
    */
@@ -571,14 +1581,28 @@ class MindMap {
     const parent = this.findNodeById(this.treeData, parentId);
     if (!parent) return false;
 
-    if (!parent.children) parent.children = [];
-    parent.children.push({
+    if (this.emit('beforeNodeAdd', parent, name || 'New Node') === false) return false;
+
+    const newNode = {
       id: this.generateId(),
       name: name || 'New Node'
+    };
+
+    if (!parent.children) parent.children = [];
+    parent.children.push(newNode);
+    delete parent.collapsed; // Reveal the new child
+
+    const index = parent.children.length - 1;
+    const snapshot = this.cloneNode(newNode);
+    this.recordHistory('Add node', {
+      undo: () => this.removeNode(snapshot.id),
+      redo: () => this.insertNode(parent.id, this.cloneNode(snapshot), index)
     });
 
     this.render();
-    this.setStatus(`Added child "${name || 'New Node'}" to "${parent.name}"`);
+    this.setStatus(`Added child "${newNode.name}" to "${parent.name}"`);
+    this.emit('nodeAdd', parent, newNode);
+    this.emitDataChange();
     return true;
   }
 
@@ -591,6 +1615,8 @@ class MindMap {
     const parent = this.findParentById(this.treeData, nodeId);
     if (!parent) return false;
 
+    if (this.emit('beforeNodeAdd', parent, name || 'New Node') === false) return false;
+
     const newNode = {
       id: this.generateId(),
       name: name || 'New Node'
@@ -599,8 +1625,16 @@ class MindMap {
     const siblingIndex = parent.children.findIndex(c => c.id === nodeId);
     parent.children.splice(siblingIndex + 1, 0, newNode);
 
+    const snapshot = this.cloneNode(newNode);
+    this.recordHistory('Add node', {
+      undo: () => this.removeNode(snapshot.id),
+      redo: () => this.insertNode(parent.id, this.cloneNode(snapshot), siblingIndex + 1)
+    });
+
     this.render();
-    this.setStatus(`Added sibling "${name || 'New Node'}"`);
+    this.setStatus(`Added sibling "${newNode.name}"`);
+    this.emit('nodeAdd', parent, newNode);
+    this.emitDataChange();
     return true;
   }
 
@@ -619,11 +1653,34 @@ class MindMap {
     if (!parent) return false;
 
     const nodeIndex = parent.children.findIndex(c => c.id === nodeId);
-    const nodeName = parent.children[nodeIndex].name;
+    const node = parent.children[nodeIndex];
+    if (this.emit('beforeNodeDelete', node, parent) === false) return false;
+
     parent.children.splice(nodeIndex, 1);
 
+    // Cross-links to or from the deleted subtree go with it
+    const linksBefore = this.getCrossLinks();
+    const removedLinks = linksBefore.filter(link => this.findNodeById(node, link.from) || this.findNodeById(node, link.to));
+    const linksAfter = linksBefore.filter(link => !removedLinks.includes(link));
+    if (removedLinks.length) this.restoreCrossLinks(linksAfter);
+
+    const snapshot = this.cloneNode(node);
+    this.recordHistory('Delete node', {
+      undo: () => {
+        this.insertNode(parent.id, this.cloneNode(snapshot), nodeIndex);
+        if (removedLinks.length) this.restoreCrossLinks(linksBefore);
+      },
+      redo: () => {
+        this.removeNode(snapshot.id);
+        if (removedLinks.length) this.restoreCrossLinks(linksAfter);
+      }
+    });
+
     this.render();
-    this.setStatus(`Deleted "${nodeName}"`);
+    this.setStatus(`Deleted "${node.name}"`);
+    this.emit('nodeDelete', node, parent);
+    removedLinks.forEach(link => this.emit('crossLinkRemove', link));
+    this.emitDataChange();
     return true;
   }
 
@@ -637,129 +1694,1044 @@ class MindMap {
     if (!node) return false;
 
     const oldName = node.name;
-    node.name = newName || 'Unnamed';
+    const name = newName || 'Unnamed';
+    if (this.emit('beforeNodeRename', node, oldName, name) === false) return false;
+
+    node.name = name;
+
+    this.recordHistory('Rename node', {
+      undo: () => { this.findNodeById(this.treeData, nodeId).name = oldName; },
+      redo: () => { this.findNodeById(this.treeData, nodeId).name = name; },
+      group: `rename:${nodeId}`
+    });
 
     this.render();
     this.setStatus(`Renamed "${oldName}" to "${node.name}"`);
+    this.emit('nodeRename', node, oldName, node.name);
+    this.emitDataChange();
     return true;
   }
 
   /**
-   * Show context menu
+   * Check whether a node is the given ancestor or inside its subtree
    */
-  showContextMenu(x, y, nodeId) {
-    if (!this.config.editable) return;
+  isDescendant(ancestorId, nodeId) {
+    const ancestor = this.findNodeById(this.treeData, ancestorId);
+    return !!(ancestor && this.findNodeById(ancestor, nodeId));
+  }
 
-    this.hideContextMenu();
+  /**
+   * Move a node (with its subtree) under a new parent. The index is the
+   * position among the new parent's current children; omit it to append.
+   */
+  moveNode(nodeId, newParentId, index) {
+    if (!this.config.editable) return false;
+
+    if (nodeId === this.treeData.id) {
+      this.setStatus('Cannot move root node');
+      return false;
+    }
+
+    if (this.isDescendant(nodeId, newParentId)) {
+      this.setStatus('Cannot move a node into its own subtree');
+      return false;
+    }
 
     const node = this.findNodeById(this.treeData, nodeId);
-    const isRoot = nodeId === this.treeData.id;
+    const oldParent = this.findParentById(this.treeData, nodeId);
+    const newParent = this.findNodeById(this.treeData, newParentId);
+    if (!node || !oldParent || !newParent) return false;
 
-    this.contextMenu = document.createElement('div');
-    this.contextMenu.className = 'mindmap-context-menu';
-    this.contextMenu.style.left = x + 'px';
-    this.contextMenu.style.top = y + 'px';
+    const oldIndex = oldParent.children.indexOf(node);
+    let newIndex = index === undefined ? (newParent.children ? newParent.children.length : 0) : index;
+    if (oldParent === newParent && oldIndex < newIndex) newIndex--;
+    if (oldParent === newParent && oldIndex === newIndex) return false;
 
-    const items = [
-      { text: `Rename "${node.name}"`, action: () => this.startEdit(nodeId) },
-      {
-        text: 'Add Child',
-        action: async () => {
-          try {
-            const name = await this.showInputModal('Add Child Node', 'Enter node name', 'New Node');
-            this.addChild(nodeId, name);
-          } catch (e) {
-            // User cancelled
-          }
-        }
-      },
-      !isRoot && {
-        text: 'Add Sibling',
-        action: async () => {
-          try {
-            const name = await this.showInputModal('Add Sibling Node', 'Enter node name', 'New Node');
-            this.addSibling(nodeId, name);
-          } catch (e) {
-            // User cancelled
-          }
-        }
-      },
-      !isRoot && { text: `Delete "${node.name}"`, action: () => this.deleteNode(nodeId), dangerous: true }
-    ].filter(Boolean);
+    if (this.emit('beforeNodeMove', node, newParent, oldParent) === false) return false;
 
-    items.forEach(item => {
-      const div = document.createElement('div');
-      div.className = `mindmap-context-menu-item ${item.dangerous ? 'dangerous' : ''}`;
-      div.textContent = item.text;
-      div.addEventListener('click', async () => {
-        this.hideContextMenu();
-        await item.action();
-      });
-      this.contextMenu.appendChild(div);
-    });
+    this.removeNode(nodeId);
+    this.insertNode(newParentId, node, newIndex);
 
-    document.body.appendChild(this.contextMenu);
+    const oldParentId = oldParent.id;
+    this.recordHistory('Move node', {
+      undo: () => this.insertNode(oldParentId, this.removeNode(nodeId), oldIndex),
+      redo: () => this.insertNode(newParentId, this.removeNode(nodeId), newIndex)
+    });
 
-    // Position adjustment if menu goes off screen
-    const rect = this.contextMenu.getBoundingClientRect();
-    if (rect.right > window.innerWidth) {
-      this.contextMenu.style.left = (x - rect.width) + 'px';
-    }
-    if (rect.bottom > window.innerHeight) {
-      this.contextMenu.style.top = (y - rect.height) + 'px';
-    }
+    this.render();
+    this.setStatus(`Moved "${node.name}" to "${newParent.name}"`);
+    this.emit('nodeMove', node, newParent, oldParent);
+    this.emitDataChange();
+    return true;
   }
 
   /**
-   * Hide context menu
+   * Set the collapsed state of a node's subtree. Collapsing is view state:
+   * it isn't recorded in the undo history.
    */
-  hideContextMenu() {
-    if (this.contextMenu) {
-      this.contextMenu.remove();
-      this.contextMenu = null;
+  setCollapsed(nodeId, collapsed) {
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!node || !node.children || node.children.length === 0) return false;
+    if (!!node.collapsed === collapsed) return false;
+
+    if (collapsed) {
+      node.collapsed = true;
+    } else {
+      delete node.collapsed;
     }
+
+    this.render();
+    this.emit(collapsed ? 'nodeCollapse' : 'nodeExpand', node);
+    this.emitDataChange();
+    return true;
   }
 
   /**
-   * Show custom input modal
+   * Collapse a node's subtree
    */
-  showInputModal(title, placeholder = '', defaultValue = '') {
-    return new Promise((resolve, reject) => {
-      // Create modal overlay
-      const overlay = document.createElement('div');
-      overlay.className = 'mindmap-modal-overlay';
+  collapse(nodeId) {
+    return this.setCollapsed(nodeId, true);
+  }
 
-      // Create modal
-      const modal = document.createElement('div');
-      modal.className = 'mindmap-modal';
+  /**
+   * Expand a node's subtree
+   */
+  expand(nodeId) {
+    return this.setCollapsed(nodeId, false);
+  }
 
-      // Create modal content
-      modal.innerHTML = `
-        <h3 class="mindmap-modal-title">${title}</h3>
-        <input type="text" class="mindmap-modal-input" placeholder="${placeholder}" value="${defaultValue}">
-        <div class="mindmap-modal-buttons">
-          <button class="mindmap-modal-btn secondary" data-action="cancel">Cancel</button>
-          <button class="mindmap-modal-btn primary" data-action="confirm">Add</button>
-        </div>
-      `;
+  /**
+   * Toggle a node's collapsed state
+   */
+  toggleCollapse(nodeId) {
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!node) return false;
+    return this.setCollapsed(nodeId, !node.collapsed);
+  }
 
-      overlay.appendChild(modal);
-      document.body.appendChild(overlay);
+  /**
+   * Expand every node
+   */
+  expandAll() {
+    this.collapseToDepth(Infinity);
+  }
 
-      const input = modal.querySelector('.mindmap-modal-input');
-      const cancelBtn = modal.querySelector('[data-action="cancel"]');
-      const confirmBtn = modal.querySelector('[data-action="confirm"]');
+  /**
+   * Show nodes up to the given depth (root is depth 0) and collapse the rest.
+   * Emits nodeCollapse or nodeExpand for each node that changes.
+   */
+  collapseToDepth(depth) {
+    if (!this.treeData) return;
 
-      // Focus and select input
-      setTimeout(() => {
-        input.focus();
-        input.select();
-      }, 100);
+    const changes = [];
+    const visit = (node, d) => {
+      if (!node.children || node.children.length === 0) return;
+      changes.push([node.id, d >= depth]);
+      for (const c of node.children) visit(c, d + 1);
+    };
+    visit(this.treeData, 0);
 
-      // Handle actions
-      const cleanup = () => {
-        overlay.remove();
-      };
+    this.batch(depth === Infinity ? 'Expand all' : 'Collapse to depth', () => {
+      changes.forEach(([id, collapsed]) => this.setCollapsed(id, collapsed));
+    });
+  }
+
+  /**
+   * Change a node's style (fill, stroke, text, shape, radius, fontSize,
+   * fontWeight, icon). null removes a property.
+   */
+  setNodeStyle(nodeId, changes) {
+    if (!this.config.editable) return false;
+
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!node) return false;
+
+    const before = node.style ? { ...node.style } : null;
+    const after = { ...node.style, ...changes };
+    Object.keys(after).forEach(key => {
+      if (after[key] === null || after[key] === undefined || after[key] === '') delete after[key];
+    });
+    if (JSON.stringify(before || {}) === JSON.stringify(after)) return false;
+
+    const apply = (style) => {
+      const target = this.findNodeById(this.treeData, nodeId);
+      if (!target) return;
+      if (style && Object.keys(style).length) target.style = { ...style };
+      else delete target.style;
+    };
+    apply(after);
+    this.recordHistory('Style node', {
+      undo: () => apply(before),
+      redo: () => apply(after),
+      group: `style:${nodeId}`
+    });
+
+    this.render();
+    this.setStatus(`Updated style of "${node.name}"`);
+    this.emit('nodeStyle', node);
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Change a node's note, url or image; null or an empty string removes a field
+   */
+  setNodeContent(nodeId, changes) {
+    if (!this.config.editable) return false;
+
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!node) return false;
+
+    const fields = ['note', 'url', 'image'].filter(field => field in changes);
+    const before = {};
+    const after = {};
+    fields.forEach(field => {
+      before[field] = node[field];
+      after[field] = changes[field] === null || changes[field] === '' ? undefined : changes[field];
+    });
+    if (fields.every(field => before[field] === after[field])) return false;
+
+    const apply = (values) => {
+      const target = this.findNodeById(this.treeData, nodeId);
+      if (!target) return;
+      fields.forEach(field => {
+        if (values[field] === undefined) delete target[field];
+        else target[field] = values[field];
+      });
+    };
+    apply(after);
+    this.recordHistory('Edit node content', {
+      undo: () => apply(before),
+      redo: () => apply(after),
+      group: `content:${nodeId}:${fields.join(',')}`
+    });
+
+    this.render();
+    this.setStatus(`Updated "${node.name}"`);
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Get a copy of the cross-links between nodes
+   */
+  getCrossLinks() {
+    return this.treeData && this.treeData.links ? this.cloneNode(this.treeData.links) : [];
+  }
+
+  /**
+   * Find the cross-link from one node to another
+   */
+  findCrossLink(fromId, toId) {
+    const links = (this.treeData && this.treeData.links) || [];
+    return links.find(link => link.from === fromId && link.to === toId) || null;
+  }
+
+  /**
+   * Replace the cross-links (no rendering or history)
+   */
+  restoreCrossLinks(links) {
+    if (links.length) this.treeData.links = this.cloneNode(links);
+    else delete this.treeData.links;
+  }
+
+  /**
+   * Add a cross-link arrow between two nodes that aren't parent and child.
+   * Options: label, style ({ stroke, width, dashed }).
+   */
+  addCrossLink(fromId, toId, options = {}) {
+    if (!this.config.editable) return false;
+
+    const from = this.findNodeById(this.treeData, fromId);
+    const to = this.findNodeById(this.treeData, toId);
+    if (!from || !to) return false;
+
+    if (fromId === toId) {
+      this.setStatus('Cannot connect a node to itself');
+      return false;
+    }
+    if (this.findCrossLink(fromId, toId)) {
+      this.setStatus(`"${from.name}" is already connected to "${to.name}"`);
+      return false;
+    }
+
+    const link = { from: fromId, to: toId };
+    if (options.label) link.label = options.label;
+    if (options.style) link.style = { ...options.style };
+
+    const before = this.getCrossLinks();
+    const after = [...before, link];
+    this.restoreCrossLinks(after);
+    this.recordHistory('Connect nodes', {
+      undo: () => this.restoreCrossLinks(before),
+      redo: () => this.restoreCrossLinks(after)
+    });
+
+    this.render();
+    this.setStatus(`Connected "${from.name}" to "${to.name}"`);
+    this.emit('crossLinkAdd', this.cloneNode(link));
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Remove the cross-link from one node to another
+   */
+  removeCrossLink(fromId, toId) {
+    if (!this.config.editable) return false;
+
+    const link = this.findCrossLink(fromId, toId);
+    if (!link) return false;
+
+    const before = this.getCrossLinks();
+    const after = before.filter(l => !(l.from === fromId && l.to === toId));
+    this.restoreCrossLinks(after);
+    this.recordHistory('Remove link', {
+      undo: () => this.restoreCrossLinks(before),
+      redo: () => this.restoreCrossLinks(after)
+    });
+
+    this.render();
+    this.setStatus('Link removed');
+    this.emit('crossLinkRemove', this.cloneNode(link));
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Change a cross-link's label or style; null removes them
+   */
+  updateCrossLink(fromId, toId, changes) {
+    if (!this.config.editable) return false;
+
+    const link = this.findCrossLink(fromId, toId);
+    if (!link) return false;
+
+    const updated = { ...link };
+    ['label', 'style'].forEach(field => {
+      if (!(field in changes)) return;
+      if (changes[field] === null || changes[field] === '') delete updated[field];
+      else updated[field] = field === 'style' ? { ...changes[field] } : changes[field];
+    });
+    if (JSON.stringify(updated) === JSON.stringify(link)) return false;
+
+    const before = this.getCrossLinks();
+    const after = before.map(l => (l.from === fromId && l.to === toId ? updated : l));
+    this.restoreCrossLinks(after);
+    this.recordHistory('Edit link', {
+      undo: () => this.restoreCrossLinks(before),
+      redo: () => this.restoreCrossLinks(after)
+    });
+
+    this.render();
+    this.setStatus('Link updated');
+    this.emit('crossLinkUpdate', this.cloneNode(updated));
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Let the user pick the node to connect a node to with the next click.
+   * Escape cancels.
+   */
+  startConnect(nodeId) {
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!this.config.editable || !node) return false;
+
+    this.connectingFrom = nodeId;
+    this.svg.classList.add('connecting');
+    this.setStatus(`Click the node to connect "${node.name}" to (Escape cancels)`);
+    return true;
+  }
+
+  /**
+   * Leave connect mode; returns whether it was active
+   */
+  cancelConnect() {
+    if (!this.connectingFrom) return false;
+    this.connectingFrom = null;
+    this.svg.classList.remove('connecting');
+    return true;
+  }
+
+  /**
+   * Delete several nodes (the selection by default) as one undo step
+   */
+  deleteNodes(nodeIds) {
+    if (!this.config.editable) return false;
+
+    const ids = this.getTopmostNodes(nodeIds || this.getSelection()).filter(id => id !== this.treeData.id);
+    let deleted = 0;
+    this.batch('Delete nodes', () => {
+      ids.forEach(id => {
+        if (this.deleteNode(id)) deleted++;
+      });
+    });
+
+    if (deleted > 1) this.setStatus(`Deleted ${deleted} nodes`);
+    return deleted > 0;
+  }
+
+  /**
+   * Move several nodes (the selection by default) under a new parent as one
+   * undo step, keeping their order. Nodes that would end up inside their own
+   * subtree are skipped.
+   */
+  moveNodes(nodeIds, newParentId, index) {
+    if (!this.config.editable) return false;
+
+    const parent = this.findNodeById(this.treeData, newParentId);
+    if (!parent) return false;
+
+    const ids = this.getTopmostNodes(nodeIds || this.getSelection())
+      .filter(id => id !== this.treeData.id && !this.isDescendant(id, newParentId));
+    let moved = 0;
+    let at = index;
+    this.batch('Move nodes', () => {
+      ids.forEach(id => {
+        if (this.moveNode(id, newParentId, at)) moved++;
+        // The next node goes right after this one
+        if (at !== undefined) {
+          const position = parent.children.findIndex(c => c.id === id);
+          if (position >= 0) at = position + 1;
+        }
+      });
+    });
+
+    if (moved > 1) this.setStatus(`Moved ${moved} nodes to "${parent.name}"`);
+    return moved > 0;
+  }
+
+  /**
+   * Change the style of several nodes (the selection by default) as one undo step
+   */
+  setNodesStyle(nodeIds, changes) {
+    let changed = 0;
+    this.batch('Style nodes', () => {
+      (nodeIds || this.getSelection()).forEach(id => {
+        if (this.setNodeStyle(id, changes)) changed++;
+      });
+    });
+
+    if (changed > 1) this.setStatus(`Updated style of ${changed} nodes`);
+    return changed > 0;
+  }
+
+  /**
+   * Collapse or expand several nodes (the selection by default), rendering once
+   */
+  setNodesCollapsed(nodeIds, collapsed) {
+    let changed = 0;
+    this.batch(collapsed ? 'Collapse nodes' : 'Expand nodes', () => {
+      (nodeIds || this.getSelection()).forEach(id => {
+        if (this.setCollapsed(id, collapsed)) changed++;
+      });
+    });
+    return changed > 0;
+  }
+
+  /**
+   * Search node names. Matches are highlighted, other nodes dimmed and
+   * collapsed ancestors of matches expanded. Options: regex, caseSensitive.
+   * Returns the matching node IDs in tree order; an empty query clears the search.
+   */
+  search(query, options = {}) {
+    if (!query) {
+      this.clearSearch();
+      return [];
+    }
+
+    let matcher;
+    try {
+      matcher = MindMap.createMatcher(query, options);
+    } catch (e) {
+      this.setStatus(`Invalid search pattern: ${e.message}`);
+      return [];
+    }
+
+    this.searchQuery = query;
+    this.searchMatcher = matcher;
+    this.searchIndex = -1;
+
+    // Reveal every match
+    let expanded = false;
+    const reveal = (node) => {
+      let containsMatch = false;
+      for (const child of node.children || []) {
+        if (reveal(child) || matcher(child.name || '')) containsMatch = true;
+      }
+      if (containsMatch && node.collapsed) {
+        delete node.collapsed;
+        expanded = true;
+      }
+      return containsMatch;
+    };
+    reveal(this.treeData);
+
+    this.render();
+    this.updateSearchControls();
+    const count = this.searchResults.length;
+    this.setStatus(count ? `${count} match${count === 1 ? '' : 'es'} for "${query}"` : `No matches for "${query}"`);
+    this.emit('search', query, this.searchResults.slice());
+    if (expanded) this.emitDataChange();
+    return this.searchResults.slice();
+  }
+
+  /**
+   * Clear the search highlight
+   */
+  clearSearch() {
+    if (this.searchQuery === null) return;
+    this.searchQuery = null;
+    this.searchMatcher = null;
+    this.searchResults = [];
+    this.searchIndex = -1;
+    this.render();
+    this.updateSearchControls();
+    this.emit('search', null, []);
+  }
+
+  /**
+   * Get the IDs of nodes matching the active search, in tree order
+   */
+  findMatches() {
+    const results = [];
+    const visit = (node) => {
+      if (this.searchMatcher(node.name || '')) results.push(node.id);
+      (node.children || []).forEach(visit);
+    };
+    if (this.searchMatcher && this.treeData) visit(this.treeData);
+    return results;
+  }
+
+  /**
+   * Select and center the next search result
+   */
+  nextSearchResult() {
+    return this.goToSearchResult(this.searchIndex + 1);
+  }
+
+  /**
+   * Select and center the previous search result
+   */
+  previousSearchResult() {
+    return this.goToSearchResult(this.searchIndex < 0 ? -1 : this.searchIndex - 1);
+  }
+
+  /**
+   * Select and center a search result by index (wraps around)
+   */
+  goToSearchResult(index) {
+    const count = this.searchResults.length;
+    if (!count) return false;
+
+    this.searchIndex = ((index % count) + count) % count;
+    const nodeId = this.searchResults[this.searchIndex];
+
+    this.render();
+    this.selectNode(nodeId);
+    this.centerOnNode(nodeId, { animate: true });
+    this.updateSearchControls();
+    return true;
+  }
+
+  /**
+   * Pan so that a node is in the center of the view, keeping the zoom
+   */
+  centerOnNode(nodeId, options = {}) {
+    const pos = this.positions[nodeId];
+    if (!pos) return false;
+    this.panTo(pos.x, pos.y, options);
+    return true;
+  }
+
+  /**
+   * Sync the search box count and buttons with the search state
+   */
+  updateSearchControls() {
+    if (!this.controlsEl) return;
+    const countEl = this.controlsEl.querySelector('.mindmap-search-count');
+    if (!countEl) return;
+
+    const count = this.searchResults.length;
+    if (this.searchQuery === null) {
+      countEl.textContent = '';
+    } else {
+      countEl.textContent = count ? `${this.searchIndex + 1 || '–'}/${count}` : '0/0';
+    }
+    this.controlsEl.querySelectorAll('[data-action="search-prev"], [data-action="search-next"]').forEach(btn => {
+      btn.disabled = count === 0;
+    });
+  }
+
+  /**
+   * Deep clone a node, dropping internal "_" fields
+   */
+  cloneNode(node) {
+    return JSON.parse(JSON.stringify(node, (key, value) => key.charAt(0) === '_' ? undefined : value));
+  }
+
+  /**
+   * Insert a node under a parent at the given index (no rendering or history)
+   */
+  insertNode(parentId, node, index) {
+    const parent = this.findNodeById(this.treeData, parentId);
+    if (!parent) return false;
+    if (!parent.children) parent.children = [];
+    const at = index === undefined ? parent.children.length : Math.min(index, parent.children.length);
+    parent.children.splice(at, 0, node);
+    return true;
+  }
+
+  /**
+   * Remove a node by ID (no rendering or history)
+   */
+  removeNode(nodeId) {
+    const parent = this.findParentById(this.treeData, nodeId);
+    if (!parent) return null;
+    const index = parent.children.findIndex(c => c.id === nodeId);
+    return parent.children.splice(index, 1)[0];
+  }
+
+  /**
+   * Record an undoable command. A command with a group key (e.g. renames of
+   * one node) is merged into the previous step when that step has the same
+   * key and was recorded within config.historyGroupDelay; everything else,
+   * such as structural edits, is a step of its own.
+   */
+  recordHistory(label, command) {
+    if (this.isApplyingHistory) return;
+    if (this.activeBatch) {
+      this.activeBatch.commands.push(command);
+      return;
+    }
+
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    // While collaborating, remember which nodes the step changed (see dropHistory)
+    const touched = this.collab ? MindMap.changedNodes(this.collab.shadow, this.getData()) : null;
+
+    if (last && command.group && last.group === command.group && now - last.time < this.config.historyGroupDelay) {
+      last.commands.push(command);
+      last.time = now;
+      last.touched = last.touched && touched && {
+        ids: new Set([...last.touched.ids, ...touched.ids]),
+        links: last.touched.links || touched.links
+      };
+    } else {
+      this.undoStack.push({ label, commands: [command], time: now, group: command.group, touched });
+      if (this.undoStack.length > this.config.historyDepth) {
+        this.undoStack.shift();
+      }
+    }
+
+    this.redoStack = [];
+    this.updateHistoryControls();
+    this.emit('historyChange', this.canUndo(), this.canRedo());
+  }
+
+  /**
+   * Run several edits as one undo step. Rendering and dataChange are
+   * deferred until the last edit is done.
+   */
+  batch(label, fn) {
+    if (this.activeBatch) return fn();
+
+    const batch = this.activeBatch = { commands: [], render: false, dataChange: false };
+    try {
+      return fn();
+    } finally {
+      this.activeBatch = null;
+      const { commands } = batch;
+      if (commands.length) {
+        this.recordHistory(label, {
+          undo: () => {
+            for (let i = commands.length - 1; i >= 0; i--) commands[i].undo();
+          },
+          redo: () => commands.forEach(command => command.redo())
+        });
+      }
+      if (batch.render) this.render();
+      if (batch.dataChange) this.emitDataChange();
+    }
+  }
+
+  /**
+   * Undo the last step
+   */
+  undo() {
+    if (!this.config.editable || !this.canUndo()) return false;
+
+    const entry = this.undoStack.pop();
+    const previous = this.undoStack[this.undoStack.length - 1];
+    if (previous) previous.time = 0; // Never merge new edits into an older step
+    this.isApplyingHistory = true;
+    for (let i = entry.commands.length - 1; i >= 0; i--) {
+      entry.commands[i].undo();
+    }
+    this.isApplyingHistory = false;
+    this.redoStack.push(entry);
+
+    this.render();
+    this.setStatus(`Undo: ${entry.label}`);
+    this.updateHistoryControls();
+    this.emit('historyChange', this.canUndo(), this.canRedo());
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Redo the last undone step
+   */
+  redo() {
+    if (!this.config.editable || !this.canRedo()) return false;
+
+    const entry = this.redoStack.pop();
+    this.isApplyingHistory = true;
+    for (const command of entry.commands) {
+      command.redo();
+    }
+    this.isApplyingHistory = false;
+    entry.time = 0; // Never merge new edits into a redone step
+    this.undoStack.push(entry);
+
+    this.render();
+    this.setStatus(`Redo: ${entry.label}`);
+    this.updateHistoryControls();
+    this.emit('historyChange', this.canUndo(), this.canRedo());
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Check if there is a step to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is a step to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Clear undo/redo history
+   */
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateHistoryControls();
+  }
+
+  /**
+   * Drop the undo and redo steps that touch nodes other peers changed
+   * (a result of changedNodes(); null drops all of them). Steps recorded
+   * before connecting don't know their nodes and are dropped too.
+   */
+  dropHistory(changed) {
+    const affected = (entry) => !changed || !entry.touched ||
+      (changed.links && entry.touched.links) || [...entry.touched.ids].some(id => changed.ids.has(id));
+    const undoStack = this.undoStack.filter(entry => !affected(entry));
+    const redoStack = this.redoStack.filter(entry => !affected(entry));
+    if (undoStack.length === this.undoStack.length && redoStack.length === this.redoStack.length) return;
+
+    this.undoStack = undoStack;
+    this.redoStack = redoStack;
+    this.updateHistoryControls();
+    this.emit('historyChange', this.canUndo(), this.canRedo());
+  }
+
+  /**
+   * Enable/disable the undo and redo buttons
+   */
+  updateHistoryControls() {
+    if (!this.controlsEl) return;
+    const undoBtn = this.controlsEl.querySelector('[data-action="undo"]');
+    const redoBtn = this.controlsEl.querySelector('[data-action="redo"]');
+    if (undoBtn) undoBtn.disabled = !this.canUndo() || !this.config.editable;
+    if (redoBtn) redoBtn.disabled = !this.canRedo() || !this.config.editable;
+  }
+
+  /**
+   * Show context menu
+   */
+  showContextMenu(x, y, nodeId) {
+    if (!this.config.editable) return;
+
+    const node = this.findNodeById(this.treeData, nodeId);
+    const isRoot = nodeId === this.treeData.id;
+    const count = this.selection.size;
+
+    // Right-clicking one of several selected nodes acts on all of them
+    if (count > 1 && this.selection.has(nodeId)) {
+      this.openContextMenu(x, y, [
+        this.config.colorPalette && this.config.colorPalette.length && {
+          text: 'Color',
+          swatches: this.config.colorPalette,
+          action: (color) => this.setNodesStyle(null, { fill: color.fill, stroke: color.stroke })
+        },
+        { text: 'Reset Color', action: () => this.setNodesStyle(null, { fill: null, stroke: null }) },
+        { text: 'Collapse Selected', action: () => this.setNodesCollapsed(null, true) },
+        { text: 'Expand Selected', action: () => this.setNodesCollapsed(null, false) },
+        { text: `Copy ${count} Nodes`, action: () => this.copy() },
+        { text: `Cut ${count} Nodes`, action: () => this.cut() },
+        { text: `Delete ${count} Nodes`, action: () => this.deleteNodes(), dangerous: true }
+      ].filter(Boolean));
+      return;
+    }
+
+    const items = [
+      { text: `Rename "${node.name}"`, action: () => this.startEdit(nodeId) },
+      { text: 'Add Child', action: () => this.addAndEdit(nodeId, 'child') },
+      !isRoot && { text: 'Add Sibling', action: () => this.addAndEdit(nodeId, 'sibling') },
+      { text: 'Connect to…', action: () => this.startConnect(nodeId) },
+      { text: 'Select Subtree', action: () => this.selectSubtree(nodeId) },
+      count > 1 && { text: `Move ${count} Selected Here`, action: () => this.moveNodes(null, nodeId) },
+      { text: 'Copy', action: () => this.copy(nodeId) },
+      !isRoot && { text: 'Cut', action: () => this.cut(nodeId) },
+      { text: 'Paste', action: () => this.pasteFromClipboard(nodeId) },
+      this.config.colorPalette && this.config.colorPalette.length && {
+        text: 'Color',
+        swatches: this.config.colorPalette,
+        action: (color) => this.setNodeStyle(nodeId, { fill: color.fill, stroke: color.stroke })
+      },
+      node.style && (node.style.fill || node.style.stroke) && {
+        text: 'Reset Color',
+        action: () => this.setNodeStyle(nodeId, { fill: null, stroke: null })
+      },
+      !isRoot && { text: `Delete "${node.name}"`, action: () => this.deleteNode(nodeId), dangerous: true }
+    ].filter(Boolean);
+
+    this.openContextMenu(x, y, items);
+  }
+
+  /**
+   * Show the context menu of a cross-link
+   */
+  showCrossLinkMenu(x, y, link) {
+    if (!this.config.editable) return;
+
+    const editLabel = async () => {
+      try {
+        const label = await this.showInputModal('Link label', 'Label', link.label || '');
+        this.updateCrossLink(link.from, link.to, { label });
+      } catch (e) {
+        // Cancelled
+      }
+    };
+
+    this.openContextMenu(x, y, [
+      { text: link.label ? 'Edit Label' : 'Add Label', action: editLabel },
+      link.label && { text: 'Remove Label', action: () => this.updateCrossLink(link.from, link.to, { label: null }) },
+      { text: 'Remove Link', action: () => this.removeCrossLink(link.from, link.to), dangerous: true }
+    ].filter(Boolean));
+  }
+
+  /**
+   * Open a context menu at a screen position. Items are
+   * { text, action, dangerous? } or { text, swatches, action(color) }.
+   */
+  openContextMenu(x, y, items) {
+    this.hideContextMenu();
+    this.menuReturnFocus = document.activeElement;
+
+    this.contextMenu = document.createElement('div');
+    this.contextMenu.className = 'mindmap-context-menu';
+    this.contextMenu.setAttribute('role', 'menu');
+    this.contextMenu.style.left = x + 'px';
+    this.contextMenu.style.top = y + 'px';
+    this.contextMenu.addEventListener('keydown', (e) => this.handleMenuKeyDown(e));
+    this.contextMenu.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    items.forEach(item => {
+      const div = document.createElement('div');
+      div.className = `mindmap-context-menu-item ${item.dangerous ? 'dangerous' : ''}`;
+      div.textContent = item.text;
+
+      if (item.swatches) {
+        // A row of color buttons instead of a single action
+        div.classList.add('mindmap-context-menu-swatches');
+        div.setAttribute('role', 'group');
+        div.setAttribute('aria-label', item.text);
+        item.swatches.forEach(color => {
+          const swatch = document.createElement('button');
+          swatch.className = 'mindmap-color-swatch';
+          swatch.setAttribute('role', 'menuitem');
+          swatch.setAttribute('tabindex', '-1');
+          swatch.title = color.name || color.fill;
+          swatch.setAttribute('aria-label', `${item.text} ${color.name || color.fill}`);
+          swatch.style.background = color.fill;
+          swatch.style.borderColor = color.stroke || color.fill;
+          swatch.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hideContextMenu();
+            item.action(color);
+          });
+          div.appendChild(swatch);
+        });
+        this.contextMenu.appendChild(div);
+        return;
+      }
+
+      div.setAttribute('role', 'menuitem');
+      div.setAttribute('tabindex', '-1');
+      div.addEventListener('click', async () => {
+        this.hideContextMenu();
+        await item.action();
+      });
+      this.contextMenu.appendChild(div);
+    });
+
+    document.body.appendChild(this.contextMenu);
+    const first = this.contextMenu.querySelector('[role="menuitem"]');
+    if (first) first.focus();
+
+    // Position adjustment if menu goes off screen
+    const rect = this.contextMenu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) {
+      this.contextMenu.style.left = (x - rect.width) + 'px';
+    }
+    if (rect.bottom > window.innerHeight) {
+      this.contextMenu.style.top = (y - rect.height) + 'px';
+    }
+  }
+
+  /**
+   * Hide context menu
+   */
+  hideContextMenu() {
+    if (this.contextMenu) {
+      const hadFocus = this.contextMenu.contains(document.activeElement);
+      this.contextMenu.remove();
+      this.contextMenu = null;
+      // Give focus back to where the menu was opened from
+      if (hadFocus && this.menuReturnFocus && this.menuReturnFocus.isConnected) {
+        this.menuReturnFocus.focus({ preventScroll: true });
+      }
+    }
+  }
+
+  /**
+   * Keyboard operation of the context menu: arrows, Home/End and Tab move
+   * between items (focus stays in the menu), Enter/Space activate, Escape closes
+   */
+  handleMenuKeyDown(e) {
+    const items = [...this.contextMenu.querySelectorAll('[role="menuitem"]')];
+    const index = items.indexOf(document.activeElement);
+    let next = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+        next = (index + 1) % items.length;
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        next = (index - 1 + items.length) % items.length;
+        break;
+      case 'Tab':
+        next = ((e.shiftKey ? index - 1 : index + 1) + items.length) % items.length;
+        break;
+      case 'Home':
+        next = 0;
+        break;
+      case 'End':
+        next = items.length - 1;
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (index >= 0) items[index].click();
+        return;
+      case 'Escape':
+        e.preventDefault();
+        this.hideContextMenu();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    if (items.length) items[next].focus();
+  }
+
+  /**
+   * Keep Tab and Shift+Tab inside an element, wrapping around at the ends
+   */
+  trapFocus(e, element) {
+    if (e.key !== 'Tab') return;
+    const focusable = [...element.querySelectorAll('button, input, textarea, select, [tabindex]:not([tabindex="-1"])')]
+      .filter(el => !el.disabled);
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!element.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Show custom input modal
+   */
+  showInputModal(title, placeholder = '', defaultValue = '') {
+    return new Promise((resolve, reject) => {
+      // Create modal overlay
+      const overlay = document.createElement('div');
+      overlay.className = 'mindmap-modal-overlay';
+
+      // Create modal
+      const returnFocus = document.activeElement;
+      const titleId = `mindmap-modal-title-${Date.now()}`;
+      const modal = document.createElement('div');
+      modal.className = 'mindmap-modal';
+      modal.setAttribute('role', 'dialog');
+      modal.setAttribute('aria-modal', 'true');
+      modal.setAttribute('aria-labelledby', titleId);
+
+      // Create modal content
+      modal.innerHTML = `
+        <h3 class="mindmap-modal-title"></h3>
+        <input type="text" class="mindmap-modal-input">
+        <div class="mindmap-modal-buttons">
+          <button class="mindmap-modal-btn secondary" data-action="cancel">Cancel</button>
+          <button class="mindmap-modal-btn primary" data-action="confirm">Add</button>
+        </div>
+      `;
+
+      overlay.appendChild(modal);
+      document.body.appendChild(overlay);
+
+      const input = modal.querySelector('.mindmap-modal-input');
+      modal.querySelector('.mindmap-modal-title').textContent = title;
+      modal.querySelector('.mindmap-modal-title').id = titleId;
+      input.placeholder = placeholder;
+      input.setAttribute('aria-label', title);
+      input.value = defaultValue;
+      const cancelBtn = modal.querySelector('[data-action="cancel"]');
+      const confirmBtn = modal.querySelector('[data-action="confirm"]');
+
+      // Focus and select input
+      setTimeout(() => {
+        input.focus();
+        input.select();
+      }, 100);
+
+      // Handle actions
+      const cleanup = () => {
+        overlay.remove();
+        if (returnFocus && returnFocus.isConnected) returnFocus.focus({ preventScroll: true });
+      };
 
       const confirm = () => {
         const value = input.value.trim();
@@ -775,419 +2747,4057 @@ class MindMap {
         }
       };
 
-      const cancel = () => {
-        cleanup();
-        reject(new Error('Cancelled'));
+      const cancel = () => {
+        cleanup();
+        reject(new Error('Cancelled'));
+      };
+
+      // Event listeners
+      confirmBtn.addEventListener('click', confirm);
+      cancelBtn.addEventListener('click', cancel);
+
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          confirm();
+        }
+      });
+
+      // Escape cancels and Tab cycles inside the dialog
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          cancel();
+        }
+        this.trapFocus(e, modal);
+      });
+
+      // Click outside to cancel
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+          cancel();
+        }
+      });
+    });
+  }
+
+  /**
+   * Start inline editing
+   */
+  startEdit(nodeId) {
+    if (!this.config.editable || this.isEditing) return;
+
+    const node = this.findNodeById(this.treeData, nodeId);
+    if (!node) return;
+
+    // Find the node element and its position
+    const nodeElement = this.getNodeElement(nodeId);
+    if (!nodeElement) return;
+
+    this.isEditing = true;
+    this.editingNode = nodeId;
+    this.svg.setAttribute('class', this.svg.getAttribute('class') + ' editing');
+
+    // Add editing class for visual feedback
+    const currentClass = nodeElement.getAttribute('class') || '';
+    if (!currentClass.includes('editing')) {
+      nodeElement.setAttribute('class', currentClass + ' editing');
+    }
+
+    // Get text element position
+    const textElement = nodeElement.querySelector('text');
+    const rect = textElement.getBoundingClientRect();
+
+    // Create a textarea that grows with the number of lines
+    const input = document.createElement('textarea');
+    input.className = 'mindmap-edit-input';
+    input.value = node.name;
+    input.rows = node.name.split('\n').length;
+    input.style.left = (rect.left + rect.width / 2 - 60) + 'px';
+    input.style.top = (rect.top - 6) + 'px';
+    input.style.width = '120px';
+    input.addEventListener('input', () => {
+      input.rows = input.value.split('\n').length;
+    });
+
+    document.body.appendChild(input);
+    input.select();
+    input.focus();
+
+    const finishEdit = (save = true) => {
+      if (!this.isEditing) return;
+
+      this.isEditing = false;
+      this.editingNode = null;
+      const svgClass = this.svg.getAttribute('class') || '';
+      this.svg.setAttribute('class', svgClass.replace(' editing', '').replace('editing', ''));
+
+      if (save && input.value.trim() && input.value.trim() !== node.name) {
+        this.renameNode(nodeId, input.value.trim());
+      } else {
+        this.render(); // Re-render to remove editing class
+      }
+
+      input.remove();
+      if (!this.focusNode(nodeId)) this.container.focus(); // Keep keyboard navigation working
+    };
+
+    input.addEventListener('blur', () => finishEdit(true));
+    input.addEventListener('keydown', e => {
+      // Enter saves, Shift+Enter starts a new line
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        finishEdit(true);
+      }
+      if (e.key === 'Escape') finishEdit(false);
+    });
+  }
+
+  /**
+   * Count all descendants of a node
+   */
+  countDescendants(node) {
+    if (!node.children) return 0;
+    let count = 0;
+    for (const c of node.children) count += 1 + this.countDescendants(c);
+    return count;
+  }
+
+  /**
+   * Compute node positions for the tree with the configured layout.
+   * Returns a map of node ID to { x, y, angle, depth, labelWidth? }.
+   * Layouts get the config plus measureLabel(node, depth), see measureLabel().
+   */
+  computeLayout(root) {
+    const entry = this.getLayoutEntry();
+    this.labelFonts = null;
+    return entry.fn(root, { ...this.config, measureLabel: (node, depth) => this.measureLabel(node, depth) });
+  }
+
+  /**
+   * Measure the box a node's label takes up, for label-aware layouts:
+   * { width, height } of the label, offset (its distance from the node's
+   * centre) and size (the node's width), in px
+   */
+  measureLabel(node, depth) {
+    const hasChildren = !!(node.children && node.children.length > 0);
+    const role = depth === 0 ? 'root' : (hasChildren ? 'branch' : 'leaf');
+    const style = node.style || {};
+    const font = this.getLabelFont(role, style);
+    const r = style.radius || this.config.nodeRadius[role];
+    const extent = style.shape === 'pill' ? r * 1.6 : r;
+
+    // Measuring is the slow part, so boxes are kept until the label changes
+    const key = [node.name, font.css, extent, hasChildren, this.config.labelMaxWidth].join('|');
+    this.labelBoxes = this.labelBoxes || new Map();
+    const cached = this.labelBoxes.get(node.id);
+    if (cached && cached.key === key) return cached.box;
+
+    const lines = this.wrapLabel(node.name || '', role, style);
+    const box = {
+      width: Math.max(...lines.map(line => this.measureText(line, font))),
+      height: lines.length * font.size * 1.2,
+      offset: extent + (hasChildren ? 28 : 20),
+      size: extent * 2
+    };
+    this.labelBoxes.set(node.id, { key, box });
+    return box;
+  }
+
+  /**
+   * Get the registered layout for the current config (radial if unknown)
+   */
+  getLayoutEntry() {
+    return MindMap.layouts[this.config.layout] || MindMap.layouts.radial;
+  }
+
+  /**
+   * Get the computed position of a visible node
+   */
+  getNodePosition(nodeId) {
+    return (this.positions && this.positions[nodeId]) || null;
+  }
+
+  /**
+   * Change the layout mode
+   */
+  setLayout(layout) {
+    this.config.layout = layout;
+    this.render();
+    this.setStatus(`Layout changed to ${layout}`);
+  }
+
+  /**
+   * Build the SVG path for the link between a parent and a child
+   */
+  getLinkPath(parent, child) {
+    const from = this.positions[parent.id];
+    const to = this.positions[child.id];
+    const link = this.getLayoutEntry().link;
+    const px = from.x, py = from.y;
+    const cx = to.x, cy = to.y;
+
+    if (typeof link === 'function') return link(from, to, this.config);
+
+    switch (link) {
+      case 'horizontal': {
+        const midX = (px + cx) / 2;
+        return `M ${px} ${py} C ${midX} ${py} ${midX} ${cy} ${cx} ${cy}`;
+      }
+      case 'vertical': {
+        // Start below the parent's label
+        const startY = py + 34;
+        const midY = (startY + cy) / 2;
+        return `M ${px} ${startY} C ${px} ${midY} ${cx} ${midY} ${cx} ${cy}`;
+      }
+      case 'elbow':
+        return `M ${px} ${py} V ${cy} H ${cx}`;
+      case 'straight':
+        return `M ${px} ${py} L ${cx} ${cy}`;
+      default: {
+        const fromAngle = from.angle || 0;
+        const toAngle = to.angle || 0;
+        const cx1 = px + (this.config.radiusStep * 0.4) * Math.cos(fromAngle);
+        const cy1 = py + (this.config.radiusStep * 0.4) * Math.sin(fromAngle);
+        const cx2 = cx - (this.config.radiusStep * 0.4) * Math.cos(toAngle);
+        const cy2 = cy - (this.config.radiusStep * 0.4) * Math.sin(toAngle);
+        return `M ${px} ${py} C ${cx1} ${cy1} ${cx2} ${cy2} ${cx} ${cy}`;
+      }
+    }
+  }
+
+  /**
+   * Draw the mindmap
+   */
+  draw(root) {
+    // (Re)create the layer groups when the viewport was rebuilt
+    if (!this.gNodes || this.gNodes.parentNode !== this.viewport) {
+      while (this.viewport.firstChild) {
+        this.viewport.removeChild(this.viewport.firstChild);
+      }
+
+      this.gLinks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      this.gCrossLinks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      this.gNodes = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      this.gLinks.setAttribute('aria-hidden', 'true');
+      this.gCrossLinks.setAttribute('aria-hidden', 'true');
+      this.viewport.appendChild(this.gLinks);
+      this.viewport.appendChild(this.gCrossLinks);
+      this.viewport.appendChild(this.gNodes);
+
+      this.nodeElements = new Map();
+      this.nodeKeys = new Map();
+      this.linkElements = new Map();
+      this.crossLinkElements = new Map();
+    }
+
+    const layoutEntry = this.getLayoutEntry();
+    const seenNodes = new Set();
+    this.labelFonts = null;
+    const seenLinks = new Set();
+
+    const visit = (node, depth, style, index, count) => {
+      seenNodes.add(node.id);
+      this.drawNode(node, depth, node === root, layoutEntry, style);
+      this.updateTreeItem(node, depth, index, count);
+
+      const children = MindMap.visibleChildren(node);
+      children.forEach((c, i) => {
+        const childStyle = this.resolveNodeStyle(c, style);
+        seenLinks.add(c.id);
+        this.drawLink(node, c, childStyle.stroke || childStyle.fill);
+        visit(c, depth + 1, childStyle, i, children.length);
+      });
+    };
+    visit(root, 0, this.resolveNodeStyle(root, null), 0, 1);
+
+    // Remove elements of nodes that are gone or hidden
+    for (const [id, element] of this.nodeElements) {
+      if (!seenNodes.has(id)) {
+        element.remove();
+        this.nodeElements.delete(id);
+        this.nodeKeys.delete(id);
+        this.nodeRadii.delete(id);
+      }
+    }
+    for (const [id, element] of this.linkElements) {
+      if (!seenLinks.has(id)) {
+        element.remove();
+        this.linkElements.delete(id);
+      }
+    }
+
+    this.drawCrossLinks();
+  }
+
+  /**
+   * Create or update the cross-link arrows. Links with an endpoint hidden
+   * in a collapsed subtree aren't drawn.
+   */
+  drawCrossLinks() {
+    const seen = new Set();
+
+    ((this.treeData && this.treeData.links) || []).forEach(link => {
+      if (!this.positions[link.from] || !this.positions[link.to]) return;
+
+      const key = JSON.stringify([link.from, link.to]);
+      seen.add(key);
+
+      let g = this.crossLinkElements.get(key);
+      if (!g) {
+        g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('data-from', link.from);
+        g.setAttribute('data-to', link.to);
+        ['mindmap-cross-link-path', 'mindmap-cross-link-arrow'].forEach(className => {
+          const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+          path.setAttribute('class', className);
+          g.appendChild(path);
+        });
+        this.gCrossLinks.appendChild(g);
+        this.crossLinkElements.set(key, g);
+      }
+
+      const style = link.style || {};
+      let className = 'mindmap-cross-link';
+      if (style.dashed === false) className += ' solid';
+      if (g.getAttribute('class') !== className) g.setAttribute('class', className);
+      MindMap.setStyleProperty(g, '--mindmap-cross-link-color', style.stroke);
+      MindMap.setStyleProperty(g, '--mindmap-cross-link-width', style.width && `${style.width}px`);
+
+      const geometry = this.getCrossLinkGeometry(link.from, link.to);
+      g.children[0].setAttribute('d', geometry.path);
+      g.children[1].setAttribute('d', geometry.arrow);
+
+      let label = g.querySelector('text');
+      if (link.label) {
+        if (!label) {
+          label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+          label.setAttribute('class', 'mindmap-cross-link-label');
+          label.setAttribute('text-anchor', 'middle');
+          g.appendChild(label);
+        }
+        label.setAttribute('x', geometry.labelX);
+        label.setAttribute('y', geometry.labelY);
+        if (label.textContent !== link.label) label.textContent = link.label;
+      } else if (label) {
+        label.remove();
+      }
+    });
+
+    for (const [key, element] of this.crossLinkElements) {
+      if (!seen.has(key)) {
+        element.remove();
+        this.crossLinkElements.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Compute a cross-link's curve, arrowhead and label position. The curve
+   * bends to one side so links in both directions stay apart, and runs
+   * from node outline to node outline.
+   */
+  getCrossLinkGeometry(fromId, toId) {
+    const a = this.positions[fromId];
+    const b = this.positions[toId];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy) || 1;
+    const bend = Math.min(length * 0.25, 80);
+    const cx = (a.x + b.x) / 2 - dy / length * bend;
+    const cy = (a.y + b.y) / 2 + dx / length * bend;
+
+    const outline = (p, r) => {
+      const ux = cx - p.x;
+      const uy = cy - p.y;
+      const l = Math.hypot(ux, uy) || 1;
+      return { x: p.x + ux / l * r, y: p.y + uy / l * r };
+    };
+    const start = outline(a, (this.nodeRadii.get(fromId) || 8) + 2);
+    const end = outline(b, (this.nodeRadii.get(toId) || 8) + 3);
+
+    // Arrowhead pointing along the curve's end tangent
+    const tl = Math.hypot(end.x - cx, end.y - cy) || 1;
+    const ux = (end.x - cx) / tl;
+    const uy = (end.y - cy) / tl;
+    const size = 8;
+    const baseX = end.x - ux * size;
+    const baseY = end.y - uy * size;
+    const arrow = `M ${end.x} ${end.y} L ${baseX - uy * size / 2} ${baseY + ux * size / 2} ` +
+      `L ${baseX + uy * size / 2} ${baseY - ux * size / 2} Z`;
+
+    return {
+      path: `M ${start.x} ${start.y} Q ${cx} ${cy} ${baseX} ${baseY}`,
+      arrow,
+      labelX: 0.25 * start.x + 0.5 * cx + 0.25 * end.x,
+      labelY: 0.25 * start.y + 0.5 * cy + 0.25 * end.y
+    };
+  }
+
+  /**
+   * Describe a node's group to assistive technology as an item of the tree
+   */
+  updateTreeItem(node, depth, index, count) {
+    const g = this.nodeElements.get(node.id);
+    const hasChildren = !!(node.children && node.children.length > 0);
+    MindMap.updateAttribute(g, 'aria-level', depth + 1);
+    MindMap.updateAttribute(g, 'aria-posinset', index + 1);
+    MindMap.updateAttribute(g, 'aria-setsize', count);
+    MindMap.updateAttribute(g, 'aria-label', node.name || 'Unnamed');
+    MindMap.updateAttribute(g, 'aria-expanded', hasChildren ? String(!node.collapsed) : null);
+    MindMap.updateAttribute(g, 'aria-selected', String(this.selection.has(node.id)));
+  }
+
+  /**
+   * Get a node's effective style: its own style, plus its parent's fill and
+   * stroke when config.inheritBranchColors is on
+   */
+  resolveNodeStyle(node, parentStyle) {
+    const style = { ...node.style };
+    if (this.config.inheritBranchColors && parentStyle) {
+      if (!style.fill && parentStyle.fill) style.fill = parentStyle.fill;
+      if (!style.stroke && parentStyle.stroke) style.stroke = parentStyle.stroke;
+    }
+    return style;
+  }
+
+  /**
+   * Create or update the link to a child, keyed by the child's ID.
+   * color overrides the theme's link color.
+   */
+  drawLink(parent, child, color) {
+    let line = this.linkElements.get(child.id);
+    if (!line) {
+      line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      line.setAttribute('class', 'mindmap-link');
+      line.setAttribute('data-link-id', child.id);
+      this.gLinks.appendChild(line);
+      this.linkElements.set(child.id, line);
+    }
+
+    const d = this.getLinkPath(parent, child);
+    if (line.getAttribute('d') !== d) line.setAttribute('d', d);
+    MindMap.setStyleProperty(line, '--mindmap-link-color', color);
+    const className = color ? 'mindmap-link custom-stroke' : 'mindmap-link';
+    if (line.getAttribute('class') !== className) line.setAttribute('class', className);
+  }
+
+  /**
+   * Create or update a node's group. Its content is only rebuilt when
+   * something it displays has changed.
+   */
+  drawNode(node, depth, isRoot, layoutEntry, style = {}) {
+    const pos = this.positions[node.id];
+    const angle = pos.angle || 0;
+    const hasChildren = !!(node.children && node.children.length > 0);
+    const isLeaf = !hasChildren;
+
+    const role = isRoot ? 'root' : (isLeaf ? 'leaf' : 'branch');
+    let nodeClasses = `mindmap-node ${role}`;
+
+    // Colors from node.style are passed to the CSS through custom properties
+    if (style.fill) nodeClasses += ' custom-fill';
+    if (style.stroke) nodeClasses += ' custom-stroke';
+    if (style.text) nodeClasses += ' custom-text';
+
+    if (node.collapsed && hasChildren) {
+      nodeClasses += ' collapsed';
+    }
+
+    if (this.selection.has(node.id)) {
+      nodeClasses += ' selected';
+    }
+
+    if (this.searchMatches) {
+      nodeClasses += this.searchMatches.has(node.id) ? ' search-match' : ' search-dimmed';
+      if (this.searchResults[this.searchIndex] === node.id) nodeClasses += ' search-current';
+    }
+
+    // Add editing class if this node is being edited
+    if (this.editingNode === node.id) {
+      nodeClasses += ' editing';
+    }
+
+    let g = this.nodeElements.get(node.id);
+    if (!g) {
+      g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.setAttribute('data-node-id', node.id);
+      g.setAttribute('role', 'treeitem');
+      g.setAttribute('tabindex', '-1');
+      g.style.cursor = 'pointer';
+      this.gNodes.appendChild(g);
+      this.nodeElements.set(node.id, g);
+    }
+
+    if (g.getAttribute('class') !== nodeClasses) g.setAttribute('class', nodeClasses);
+    MindMap.setStyleProperty(g, '--mindmap-node-fill', style.fill);
+    MindMap.setStyleProperty(g, '--mindmap-node-stroke', style.stroke);
+    MindMap.setStyleProperty(g, '--mindmap-node-text', style.text);
+
+    const transform = `translate(${pos.x},${pos.y})`;
+    if (g.getAttribute('transform') !== transform) g.setAttribute('transform', transform);
+
+    const r = style.radius || this.config.nodeRadius[role];
+    const shape = style.shape || 'circle';
+    // extent is the node's half width, which the label keeps clear of
+    const extent = shape === 'pill' ? r * 1.6 : r;
+    this.nodeRadii.set(node.id, extent);
+
+    const labelPlacement = depth === 0 ? layoutEntry.rootLabel : layoutEntry.label;
+    const badgeText = hasChildren ? (node.collapsed ? `+${this.countDescendants(node)}` : '−') : '';
+    const key = [
+      node.name, r, shape, style.icon, style.fontSize, style.fontWeight, angle, labelPlacement, badgeText,
+      this.config.labelMaxWidth, pos.labelWidth, this.config.rotateLabels, node.note, node.url, node.image
+    ].join('|');
+    if (this.nodeKeys.get(node.id) === key) return;
+    this.nodeKeys.set(node.id, key);
+
+    while (g.firstChild) g.removeChild(g.firstChild);
+
+    const label = this.getLabelLayout(node, role, style, labelPlacement, pos, r, extent);
+
+    // The note shows as the node's tooltip, after the full name of a shortened label
+    if (node.note || label.truncated) {
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = [label.truncated && node.name, node.note].filter(Boolean).join('\n\n');
+      g.appendChild(title);
+    }
+
+    // Node shape
+    let shapeEl;
+    if (shape === 'rounded' || shape === 'pill') {
+      shapeEl = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      shapeEl.setAttribute('x', -extent);
+      shapeEl.setAttribute('y', -r);
+      shapeEl.setAttribute('width', extent * 2);
+      shapeEl.setAttribute('height', r * 2);
+      shapeEl.setAttribute('rx', shape === 'pill' ? r : r * 0.35);
+      shapeEl.setAttribute('class', 'mindmap-shape');
+    } else {
+      shapeEl = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      shapeEl.setAttribute('r', r);
+      shapeEl.setAttribute('class', shape === 'none' ? 'mindmap-shape mindmap-shape-none' : 'mindmap-shape');
+    }
+    shapeEl.setAttribute('aria-hidden', 'true');
+    g.appendChild(shapeEl);
+
+    if (style.icon) {
+      const icon = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      icon.setAttribute('class', 'mindmap-icon');
+      icon.setAttribute('aria-hidden', 'true');
+      icon.style.fontSize = `${Math.round(r * 1.3)}px`;
+      icon.textContent = style.icon;
+      g.appendChild(icon);
+    }
+
+    this.drawNodeContent(g, node, r);
+
+    const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('class', 'mindmap-label');
+    text.setAttribute('aria-hidden', 'true');
+    if (style.fontSize) text.style.fontSize = typeof style.fontSize === 'number' ? `${style.fontSize}px` : style.fontSize;
+    if (style.fontWeight) text.style.fontWeight = style.fontWeight;
+
+    // Collapse/expand badge on branch nodes
+    if (hasChildren) {
+      const badge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      badge.setAttribute('class', 'mindmap-toggle');
+      badge.setAttribute('aria-hidden', 'true');
+      badge.setAttribute('transform', `translate(${Math.cos(angle) * (extent + 7)},${Math.sin(angle) * (r + 7)})`);
+
+      const badgeCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      badgeCircle.setAttribute('r', node.collapsed ? 8 : 6);
+      badge.appendChild(badgeCircle);
+
+      const badgeLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      badgeLabel.textContent = badgeText;
+      badge.appendChild(badgeLabel);
+
+      g.appendChild(badge);
+    }
+
+    if (label.x !== null) text.setAttribute('x', label.x);
+    if (label.y !== null) text.setAttribute('y', label.y);
+    if (label.anchor) text.setAttribute('text-anchor', label.anchor);
+    if (label.rotate !== null) text.setAttribute('transform', `rotate(${label.rotate},${label.x},${label.y})`);
+
+    // One tspan per line; labels below the node grow downwards, others stay centered
+    const lines = label.lines;
+    if (lines.length === 1) {
+      text.textContent = lines[0];
+    } else {
+      const firstLine = labelPlacement === 'below' ? 0 : -(lines.length - 1) / 2;
+      lines.forEach((line, i) => {
+        const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
+        tspan.setAttribute('x', label.x || 0);
+        tspan.setAttribute('dy', `${i === 0 ? firstLine * 1.2 : 1.2}em`);
+        tspan.textContent = line;
+        text.appendChild(tspan);
+      });
+    }
+
+    g.appendChild(text);
+  }
+
+  /**
+   * Draw a node's image thumbnail and its link and note markers above it
+   */
+  drawNodeContent(g, node, r) {
+    const markers = [];
+
+    const url = node.url && MindMap.safeUrl(node.url);
+    if (url) {
+      const link = document.createElementNS('http://www.w3.org/2000/svg', 'a');
+      link.setAttribute('class', 'mindmap-node-link');
+      link.setAttribute('href', url);
+      link.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', url);
+      link.setAttribute('target', '_blank');
+      link.setAttribute('rel', 'noopener noreferrer');
+      link.setAttribute('aria-label', `Open link ${node.url}`);
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = node.url;
+      link.appendChild(title);
+      const icon = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = '🔗';
+      link.appendChild(icon);
+      markers.push(link);
+    }
+
+    if (node.note) {
+      const icon = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      icon.setAttribute('class', 'mindmap-note-icon');
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = '📝';
+      markers.push(icon);
+    }
+
+    markers.forEach((marker, i) => {
+      marker.setAttribute('transform', `translate(${(i - (markers.length - 1) / 2) * 16},${-(r + 10)})`);
+      g.appendChild(marker);
+    });
+
+    const image = node.image && MindMap.safeUrl(node.image, { image: true });
+    if (image) {
+      const size = this.config.imageSize;
+      const thumbnail = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+      thumbnail.setAttribute('class', 'mindmap-node-image');
+      thumbnail.setAttribute('aria-hidden', 'true');
+      thumbnail.setAttribute('href', image);
+      thumbnail.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', image);
+      thumbnail.setAttribute('x', -size / 2);
+      thumbnail.setAttribute('y', -(r + (markers.length ? 20 : 6) + size));
+      thumbnail.setAttribute('width', size);
+      thumbnail.setAttribute('height', size);
+      thumbnail.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+      g.appendChild(thumbnail);
+    }
+  }
+
+  /**
+   * Split a label into lines: at its own line breaks, and between words
+   * wherever a line would get wider than maxWidth (config.labelMaxWidth)
+   */
+  wrapLabel(name, role, style = {}, maxWidth = this.config.labelMaxWidth) {
+    const paragraphs = String(name).split(/\r?\n/);
+    if (!maxWidth) return paragraphs;
+
+    const font = this.getLabelFont(role, style);
+    const lines = [];
+    paragraphs.forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (this.measureText(candidate, font) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+        if (line) lines.push(line);
+        line = '';
+        // Words too long for a line of their own are broken between characters
+        for (const char of word) {
+          if (line && this.measureText(line + char, font) > maxWidth) {
+            lines.push(line);
+            line = '';
+          }
+          line += char;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * Shorten a line of text so that it fits maxWidth with an ellipsis added
+   */
+  ellipsize(text, font, maxWidth) {
+    const chars = Array.from(text);
+    while (chars.length && this.measureText(`${chars.join('').trimEnd()}…`, font) > maxWidth) chars.pop();
+    return `${chars.join('').trimEnd()}…`;
+  }
+
+  /**
+   * Lay out a node's label: its lines, rewrapped to the layout's labelWidth
+   * and cut short with an ellipsis if that takes more lines, and its
+   * position, anchor and rotation relative to the node.
+   * Returns { lines, truncated, x, y, anchor, rotate }; null means unset.
+   */
+  getLabelLayout(node, role, style, placement, pos, r, extent) {
+    const angle = pos.angle || 0;
+    const hasChildren = !!(node.children && node.children.length > 0);
+    const isLeaf = !hasChildren;
+    const textOffset = extent + (isLeaf ? 20 : 18) + (hasChildren ? 10 : 0);
+    const label = { lines: null, truncated: false, x: null, y: null, anchor: null, rotate: null };
+
+    if (placement === 'below') {
+      label.y = r + (isLeaf ? 20 : 18) + (hasChildren ? 10 : 0);
+    } else if (placement === 'side') {
+      // Labels sit beside the node, away from the parent
+      const left = Math.cos(angle) < 0;
+      label.x = left ? -textOffset : textOffset;
+      label.anchor = left ? 'end' : 'start';
+    } else if (placement === 'radial') {
+      label.x = Math.cos(angle) * textOffset;
+      label.y = Math.sin(angle) * textOffset;
+      const angleDeg = (angle * 180 / Math.PI + 360) % 360;
+      const left = angleDeg > 90 && angleDeg < 270;
+      if (left) label.anchor = 'end';
+      // Rotated labels run outwards along the radius, turned over on the left to stay upright
+      if (this.config.rotateLabels) {
+        label.anchor = left ? 'end' : 'start';
+        label.rotate = left ? angleDeg - 180 : angleDeg;
+      }
+    }
+
+    let lines = this.wrapLabel(node.name || '', role, style);
+    if (pos.labelWidth) {
+      const font = this.getLabelFont(role, style);
+      if (lines.some(line => this.measureText(line, font) > pos.labelWidth)) {
+        const narrow = this.wrapLabel(node.name || '', role, style, pos.labelWidth);
+        if (narrow.length > lines.length) {
+          narrow[lines.length - 1] = this.ellipsize(narrow[lines.length - 1], font, pos.labelWidth);
+          label.truncated = true;
+        }
+        lines = narrow.slice(0, lines.length);
+      }
+    }
+    label.lines = lines;
+    return label;
+  }
+
+  /**
+   * Get the font a label is drawn with, as { size, weight, css }. Theme
+   * sizes and weights are read from the container's CSS variables once per
+   * render; without a container brainmap.css's defaults are used.
+   */
+  getLabelFont(role, style = {}) {
+    const cacheKey = [role, style.fontSize, style.fontWeight].join('|');
+    if (this.labelFonts && this.labelFonts[cacheKey]) return this.labelFonts[cacheKey];
+
+    const weightName = role === 'branch' ? 'normal' : 'bold';
+    let size = style.fontSize || (this.config.fontSize && this.config.fontSize[role]);
+    let weight = style.fontWeight;
+    let family = 'sans-serif';
+    if (this.container && typeof window !== 'undefined' && window.getComputedStyle) {
+      const computed = window.getComputedStyle(this.container);
+      if (!size) size = computed.getPropertyValue(`--mindmap-font-size-${role}`).trim();
+      if (!weight) weight = computed.getPropertyValue(`--mindmap-font-weight-${weightName}`).trim();
+      family = computed.fontFamily || family;
+    }
+    size = parseFloat(size) || { root: 14, branch: 12, leaf: 11 }[role];
+    weight = weight || { normal: 600, bold: 700 }[weightName];
+
+    const font = { size, weight, css: `${weight} ${size}px ${family}` };
+    this.labelFonts = this.labelFonts || {};
+    this.labelFonts[cacheKey] = font;
+    return font;
+  }
+
+  /**
+   * Measure the width of a line of text with a canvas, or estimate it where
+   * canvas text metrics aren't available
+   */
+  measureText(text, font) {
+    if (this.measureContext === undefined) {
+      try {
+        this.measureContext = document.createElement('canvas').getContext('2d') || null;
+      } catch (e) {
+        this.measureContext = null;
+      }
+    }
+    if (this.measureContext) {
+      this.measureContext.font = font.css;
+      return this.measureContext.measureText(text).width;
+    }
+    return text.length * font.size * 0.6;
+  }
+
+  /**
+   * Get the rendered group element of a node
+   */
+  getNodeElement(nodeId) {
+    return (this.nodeElements && this.nodeElements.get(nodeId)) || null;
+  }
+
+  /**
+   * Find the data node for an event target inside a node group
+   */
+  getEventNode(e) {
+    const nodeElement = e.target.closest && e.target.closest('.mindmap-node');
+    if (!nodeElement || !nodeElement.hasAttribute('data-node-id')) return null;
+    return this.findNodeById(this.treeData, nodeElement.getAttribute('data-node-id'));
+  }
+
+  /**
+   * Handle clicks on nodes (delegated from the SVG)
+   */
+  handleClick(e) {
+    const node = this.getEventNode(e);
+    if (!node || this.dragMoved) return;
+
+    // Link icons open their URL without selecting the node
+    if (e.target.closest('.mindmap-node-link')) return;
+
+    // In connect mode the clicked node becomes the link target
+    if (this.connectingFrom) {
+      const fromId = this.connectingFrom;
+      this.cancelConnect();
+      this.addCrossLink(fromId, node.id);
+      return;
+    }
+
+    // Clicking the badge toggles the subtree
+    if (e.target.closest('.mindmap-toggle')) {
+      this.toggleCollapse(node.id);
+      return;
+    }
+
+    // Shift or Ctrl/Cmd adds to or removes from the selection
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      this.toggleNodeSelection(node.id);
+    } else {
+      this.selectNode(node.id);
+    }
+    this.emit('nodeClick', node, e);
+  }
+
+  /**
+   * Handle double clicks on nodes (delegated from the SVG)
+   */
+  handleDoubleClick(e) {
+    const node = this.getEventNode(e);
+    if (!node || e.target.closest('.mindmap-toggle, .mindmap-node-link')) return;
+
+    e.preventDefault();
+    this.emit('nodeDoubleClick', node, e);
+    this.startEdit(node.id);
+  }
+
+  /**
+   * Handle right clicks on nodes (delegated from the SVG)
+   */
+  handleContextMenu(e) {
+    const linkElement = e.target.closest && e.target.closest('.mindmap-cross-link');
+    const link = linkElement && this.findCrossLink(linkElement.getAttribute('data-from'), linkElement.getAttribute('data-to'));
+    if (link && this.config.editable) {
+      e.preventDefault();
+      this.showCrossLinkMenu(e.clientX, e.clientY, link);
+      return;
+    }
+
+    const node = this.getEventNode(e);
+    if (!node || !this.config.editable) return;
+
+    e.preventDefault();
+    this.showContextMenu(e.clientX, e.clientY, node.id);
+  }
+
+  /**
+   * Handle a touch starting on a node
+   */
+  handleNodeTouchStart(e, nodeId) {
+    const element = this.getNodeElement(nodeId);
+    if (this.nodeTouch) clearTimeout(this.nodeTouch.longPressTimeout);
+
+    this.nodeTouch = {
+      nodeId,
+      element,
+      time: Date.now(),
+      x: e.touches[0].clientX,
+      y: e.touches[0].clientY,
+      // Visual feedback after 300ms
+      longPressTimeout: setTimeout(() => element.classList.add('long-pressing'), 300)
+    };
+  }
+
+  /**
+   * Handle a touch moving after it started on a node
+   */
+  handleNodeTouchMove(e) {
+    const touch = this.nodeTouch;
+
+    // Cancel long press if finger moves too much
+    const distance = Math.hypot(e.touches[0].clientX - touch.x, e.touches[0].clientY - touch.y);
+    if (distance > 15) { // 15px tolerance
+      clearTimeout(touch.longPressTimeout);
+      touch.element.classList.remove('long-pressing');
+
+      // Dragging a node reparents/reorders it
+      if (!this.nodeDrag && e.touches.length === 1) {
+        this.startNodeDrag(touch.nodeId);
+      }
+    }
+
+    if (this.nodeDrag && this.nodeDrag.active) {
+      e.preventDefault();
+      this.updateNodeDrag(e.touches[0].clientX, e.touches[0].clientY);
+    }
+  }
+
+  /**
+   * Handle a touch ending after it started on a node
+   */
+  handleNodeTouchEnd(e) {
+    const touch = this.nodeTouch;
+    this.nodeTouch = null;
+    e.preventDefault();
+
+    // Clear timeouts and visual feedback
+    clearTimeout(touch.longPressTimeout);
+    touch.element.classList.remove('long-pressing');
+
+    if (this.nodeDrag && this.nodeDrag.active) {
+      this.endNodeDrag(true);
+      return;
+    }
+
+    const node = this.findNodeById(this.treeData, touch.nodeId);
+    if (!node) return;
+
+    // Tapping the badge toggles the subtree
+    if (e.target.closest('.mindmap-toggle')) {
+      this.toggleCollapse(node.id);
+      return;
+    }
+
+    const touchDuration = Date.now() - touch.time;
+    const touchEndPos = {
+      x: e.changedTouches[0].clientX,
+      y: e.changedTouches[0].clientY
+    };
+    const distance = Math.hypot(touchEndPos.x - touch.x, touchEndPos.y - touch.y);
+
+    // Long press for context menu (600ms+, minimal movement)
+    if (touchDuration >= 600 && distance < 15) {
+      this.showContextMenu(touchEndPos.x, touchEndPos.y, node.id);
+      return;
+    }
+
+    // Quick tap for double-tap detection
+    if (touchDuration < 400 && distance < 15) {
+      const tap = this.nodeTap && this.nodeTap.nodeId === node.id ? this.nodeTap : { nodeId: node.id, count: 0 };
+      if (this.nodeTap && this.nodeTap !== tap) clearTimeout(this.nodeTap.timeout);
+      this.nodeTap = tap;
+      tap.count++;
+
+      if (tap.count === 1) {
+        this.selectNode(node.id);
+        this.emit('nodeClick', node, e);
+        // Start timer for double tap
+        tap.timeout = setTimeout(() => {
+          this.nodeTap = null;
+          // Single tap - just provide feedback
+          if (this.config.editable) {
+            this.setStatus(`Tapped "${node.name}" - Double tap to edit, long press for menu`);
+          }
+        }, 400);
+      } else if (tap.count === 2) {
+        // Double tap - start editing
+        clearTimeout(tap.timeout);
+        this.nodeTap = null;
+        this.emit('nodeDoubleClick', node, e);
+        this.startEdit(node.id);
+      }
+    }
+  }
+
+  /**
+   * Render the mindmap
+   */
+  render() {
+    if (!this.treeData) return;
+
+    if (this.activeBatch) {
+      this.activeBatch.render = true;
+      return;
+    }
+
+    // Drop deleted nodes from the selection
+    const remaining = this.getSelection().filter(id => this.findNodeById(this.treeData, id));
+    if (remaining.length !== this.selection.size) {
+      this.setSelection(remaining, this.selectedNode);
+    }
+
+    // Keep search results in step with renamed, added and deleted nodes
+    if (this.searchMatcher) {
+      const current = this.searchResults[this.searchIndex];
+      this.searchResults = this.findMatches();
+      this.searchIndex = this.searchResults.indexOf(current);
+      this.searchMatches = new Set(this.searchResults);
+      this.updateSearchControls();
+    } else {
+      this.searchMatches = null;
+    }
+    this.svg.classList.toggle('searching', !!this.searchMatcher);
+
+    // Removing the focused node would drop keyboard focus to the page
+    const hadFocus = this.svg.contains(document.activeElement);
+
+    this.positions = this.computeLayout(this.treeData);
+    this.draw(this.treeData);
+    this.drawPresence();
+    this.updateTabStop();
+    this.updateTransform();
+
+    if (hadFocus && !this.svg.contains(document.activeElement) && !this.isEditing) {
+      if (!this.focusNode(this.tabStop)) this.container.focus();
+    }
+  }
+
+  /**
+   * Replace the starting map with the autosaved one. Edits made while
+   * loading are kept instead. Never rejects: a map that can't be loaded or
+   * is invalid (with onInvalidData 'throw') stops autosave and is reported
+   * through the storageError event.
+   */
+  async restoreAutosave() {
+    const key = this.config.storageKey;
+    const revision = this.revision;
+    let data = null;
+    try {
+      data = await this.config.storage.load(key);
+    } catch (err) {
+      this.blockAutosave(err, key);
+      return;
+    }
+    if (!data || this.revision !== revision) return;
+
+    this.isRestoring = true;
+    try {
+      this.setData(data);
+    } catch (err) {
+      this.blockAutosave(err, key);
+      return;
+    } finally {
+      this.isRestoring = false;
+    }
+    this.setSaveState('saved');
+    this.setStatus('Restored the autosaved map');
+  }
+
+  /**
+   * Replace the map with one saved under a key, and save there from now on.
+   * Resolves to false if nothing is saved under the key.
+   */
+  async load(key = this.config.storageKey) {
+    if (!this.config.storage) return false;
+
+    const data = await this.config.storage.load(key);
+    if (!data) {
+      this.setStatus(`Nothing saved under "${key}"`);
+      return false;
+    }
+
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.autosaveBlocked = false;
+    this.config.storageKey = key;
+    this.isRestoring = true;
+    try {
+      this.setData(data);
+    } finally {
+      this.isRestoring = false;
+    }
+    this.setSaveState('saved');
+    return true;
+  }
+
+  /**
+   * Save the map to storage now. Resolves to false if saving failed.
+   */
+  async save() {
+    if (!this.config.storage || !this.treeData) return false;
+
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.autosaveBlocked = false;
+    const revision = this.revision;
+    this.setSaveState('saving');
+    try {
+      await this.config.storage.save(this.config.storageKey, this.getData());
+    } catch (err) {
+      this.setSaveState('error');
+      this.setStatus(`Could not save the map: ${err.message}`);
+      return false;
+    }
+    // Edits made while saving wait for the next autosave
+    this.setSaveState(revision === this.revision ? 'saved' : 'unsaved');
+    return true;
+  }
+
+  /**
+   * Mark the map unsaved and save it once edits pause for autosaveDelay
+   */
+  scheduleAutosave() {
+    if (!this.config.storage || this.isRestoring) return;
+
+    this.revision++;
+    if (this.autosaveBlocked) return;
+    this.setSaveState('unsaved');
+    if (!this.config.autosave) return;
+
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => this.save(), this.config.autosaveDelay);
+  }
+
+  /**
+   * Stop autosaving after the saved map couldn't be read, so it isn't
+   * overwritten. Saving or loading explicitly resumes autosave.
+   */
+  blockAutosave(err, key) {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.autosaveBlocked = true;
+    this.setSaveState('error');
+    this.setStatus(`Could not load the saved map: ${err.message}`);
+    this.emit('storageError', err, key);
+  }
+
+  /**
+   * Save right away if an autosave is pending, e.g. when the page is closed
+   */
+  flushAutosave() {
+    if (this.autosaveTimer) this.save();
+  }
+
+  /**
+   * Update the save state ('saved', 'saving', 'unsaved' or 'error')
+   */
+  setSaveState(state) {
+    if (state === this.saveState) return;
+    this.saveState = state;
+    this.updateSaveStatus();
+    this.emit('saveStateChange', state);
+  }
+
+  /**
+   * Show the save state in the status bar
+   */
+  updateSaveStatus() {
+    if (!this.saveStatusEl) return;
+    const labels = { saved: 'Saved', saving: 'Saving…', unsaved: 'Unsaved changes', error: 'Not saved' };
+    this.saveStatusEl.textContent = labels[this.saveState] || '';
+    if (this.saveState) this.saveStatusEl.setAttribute('data-state', this.saveState);
+    else this.saveStatusEl.removeAttribute('data-state');
+  }
+
+  /**
+   * Start editing together with other peers over a transport
+   * ({ send(message), subscribe(handler) => unsubscribe, close?() }).
+   * Options: peerId, name and color shown to the others.
+   */
+  connect(transport, options = {}) {
+    this.disconnect();
+    if (!transport || !this.treeData) return false;
+
+    const peerId = options.peerId || 'peer_' + Math.random().toString(36).slice(2, 10);
+    const palette = this.config.colorPalette || [];
+    const hash = [...peerId].reduce((sum, ch) => (sum * 31 + ch.charCodeAt(0)) >>> 0, 0);
+    this.collab = {
+      transport,
+      peerId,
+      name: options.name || peerId,
+      color: options.color || (palette.length ? palette[hash % palette.length].stroke : '#2563eb'),
+      clock: 0,
+      // Every peer replays the same base and operations in the same order.
+      // Operations up to baseClock are folded into the base (see compactLog).
+      base: this.getData(),
+      baseOwner: peerId,
+      baseClock: 0,
+      log: [],
+      shadow: this.getData(),
+      // Peers whose hello we answered with our own base
+      answered: new Set(),
+      // Until we are part of a session our operations are only logged
+      synced: false,
+      unsent: new Set(),
+      unsubscribe: null,
+      heartbeat: null
+    };
+    this.collab.unsubscribe = transport.subscribe((message) => this.handleCollabMessage(message));
+    this.collab.heartbeat = setInterval(() => {
+      this.sendPresence();
+      this.prunePeers();
+      this.compactLog();
+    }, MindMap.presenceInterval);
+
+    this.sendCollabMessage({ type: 'hello' });
+    this.sendPresence();
+    return true;
+  }
+
+  /**
+   * Stop collaborating; the map keeps its current state
+   */
+  disconnect() {
+    const collab = this.collab;
+    if (!collab) return;
+
+    this.sendCollabMessage({ type: 'leave' });
+    this.collab = null;
+    clearInterval(collab.heartbeat);
+    if (collab.unsubscribe) collab.unsubscribe();
+    if (collab.transport.close) collab.transport.close();
+    if (this.peers.size) {
+      this.peers.clear();
+      this.drawPresence();
+      this.emit('peersChange', []);
+    }
+  }
+
+  /**
+   * Get the other connected peers
+   */
+  getPeers() {
+    return [...this.peers.values()].map(({ id, name, color, nodeId }) => ({ id, name, color, nodeId }));
+  }
+
+  /**
+   * Send a message to the other peers
+   */
+  sendCollabMessage(message) {
+    if (!this.collab) return;
+    this.collab.transport.send({ ...message, peer: this.collab.peerId });
+  }
+
+  /**
+   * Tell the other peers who we are and which node we have selected
+   */
+  sendPresence() {
+    if (!this.collab) return;
+    const { name, color, synced, clock } = this.collab;
+    // The clock tells the others which operations we have seen (see compactLog)
+    this.sendCollabMessage({ type: 'presence', name, color, nodeId: this.selectedNode, clock: synced ? clock : null });
+  }
+
+  /**
+   * Turn local edits since the last call into operations and send them
+   */
+  captureOperations() {
+    const collab = this.collab;
+    if (!collab) return;
+
+    const current = this.getData();
+    const ops = MindMap.diffTrees(collab.shadow, current);
+    collab.shadow = current;
+    if (ops.length === 0) return;
+
+    ops.forEach(op => {
+      op.clock = ++collab.clock;
+      op.peer = collab.peerId;
+      collab.log.push(op);
+    });
+    // Before joining a session, operations only go out with our sync reply
+    if (collab.synced) this.sendCollabMessage({ type: 'ops', ops });
+    else ops.forEach(op => collab.unsent.add(op.clock + '@' + op.peer));
+  }
+
+  /**
+   * Handle a message from another peer
+   */
+  handleCollabMessage(message) {
+    const collab = this.collab;
+    if (!collab || !message || typeof message.peer !== 'string' || message.peer === collab.peerId) return;
+    if (message.to && message.to !== collab.peerId) return;
+
+    switch (message.type) {
+      case 'hello': {
+        const { base, baseOwner, baseClock, log } = collab;
+        collab.answered.add(message.peer);
+        collab.synced = true;
+        collab.unsent.clear();
+        this.sendCollabMessage({ type: 'sync', to: message.peer, base, baseOwner, baseClock, log });
+        this.sendPresence();
+        break;
+      }
+      case 'sync':
+        this.mergeOperations(Array.isArray(message.log) ? message.log : [], message);
+        this.sendPresence();
+        break;
+      case 'ops':
+        this.mergeOperations(Array.isArray(message.ops) ? message.ops : []);
+        break;
+      case 'presence':
+        this.updatePeer(message);
+        this.compactLog();
+        break;
+      case 'leave':
+        if (this.peers.delete(message.peer)) {
+          this.drawPresence();
+          this.emit('peersChange', this.getPeers());
+        }
+        break;
+    }
+  }
+
+  /**
+   * Merge remote operations into the log. Operations are ordered by
+   * (clock, peer); ones that sort before what was already applied make the
+   * map replay the whole log from the base. A sync answering our hello
+   * comes from the session we are joining, so its base replaces ours and
+   * our unsent operations are dropped. When two peers answered each
+   * other's hello, both keep the base of the lower peer ID. A sync of the
+   * same base compacted further moves our base forward.
+   */
+  mergeOperations(ops, sync) {
+    const collab = this.collab;
+    let adopted = false;
+    let rebased = false;
+    if (sync && typeof sync.baseOwner === 'string' && sync.base && typeof sync.base === 'object' &&
+      !Array.isArray(sync.base)) {
+      const baseClock = Number.isFinite(sync.baseClock) ? sync.baseClock : 0;
+      if (sync.baseOwner !== collab.baseOwner) {
+        adopted = !collab.answered.has(sync.peer) || sync.baseOwner < collab.baseOwner;
+      } else {
+        rebased = baseClock > collab.baseClock;
+      }
+      if (adopted || rebased) {
+        collab.base = MindMap.normalizeData(sync.base).data;
+        collab.baseOwner = sync.baseOwner;
+        collab.baseClock = baseClock;
+        collab.clock = Math.max(collab.clock, baseClock);
+        collab.log = collab.log.filter(op => op.clock > baseClock && !collab.unsent.has(op.clock + '@' + op.peer));
+      }
+      collab.synced = true;
+      collab.unsent.clear();
+    }
+
+    // Operations up to baseClock are already part of the base
+    const known = new Set(collab.log.map(op => op.clock + '@' + op.peer));
+    const incoming = ops.filter(op => op && Number.isFinite(op.clock) && typeof op.peer === 'string' &&
+      op.clock > collab.baseClock && !known.has(op.clock + '@' + op.peer));
+    if (incoming.length === 0 && !adopted && !rebased) return;
+
+    let replay = adopted || rebased;
+
+    incoming.sort(MindMap.compareOperations);
+    const last = collab.log[collab.log.length - 1];
+    if (last && incoming.length && MindMap.compareOperations(incoming[0], last) < 0) replay = true;
+    collab.log.push(...incoming);
+    incoming.forEach(op => { collab.clock = Math.max(collab.clock, op.clock); });
+
+    let tree;
+    if (replay) {
+      collab.log.sort(MindMap.compareOperations);
+      tree = this.cloneNode(collab.base);
+      collab.log.forEach(op => { tree = MindMap.applyOperation(tree, op); });
+    } else {
+      tree = this.treeData;
+      incoming.forEach(op => { tree = MindMap.applyOperation(tree, op); });
+    }
+
+    // Local undo steps that touch nodes the others changed can't be undone
+    // safely; after adopting another base none of them apply
+    const previous = collab.shadow;
+    this.treeData = tree;
+    collab.shadow = this.getData();
+    this.dropHistory(adopted ? null : MindMap.changedNodes(previous, collab.shadow));
+    this.render();
+    this.emit('remoteChange', incoming);
+    this.emitDataChange();
+  }
+
+  /**
+   * Fold the operations every peer has seen into the base, so the log and
+   * the sync sent to joiners stay short. Each peer reports its clock with
+   * its presence and only creates operations that sort after it, so nothing
+   * can arrive later that belongs before the folded ones. A peer that hasn't
+   * reported its clock yet holds compaction back.
+   */
+  compactLog() {
+    const collab = this.collab;
+    if (!collab) return;
+
+    let stable = collab.clock;
+    for (const peer of this.peers.values()) {
+      if (!Number.isFinite(peer.clock)) return;
+      stable = Math.min(stable, peer.clock);
+    }
+    if (stable <= collab.baseClock || !collab.log.some(op => op.clock <= stable)) return;
+
+    let base = collab.base;
+    collab.log.filter(op => op.clock <= stable).forEach(op => { base = MindMap.applyOperation(base, op); });
+    collab.base = base;
+    collab.baseClock = stable;
+    collab.log = collab.log.filter(op => op.clock > stable);
+  }
+
+  /**
+   * Record a peer's presence message
+   */
+  updatePeer(message) {
+    const peer = this.peers.get(message.peer) || { id: message.peer };
+    const isNew = !this.peers.has(message.peer);
+    const changed = isNew || peer.nodeId !== message.nodeId || peer.name !== message.name || peer.color !== message.color;
+    peer.name = String(message.name || message.peer);
+    peer.color = typeof message.color === 'string' ? message.color : '#2563eb';
+    peer.nodeId = typeof message.nodeId === 'string' ? message.nodeId : null;
+    peer.clock = Number.isFinite(message.clock) ? message.clock : null;
+    peer.seen = Date.now();
+    this.peers.set(message.peer, peer);
+
+    if (changed) {
+      this.drawPresence();
+      this.emit('peersChange', this.getPeers());
+    }
+  }
+
+  /**
+   * Forget peers that stopped sending presence (closed tab, lost connection)
+   */
+  prunePeers() {
+    const cutoff = Date.now() - MindMap.presenceInterval * 3;
+    let removed = false;
+    for (const [id, peer] of this.peers) {
+      if (peer.seen < cutoff) {
+        this.peers.delete(id);
+        removed = true;
+      }
+    }
+    if (removed) {
+      this.drawPresence();
+      this.emit('peersChange', this.getPeers());
+    }
+  }
+
+  /**
+   * Draw a colored ring around each node another peer has selected
+   */
+  drawPresence() {
+    if (!this.svg) return;
+    this.svg.querySelectorAll('.mindmap-presence-ring').forEach(el => el.remove());
+
+    const rings = new Map();
+    for (const peer of this.peers.values()) {
+      const g = peer.nodeId && this.getNodeElement(peer.nodeId);
+      if (!g) continue;
+
+      const count = rings.get(peer.nodeId) || 0;
+      rings.set(peer.nodeId, count + 1);
+      const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      ring.setAttribute('class', 'mindmap-presence-ring');
+      ring.setAttribute('r', (this.nodeRadii.get(peer.nodeId) || 8) + 5 + count * 4);
+      ring.setAttribute('aria-hidden', 'true');
+      ring.style.stroke = peer.color;
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+      title.textContent = peer.name;
+      ring.appendChild(title);
+      g.insertBefore(ring, g.firstChild);
+    }
+  }
+
+  /**
+   * Export data as JSON
+   */
+  exportData() {
+    const dataStr = JSON.stringify(this.getData(), null, 2);
+    const blob = new Blob([dataStr], { type: 'application/json' });
+    this.downloadBlob(blob, this.config.exportFilename);
+    this.setStatus(`Data exported to ${this.config.exportFilename}`);
+  }
+
+  /**
+   * Export the map as a standalone SVG image, cropped to the content.
+   * Theme colors are inlined so the file renders without brainmap.css.
+   * Options: background (CSS color, defaults to the theme background,
+   * 'transparent' for none) and padding (defaults to 20).
+   */
+  exportSVG(options = {}) {
+    const markup = new XMLSerializer().serializeToString(this.buildExportSVG(options));
+    return new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+  }
+
+  /**
+   * Export the map as a PNG image, cropped to the content. Accepts the
+   * exportSVG options plus scale (pixel ratio, defaults to 2).
+   * Resolves with a Blob.
+   */
+  exportPNG(options = {}) {
+    const scale = options.scale || 2;
+    const svg = this.buildExportSVG(options);
+    const width = Math.ceil(parseFloat(svg.getAttribute('width')) * scale);
+    const height = Math.ceil(parseFloat(svg.getAttribute('height')) * scale);
+    const markup = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        // No 2D context or a tainted canvas (SecurityError) rejects too
+        try {
+          const canvas = document.createElement('canvas');
+          canvas.width = width;
+          canvas.height = height;
+          const ctx = canvas.getContext('2d');
+          if (!ctx) throw new Error('MindMap: PNG export failed, canvas 2D context unavailable');
+          ctx.drawImage(img, 0, 0, width, height);
+          canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('MindMap: PNG export failed'));
+          }, 'image/png');
+        } catch (err) {
+          reject(err);
+        }
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('MindMap: PNG export failed'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Build a detached copy of the SVG for export, with computed styles
+   * inlined and the view box set to the content bounds
+   */
+  buildExportSVG(options = {}) {
+    const padding = options.padding !== undefined ? options.padding : 20;
+    const containerStyle = window.getComputedStyle(this.container);
+    const background = options.background !== undefined ? options.background : containerStyle.backgroundColor;
+
+    // Transient interaction state shouldn't end up in the image
+    const selectedEls = this.getSelection().map(id => this.getNodeElement(id)).filter(Boolean);
+    selectedEls.forEach(el => el.classList.remove('selected'));
+
+    const clone = this.svg.cloneNode(true);
+    const sources = this.svg.querySelectorAll('*');
+    const targets = clone.querySelectorAll('*');
+    const rings = [];
+    sources.forEach((source, i) => {
+      if (source.closest('defs')) return;
+      if (source.classList.contains('mindmap-presence-ring')) rings.push(targets[i]);
+      const computed = window.getComputedStyle(source);
+      const style = MindMap.exportStyleProperties
+        .map(prop => [prop, computed.getPropertyValue(prop)])
+        .filter(([, value]) => value)
+        .map(([prop, value]) => `${prop}:${value}`)
+        .join(';');
+      if (style) targets[i].setAttribute('style', style);
+      else targets[i].removeAttribute('style');
+      targets[i].removeAttribute('class');
+    });
+
+    selectedEls.forEach(el => el.classList.add('selected'));
+    rings.forEach(el => el.remove());
+
+    clone.querySelectorAll('[data-node-id], [data-link-id], [data-from], [tabindex]').forEach(el => {
+      el.removeAttribute('data-node-id');
+      el.removeAttribute('data-link-id');
+      el.removeAttribute('data-from');
+      el.removeAttribute('data-to');
+      el.removeAttribute('tabindex');
+    });
+
+    // An exported file is a picture, not an interactive tree
+    clone.setAttribute('role', 'img');
+    clone.querySelectorAll('[role]').forEach(el => {
+      ['role', 'aria-level', 'aria-posinset', 'aria-setsize', 'aria-expanded', 'aria-selected', 'aria-label']
+        .forEach(name => el.removeAttribute(name));
+    });
+
+    // Crop to the content instead of the current pan/zoom
+    const bounds = this.getContentBounds();
+    const x = bounds.x - padding;
+    const y = bounds.y - padding;
+    const width = bounds.width + padding * 2;
+    const height = bounds.height + padding * 2;
+
+    const viewport = clone.children[Array.prototype.indexOf.call(this.svg.children, this.viewport)];
+    viewport.removeAttribute('transform');
+    clone.removeAttribute('class');
+    clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    if (containerStyle.fontFamily) clone.setAttribute('style', `font-family:${containerStyle.fontFamily}`);
+
+    if (background && background !== 'transparent' && background !== 'rgba(0, 0, 0, 0)') {
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('x', x);
+      rect.setAttribute('y', y);
+      rect.setAttribute('width', width);
+      rect.setAttribute('height', height);
+      rect.setAttribute('fill', background);
+      clone.insertBefore(rect, viewport);
+    }
+
+    return clone;
+  }
+
+  /**
+   * Get the bounding box of the drawn content in tree coordinates
+   */
+  getContentBounds() {
+    // getBBox reports an empty box while the SVG isn't displayed, so fall
+    // back to an estimate from the layout positions and label lengths
+    try {
+      const box = this.viewport.getBBox();
+      if (box.width || box.height) {
+        return { x: box.x, y: box.y, width: box.width, height: box.height };
+      }
+    } catch (e) {
+      // getBBox isn't available outside a rendering browser
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const id in this.positions) {
+      const { x, y } = this.positions[id];
+      const node = this.findNodeById(this.treeData, id);
+      const longestLine = node && node.name ? Math.max(...node.name.split('\n').map(line => line.length)) : 0;
+      const extent = 40 + Math.min(longestLine * 7, this.config.labelMaxWidth || Infinity);
+      minX = Math.min(minX, x - extent);
+      maxX = Math.max(maxX, x + extent);
+      minY = Math.min(minY, y - 40);
+      maxY = Math.max(maxY, y + 40);
+    }
+    if (minX === Infinity) return { x: 0, y: 0, width: 0, height: 0 };
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Trigger a browser download of a Blob
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download the map as an SVG file
+   */
+  downloadSVG(options = {}) {
+    this.downloadBlob(this.exportSVG(options), this.config.svgExportFilename);
+    this.setStatus(`Image exported to ${this.config.svgExportFilename}`);
+  }
+
+  /**
+   * Download the map as a PNG file
+   */
+  downloadPNG(options = {}) {
+    return this.exportPNG(options).then((blob) => {
+      this.downloadBlob(blob, this.config.pngExportFilename);
+      this.setStatus(`Image exported to ${this.config.pngExportFilename}`);
+    }).catch((err) => {
+      this.setStatus(err.message);
+    });
+  }
+
+  /**
+   * Replace the map with a Markdown outline. Headings and nested lists
+   * become nodes with generated IDs.
+   */
+  importMarkdown(text) {
+    const root = MindMap.parseMarkdown(text, { generateId: () => this.generateId() });
+    if (!root) {
+      this.setStatus('Nothing to import');
+      return false;
+    }
+    this.setData(root);
+    return true;
+  }
+
+  /**
+   * Export the map as Markdown: the root as a heading followed by a
+   * nested list of its descendants
+   */
+  exportMarkdown() {
+    return MindMap.toMarkdown(this.treeData);
+  }
+
+  /**
+   * Add an indented text outline (or Markdown list) as a subtree under a node
+   */
+  pasteText(nodeId, text) {
+    return this.pasteNodes(nodeId, MindMap.parseOutline(text, { generateId: () => this.generateUnusedId() }));
+  }
+
+  /**
+   * Append nodes (with IDs unique in this map) to a node's children as one
+   * undo step. links are cross-links between the new nodes.
+   */
+  pasteNodes(nodeId, nodes, links = []) {
+    if (!this.config.editable) return false;
+
+    const parent = this.findNodeById(this.treeData, nodeId);
+    if (!parent || nodes.length === 0) return false;
+
+    if (nodes.some(node => this.emit('beforeNodeAdd', parent, node.name) === false)) return false;
+
+    if (!parent.children) parent.children = [];
+    const index = parent.children.length;
+    parent.children.push(...nodes);
+    delete parent.collapsed;
+
+    const linksBefore = this.getCrossLinks();
+    const linksAfter = linksBefore.concat(links);
+    if (links.length) this.restoreCrossLinks(linksAfter);
+
+    const snapshots = nodes.map(node => this.cloneNode(node));
+    this.recordHistory('Paste', {
+      undo: () => {
+        snapshots.forEach(node => this.removeNode(node.id));
+        if (links.length) this.restoreCrossLinks(linksBefore);
+      },
+      redo: () => {
+        snapshots.forEach((node, i) => this.insertNode(parent.id, this.cloneNode(node), index + i));
+        if (links.length) this.restoreCrossLinks(linksAfter);
+      }
+    });
+
+    this.render();
+    this.setSelection(nodes.map(node => node.id));
+    this.setStatus(`Pasted ${nodes.length} node${nodes.length === 1 ? '' : 's'} into "${parent.name}"`);
+    nodes.forEach(node => this.emit('nodeAdd', parent, node));
+    links.forEach(link => this.emit('crossLinkAdd', this.findCrossLink(link.from, link.to)));
+    this.emitDataChange();
+    return true;
+  }
+
+  /**
+   * Build clipboard contents for subtrees: the JSON payload (nodes plus the
+   * cross-links between them) and a plain-text indented outline
+   */
+  createClipboardData(nodeIds) {
+    const ids = this.getTopmostNodes(nodeIds);
+    if (ids.length === 0) return null;
+
+    const roots = ids.map(id => this.findNodeById(this.treeData, id));
+    const inside = (id) => roots.some(root => this.findNodeById(root, id));
+    const payload = {
+      nodes: roots.map(node => this.cloneNode(node)),
+      links: this.getCrossLinks().filter(link => inside(link.from) && inside(link.to))
+    };
+    return { payload, json: JSON.stringify(payload), text: MindMap.toOutline(payload.nodes) };
+  }
+
+  /**
+   * Copy subtrees (the selection by default) to the clipboard. Returns
+   * false if there is nothing to copy.
+   */
+  copy(nodeIds) {
+    const ids = nodeIds ? [].concat(nodeIds) : this.getSelection();
+    const data = this.createClipboardData(ids);
+    if (!data) return false;
+
+    MindMap.clipboard = data;
+    this.writeSystemClipboard(data);
+    const count = data.payload.nodes.length;
+    this.setStatus(count === 1 ? `Copied "${data.payload.nodes[0].name}"` : `Copied ${count} nodes`);
+    return true;
+  }
+
+  /**
+   * Copy subtrees (the selection by default) to the clipboard and delete
+   * them as one undo step. The root can't be cut.
+   */
+  cut(nodeIds) {
+    if (!this.config.editable) return false;
+
+    const ids = (nodeIds ? [].concat(nodeIds) : this.getSelection()).filter(id => id !== this.treeData.id);
+    if (ids.length === 0 || !this.copy(ids)) return false;
+    if (!this.batch('Cut', () => this.deleteNodes(ids))) return false;
+
+    const { nodes } = MindMap.clipboard.payload;
+    this.setStatus(nodes.length === 1 ? `Cut "${nodes[0].name}"` : `Cut ${nodes.length} nodes`);
+    return true;
+  }
+
+  /**
+   * Paste the last copied subtrees under a node (the selected node by
+   * default) with new IDs. Pass clipboard contents, such as JSON from
+   * another map or a text outline, to paste those instead.
+   */
+  paste(targetId = this.selectedNode, contents) {
+    if (!targetId) return false;
+
+    const data = contents === undefined ? MindMap.clipboard : contents;
+    if (!data) {
+      this.setStatus('Nothing to paste');
+      return false;
+    }
+    if (typeof data === 'string') {
+      const payload = this.parseClipboardJSON(data);
+      return payload ? this.pastePayload(targetId, payload) : this.pasteText(targetId, data);
+    }
+    return this.pastePayload(targetId, data.payload || data);
+  }
+
+  /**
+   * Paste from the system clipboard when the browser lets us read it (text
+   * copied in another app becomes an outline), otherwise from
+   * MindMap.clipboard. Used by the context menu, which has no paste event.
+   */
+  async pasteFromClipboard(targetId = this.selectedNode) {
+    let text = '';
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.readText) {
+      try {
+        text = await navigator.clipboard.readText();
+      } catch (err) {
+        // Reading was denied; fall back to what was copied in this page
+      }
+    }
+    if (text && !(MindMap.clipboard && text === MindMap.clipboard.text)) {
+      return this.paste(targetId, text);
+    }
+    return this.paste(targetId);
+  }
+
+  /**
+   * Paste a { nodes, links } clipboard payload under a node, giving every
+   * node a new ID
+   */
+  pastePayload(nodeId, payload) {
+    const idMap = new Map();
+    const copyNode = (source) => {
+      const node = this.cloneNode(source);
+      const rename = (n) => {
+        const id = this.generateUnusedId();
+        idMap.set(n.id, id);
+        n.id = id;
+        (n.children || []).forEach(rename);
+      };
+      rename(node);
+      return node;
+    };
+
+    const nodes = (payload.nodes || []).map(copyNode);
+    const links = (payload.links || [])
+      .filter(link => idMap.has(link.from) && idMap.has(link.to))
+      .map(link => Object.assign(this.cloneNode(link), { from: idMap.get(link.from), to: idMap.get(link.to) }));
+    return this.pasteNodes(nodeId, nodes, links);
+  }
+
+  /**
+   * Read a clipboard JSON payload, or null if the text isn't one
+   */
+  parseClipboardJSON(text) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    const valid = (node) => node && typeof node === 'object' && typeof node.name === 'string' &&
+      (!node.children || (Array.isArray(node.children) && node.children.every(valid)));
+    if (!payload || !Array.isArray(payload.nodes) || !payload.nodes.every(valid)) return null;
+    if (!Array.isArray(payload.links)) payload.links = [];
+    return payload;
+  }
+
+  /**
+   * Put the outline on the system clipboard outside a copy event. Other
+   * maps on the page still get the full payload from MindMap.clipboard.
+   */
+  writeSystemClipboard(data) {
+    if (this.clipboardEvent) {
+      this.clipboardEvent.clipboardData.setData(MindMap.clipboardType, data.json);
+      this.clipboardEvent.clipboardData.setData('text/plain', data.text);
+      this.clipboardEvent.preventDefault();
+      return;
+    }
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(data.text).catch(() => {
+        // Clipboard permission denied; in-page pasting still works
+      });
+    }
+  }
+
+  /**
+   * Check whether a clipboard event belongs to a text field instead of the map
+   */
+  isTextClipboardEvent(e) {
+    return this.isEditing || !e.clipboardData ||
+      !!(e.target.matches && e.target.matches('input, textarea, [contenteditable="true"]'));
+  }
+
+  /**
+   * Handle copying or cutting the selected nodes with the keyboard
+   */
+  handleCopy(e, cut = false) {
+    if (this.isTextClipboardEvent(e) || this.selection.size === 0) return;
+
+    this.clipboardEvent = e;
+    try {
+      if (cut) this.cut();
+      else this.copy();
+    } finally {
+      this.clipboardEvent = null;
+    }
+  }
+
+  /**
+   * Handle pasting onto the selected node: a map payload if there is one,
+   * otherwise plain text as an outline
+   */
+  handlePaste(e) {
+    if (this.isTextClipboardEvent(e) || !this.selectedNode) return;
+
+    const json = e.clipboardData.getData(MindMap.clipboardType);
+    const text = e.clipboardData.getData('text/plain');
+    let pasted = false;
+    if (json) {
+      pasted = this.paste(this.selectedNode, json);
+    } else if (text && MindMap.clipboard && text === MindMap.clipboard.text) {
+      // Our own outline, copied from the menu: keep styles, notes and links
+      pasted = this.paste(this.selectedNode, MindMap.clipboard);
+    } else if (text) {
+      pasted = this.pasteText(this.selectedNode, text);
+    }
+    if (pasted) e.preventDefault();
+  }
+
+  /**
+   * Replace the map with an OPML outline. Returns the list of warnings
+   * about skipped content; throws if the document can't be read.
+   */
+  importOPML(text) {
+    return this.importParsed(MindMap.parseOPML(text, { generateId: () => this.generateId() }), 'OPML');
+  }
+
+  /**
+   * Export the map as an OPML 2.0 document
+   */
+  exportOPML() {
+    return MindMap.toOPML(this.treeData);
+  }
+
+  /**
+   * Replace the map with a FreeMind/Freeplane .mm map. Returns the list of
+   * warnings about skipped content; throws if the document can't be read.
+   */
+  importFreeMind(text) {
+    return this.importParsed(MindMap.parseFreeMind(text, { generateId: () => this.generateId() }), 'FreeMind map');
+  }
+
+  /**
+   * Export the map as a FreeMind .mm document
+   */
+  exportFreeMind() {
+    return MindMap.toFreeMind(this.treeData);
+  }
+
+  /**
+   * Replace the map with a Mermaid `mindmap` diagram; throws if it can't be read
+   */
+  importMermaid(text) {
+    this.setData(MindMap.fromMermaid(text, { generateId: () => this.generateId() }));
+    return true;
+  }
+
+  /**
+   * Export the map as a Mermaid `mindmap` diagram
+   */
+  toMermaid() {
+    return MindMap.toMermaid(this.treeData);
+  }
+
+  /**
+   * Replace the map with a PlantUML @startmindmap diagram; throws if it can't be read
+   */
+  importPlantUML(text) {
+    this.setData(MindMap.fromPlantUML(text, { generateId: () => this.generateId() }));
+    return true;
+  }
+
+  /**
+   * Export the map as a PlantUML @startmindmap diagram
+   */
+  toPlantUML() {
+    return MindMap.toPlantUML(this.treeData);
+  }
+
+  /**
+   * Load the result of a parser and report its warnings
+   */
+  importParsed({ data, warnings }, format) {
+    this.setData(data);
+    if (warnings.length) {
+      this.setStatus(`Imported ${format} with ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Reset view: center the map at 100% zoom, or zoom out until it fits
+   */
+  resetView(options = {}) {
+    if (!this.fitToContent({ maxZoom: 1, ...options })) {
+      this.setView({ zoom: 1, offsetX: 0, offsetY: 0 }, options);
+    }
+    this.setStatus('View reset to center');
+  }
+
+  /**
+   * Destroy the mindmap and clean up
+   */
+  destroy() {
+    this.flushAutosave();
+    this.disconnect();
+    this.stopCameraAnimation();
+    this.hideContextMenu();
+    this.removeEventListeners();
+    this.listeners = {};
+    if (this.container) {
+      this.container.innerHTML = '';
+    }
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    if (newConfig.keyBindings) {
+      this.config.keyBindings = { ...MindMap.defaultKeyBindings, ...newConfig.keyBindings };
+    }
+    this.setupDOM();
+    this.setupEventListeners();
+    this.updateHistoryControls();
+    this.render();
+  }
+
+  /**
+   * Register a layout. fn(tree, options) must be pure and return a map of
+   * node ID to { x, y, angle?, depth? } for every visible node.
+   * style.link is 'radial', 'horizontal', 'vertical', 'elbow', 'straight' or
+   * a (from, to, options) => path function; style.label and style.rootLabel
+   * are 'radial', 'side', 'below' or 'center'.
+   */
+  static registerLayout(name, fn, style = {}) {
+    MindMap.layouts[name] = {
+      fn,
+      link: style.link || 'radial',
+      label: style.label || 'radial',
+      rootLabel: style.rootLabel || 'center'
+    };
+  }
+
+  /**
+   * Get the visible children of a node (none if collapsed)
+   */
+  static visibleChildren(node) {
+    return node.children && !node.collapsed ? node.children : [];
+  }
+
+  /**
+   * Count visible leaves per node ID. A collapsed branch counts as one leaf.
+   */
+  static countLeaves(node, counts = {}) {
+    const children = MindMap.visibleChildren(node);
+    let sum = 0;
+    for (const c of children) sum += MindMap.countLeaves(c, counts)[c.id];
+    counts[node.id] = children.length === 0 ? 1 : sum;
+    return counts;
+  }
+
+  /**
+   * Stack sibling subtrees in bands across the direction a layered layout
+   * grows in. A node's band is as long as its children's bands together, or
+   * its own across(node, depth, isLeaf) if that is more; the node is centred
+   * over its children but kept inside its band, so labels on one level never
+   * meet. place(node, depth, centre) gets the centre from the start of the
+   * first band. Returns the length of all bands.
+   */
+  static layoutBands(nodes, depth, across, place) {
+    const bands = {};
+    const owns = {};
+    const measure = (node, d) => {
+      const children = MindMap.visibleChildren(node);
+      let sum = 0;
+      for (const c of children) sum += measure(c, d + 1);
+      owns[node.id] = across(node, d, children.length === 0);
+      bands[node.id] = Math.max(sum, owns[node.id]);
+      return bands[node.id];
+    };
+    const arrange = (node, d, start) => {
+      const children = MindMap.visibleChildren(node);
+      const band = bands[node.id];
+      let centre = start + band / 2;
+      if (children.length) {
+        let at = start + (band - children.reduce((sum, c) => sum + bands[c.id], 0)) / 2;
+        const centres = children.map(c => {
+          const childCentre = arrange(c, d + 1, at);
+          at += bands[c.id];
+          return childCentre;
+        });
+        const half = owns[node.id] / 2;
+        centre = Math.min(Math.max((centres[0] + centres[centres.length - 1]) / 2, start + half), start + band - half);
+      }
+      place(node, d, centre);
+      return centre;
+    };
+
+    let length = 0;
+    for (const node of nodes) {
+      measure(node, depth);
+      arrange(node, depth, length);
+      length += bands[node.id];
+    }
+    return length;
+  }
+
+  /**
+   * Distance of each level from the first along the direction a layered
+   * layout grows in. Levels are step apart, or further where
+   * reach(node, depth) says a node's label sticks out towards the next level
+   * ({ ahead }) or its shape back towards the previous one ({ behind }).
+   * before is how far the level in front of nodes reaches ahead, if any.
+   */
+  static levelOffsets(nodes, depth, step, reach, before = null) {
+    const gap = 16; // Kept between the labels of one level and the next
+    const ahead = [];
+    const behind = [];
+    const visit = (node, d) => {
+      const extent = reach(node, d);
+      ahead[d] = Math.max(ahead[d] || 0, extent.ahead);
+      behind[d] = Math.max(behind[d] || 0, extent.behind);
+      MindMap.visibleChildren(node).forEach(c => visit(c, d + 1));
+    };
+    nodes.forEach(node => visit(node, depth));
+
+    const offsets = [];
+    let offset = 0;
+    let previous = before;
+    for (let d = depth; d < ahead.length; d++) {
+      if (previous !== null) offset += Math.max(step, previous + gap + behind[d]);
+      offsets[d] = offset;
+      previous = ahead[d];
+    }
+    return offsets;
+  }
+
+  /**
+   * Label extents for the layered layouts with avoidLabelOverlap and
+   * options.measureLabel: { across, ahead, behind } of a node, with labels
+   * beside their node ('side', the root's on it) or below it ('below').
+   * Returns null without measuring, which keeps the fixed spacing.
+   */
+  static layeredExtents(options, placement) {
+    const measure = options.avoidLabelOverlap && options.measureLabel;
+    if (!measure) return null;
+    const margin = 8; // Kept between neighbouring labels on one level
+    return (node, depth) => {
+      const box = measure(node, depth);
+      if (placement === 'below') {
+        return { across: Math.max(box.width, box.size) + margin, ahead: box.offset + box.height, behind: box.size / 2 };
+      }
+      const ahead = depth === 0 ? Math.max(box.width, box.size) / 2 : box.offset + box.width;
+      return { across: Math.max(box.height, box.size) + margin, ahead, behind: box.size / 2 };
+    };
+  }
+
+  /**
+   * Radial layout: children spread around the root by leaf count. With
+   * avoidLabelOverlap and options.measureLabel (see computeLayout()), spans
+   * also make room for the labels, and rings move apart (up to
+   * maxRadiusStep) so branch labels clear their children's ring. Labels
+   * that still don't fit get a labelWidth to be shortened to.
+   */
+  static radialLayout(tree, options) {
+    const leaves = MindMap.countLeaves(tree);
+    const positions = {};
+    const centerX = options.width / 2;
+    const centerY = options.height / 2;
+    const measure = options.avoidLabelOverlap && options.measureLabel;
+    const rotate = !!options.rotateLabels;
+    const maxStep = Math.max(options.maxRadiusStep || options.radiusStep * 2, options.radiusStep);
+    const margin = 6; // Kept between neighbouring labels
+    const clearance = 24; // Kept between a branch label and its children's ring
+    const minLabelWidth = 40;
+
+    // Label boxes and the visible nodes on each ring
+    const boxes = {};
+    const levels = [];
+    const collect = (node, depth) => {
+      if (measure) boxes[node.id] = measure(node, depth);
+      (levels[depth] = levels[depth] || []).push(node);
+      MindMap.visibleChildren(node).forEach(c => collect(c, depth + 1));
+    };
+    collect(tree, 0);
+
+    const rings = levels.map((nodes, depth) => depth * options.radiusStep);
+    const spans = {};
+    const needs = {};
+    const midAngle = node => (spans[node.id][0] + spans[node.id][1]) / 2;
+
+    // A label's extent across the radius and outwards along it. Unrotated
+    // labels on the right are centred on their anchor, others start there.
+    const extents = (box, angle) => {
+      if (rotate) return { across: box.height, along: box.width };
+      const cos = Math.cos(angle);
+      const sin = Math.abs(Math.sin(angle));
+      const reach = cos < 0 ? box.width : box.width / 2;
+      return {
+        across: box.width * sin + box.height * Math.abs(cos),
+        along: reach * Math.abs(cos) + box.height / 2 * sin
+      };
+    };
+
+    // Angle each subtree needs for its labels at the current ring radii
+    const measureNeeds = (node, depth) => {
+      let sum = 0;
+      for (const c of MindMap.visibleChildren(node)) sum += measureNeeds(c, depth + 1);
+      let own = 0;
+      if (depth > 0) {
+        const box = boxes[node.id];
+        const across = Math.max(extents(box, midAngle(node)).across, box.size);
+        own = (across + margin) / (rings[depth] + box.offset);
+      }
+      needs[node.id] = Math.max(sum, own);
+      return needs[node.id];
+    };
+
+    // Give each child the angle it needs and share the rest by leaf count;
+    // if there isn't enough, everyone gets the same fraction of their need
+    const allocate = (node, startAngle, endAngle) => {
+      spans[node.id] = [startAngle, endAngle];
+      const children = MindMap.visibleChildren(node);
+      const total = children.reduce((sum, c) => sum + (needs[c.id] || 0), 0);
+      const slack = endAngle - startAngle - total;
+      let angle = startAngle;
+      for (const c of children) {
+        const need = needs[c.id] || 0;
+        const span = slack >= 0 ?
+          need + slack * (leaves[c.id] / leaves[node.id]) :
+          need * (endAngle - startAngle) / total;
+        allocate(c, angle, angle + span);
+        angle += span;
+      }
+    };
+
+    // Move each ring out far enough for the labels of the ring inside it;
+    // crowding spreads all rings when the labels don't fit around the circle
+    const spaceRings = (crowding) => {
+      for (let depth = 1; depth < levels.length; depth++) {
+        let step = options.radiusStep * crowding;
+        levels[depth - 1].forEach(node => {
+          if (!MindMap.visibleChildren(node).length) return;
+          const box = boxes[node.id];
+          const along = depth === 1 ? box.width / 2 : box.offset + extents(box, midAngle(node)).along;
+          step = Math.max(step, along + clearance);
+        });
+        rings[depth] = rings[depth - 1] + Math.min(step, maxStep);
+      }
+    };
+
+    const gap = 0.0001;
+    const start = -Math.PI / 2 + gap;
+    const full = Math.PI * 2 - gap * 2;
+    allocate(tree, start, start + full);
+    if (measure) {
+      let crowding = 1;
+      for (let pass = 0; pass < 3; pass++) {
+        spaceRings(crowding);
+        measureNeeds(tree, 0);
+        crowding = Math.min(Math.max(crowding, crowding * needs[tree.id] / full), maxStep / options.radiusStep);
+        allocate(tree, start, start + full);
+      }
+      spaceRings(crowding);
+    }
+
+    // Width a label can have without running into its children's ring or,
+    // where spans had to be squeezed, into its neighbours
+    const fitLabel = (node, depth, angle) => {
+      const box = boxes[node.id];
+      const cos = Math.abs(Math.cos(angle));
+      const sin = Math.abs(Math.sin(angle));
+      let width = Infinity;
+      if (MindMap.visibleChildren(node).length) {
+        const room = rings[depth + 1] - rings[depth] - clearance;
+        if (depth === 0) {
+          width = room * 2;
+        } else {
+          const scale = extents({ width: 1, height: 0 }, angle).along;
+          if (scale > 0.1) width = (room - box.offset - (rotate ? 0 : box.height / 2 * sin)) / scale;
+        }
+      }
+      if (depth > 0 && !rotate && sin > 0.1) {
+        const room = (spans[node.id][1] - spans[node.id][0]) * (rings[depth] + box.offset) - margin;
+        if (room < extents(box, angle).across) width = Math.min(width, (room - box.height * cos) / sin);
+      }
+      return Math.max(width, minLabelWidth);
+    };
+
+    const place = (node, depth) => {
+      const angle = depth === 0 ? 0 : midAngle(node);
+      const r = rings[depth];
+      positions[node.id] = {
+        x: centerX + r * Math.cos(angle),
+        y: centerY + r * Math.sin(angle),
+        angle,
+        depth
+      };
+      if (measure) {
+        const labelWidth = fitLabel(node, depth, angle);
+        if (labelWidth < boxes[node.id].width) positions[node.id].labelWidth = labelWidth;
+      }
+      MindMap.visibleChildren(node).forEach(c => place(c, depth + 1));
+    };
+    place(tree, 0);
+    return positions;
+  }
+
+  /**
+   * Horizontal tree layout: root on the left, levels growing to the right.
+   * With avoidLabelOverlap, levels and siblings move apart to fit the labels.
+   */
+  static treeLayout(tree, options) {
+    const { radiusStep, siblingSpacing, height } = options;
+    const extents = MindMap.layeredExtents(options, 'side');
+    const across = (node, depth, isLeaf) => {
+      const own = extents ? extents(node, depth).across : 0;
+      return isLeaf ? Math.max(siblingSpacing, own) : own;
+    };
+    const columns = MindMap.levelOffsets([tree], 0, radiusStep, extents || (() => ({ ahead: 0, behind: 0 })));
+    const positions = {};
+
+    const length = MindMap.layoutBands([tree], 0, across, (node, depth, centre) => {
+      positions[node.id] = { x: 100 + columns[depth], y: centre, angle: 0, depth };
+    });
+    for (const id in positions) positions[id].y += height / 2 - length / 2;
+    return positions;
+  }
+
+  /**
+   * Balanced layout: root in the centre, children split between right and
+   * left. With avoidLabelOverlap, levels and siblings move apart to fit the
+   * labels.
+   */
+  static balancedLayout(tree, options) {
+    const { radiusStep, siblingSpacing, width, height } = options;
+    const leaves = MindMap.countLeaves(tree);
+    const extents = MindMap.layeredExtents(options, 'side');
+    const reach = extents || (() => ({ ahead: 0, behind: 0 }));
+    const across = (node, depth, isLeaf) => {
+      const own = extents ? extents(node, depth).across : 0;
+      return isLeaf ? Math.max(siblingSpacing, own) : own;
+    };
+    const positions = {};
+    positions[tree.id] = { x: width / 2, y: height / 2, angle: 0, depth: 0 };
+
+    // Fill the right side first until it holds about half of the leaves
+    const right = [];
+    const left = [];
+    let rightLeaves = 0;
+    for (const c of MindMap.visibleChildren(tree)) {
+      if (rightLeaves < leaves[tree.id] / 2) {
+        right.push(c);
+        rightLeaves += leaves[c.id];
+      } else {
+        left.push(c);
+      }
+    }
+
+    const layoutSide = (children, direction) => {
+      const columns = MindMap.levelOffsets(children, 1, radiusStep, reach, reach(tree, 0).ahead);
+      const side = {};
+      const length = MindMap.layoutBands(children, 1, across, (node, depth, centre) => {
+        side[node.id] = {
+          x: width / 2 + direction * columns[depth],
+          y: centre,
+          angle: direction > 0 ? 0 : Math.PI,
+          depth
+        };
+      });
+      for (const id in side) {
+        side[id].y += height / 2 - length / 2;
+        positions[id] = side[id];
+      }
+    };
+
+    layoutSide(right, 1);
+    layoutSide(left, -1);
+    return positions;
+  }
+
+  /**
+   * Org chart layout: root at the top, levels growing downwards. With
+   * avoidLabelOverlap, levels and siblings move apart to fit the labels.
+   */
+  static orgChartLayout(tree, options) {
+    const { radiusStep, width } = options;
+    const extents = MindMap.layeredExtents(options, 'below');
+    const across = (node, depth, isLeaf) => {
+      const own = extents ? extents(node, depth).across : 0;
+      return isLeaf ? Math.max(radiusStep, own) : own;
+    };
+    const rows = MindMap.levelOffsets([tree], 0, radiusStep, extents || (() => ({ ahead: 0, behind: 0 })));
+    const positions = {};
+
+    const length = MindMap.layoutBands([tree], 0, across, (node, depth, centre) => {
+      positions[node.id] = { x: centre, y: 60 + rows[depth], angle: Math.PI / 2, depth };
+    });
+    for (const id in positions) positions[id].x += width / 2 - length / 2;
+    return positions;
+  }
+
+  /**
+   * Outline layout: an indented list, one node per row. With
+   * avoidLabelOverlap, rows grow to fit multi-line labels.
+   */
+  static outlineLayout(tree, options) {
+    const { radiusStep, siblingSpacing } = options;
+    const measure = options.avoidLabelOverlap && options.measureLabel;
+    const indent = radiusStep / 4;
+    const positions = {};
+    let y = 40;
+    let previous = null;
+
+    const visit = (node, depth) => {
+      const box = measure ? measure(node, depth) : { height: 0, size: 0 };
+      const height = Math.max(box.height, box.size);
+      if (previous !== null) y += Math.max(siblingSpacing, (previous + height) / 2 + 8);
+      previous = height;
+      positions[node.id] = {
+        x: 40 + depth * indent,
+        y,
+        angle: 0,
+        depth
       };
+      for (const c of MindMap.visibleChildren(node)) visit(c, depth + 1);
+    };
+    visit(tree, 0);
+    return positions;
+  }
 
-      // Event listeners
-      confirmBtn.addEventListener('click', confirm);
-      cancelBtn.addEventListener('click', cancel);
+  /**
+   * Parse indented text or Markdown into a list of top-level nodes.
+   * Headings nest by level, list items and plain lines by indentation.
+   * options.generateId creates node IDs.
+   */
+  static parseOutline(text, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const top = { rank: -Infinity, node: { children: [] } };
+    const stack = [top];
+    let headingRank = 0;
+    let indents = [];
+
+    for (const line of String(text).split(/\r?\n/)) {
+      if (!line.trim() || /^\s*(```|---+\s*$|\*\*\*+\s*$)/.test(line)) continue;
+
+      let rank;
+      let name;
+      const heading = line.match(/^\s{0,3}(#{1,6})(?:\s+(.*?))?(\s+#+)?\s*$/);
+      if (heading) {
+        rank = headingRank = heading[1].length;
+        name = heading[2] || '';
+        indents = [];
+      } else {
+        const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+        if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+        rank = headingRank + indents.length;
+
+        const content = line.trim();
+        const bullet = content.match(/^(?:[-*+]|\d+[.)])(?:\s+(.*))?$/);
+        name = bullet ? bullet[1] || '' : content;
+      }
 
-      input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-          e.preventDefault();
-          confirm();
-        } else if (e.key === 'Escape') {
-          e.preventDefault();
-          cancel();
+      while (stack[stack.length - 1].rank >= rank) stack.pop();
+      const parent = stack[stack.length - 1].node;
+      const node = { id: generateId(), name: MindMap.unescapeMarkdown(name.trim()) };
+      if (!parent.children) parent.children = [];
+      parent.children.push(node);
+      stack.push({ rank, node });
+    }
+
+    return top.node.children;
+  }
+
+  /**
+   * Parse Markdown into a single tree. Several top-level entries are
+   * wrapped in a new root. Returns null for empty input.
+   */
+  static parseMarkdown(text, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const nodes = MindMap.parseOutline(text, { generateId });
+    if (nodes.length === 0) return null;
+    if (nodes.length === 1) return nodes[0];
+    return { id: generateId(), name: 'Mind Map', children: nodes };
+  }
+
+  /**
+   * Serialize a tree as Markdown: a heading for the root and a nested
+   * list (two spaces per level) for its descendants
+   */
+  static toMarkdown(tree) {
+    const lines = [`# ${MindMap.escapeMarkdown(tree.name)}`.trimEnd(), ''];
+    const visit = (node, depth) => {
+      for (const child of node.children || []) {
+        lines.push(`${'  '.repeat(depth)}- ${MindMap.escapeMarkdown(child.name)}`.trimEnd());
+        visit(child, depth + 1);
+      }
+    };
+    visit(tree, 0);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Escape a node name for one line of Markdown: backslashes, "<", "&" and
+   * inline markup ("`", "*", "_", "[", "]", "~") are escaped, line breaks
+   * become <br>, a leading "#", "-", "+", ">" or "1." (or a trailing "#") is
+   * escaped so it stays part of the name, and leading or trailing whitespace
+   * is written as character references so it isn't trimmed away
+   */
+  static escapeMarkdown(name) {
+    return String(name || '')
+      .replace(/[\\<&`*_[\]~]/g, '\\$&')
+      .replace(/\r?\n/g, '<br>')
+      .replace(/^([#>+-])/, '\\$1')
+      .replace(/^(\d+)([.)])/, '$1\\$2')
+      .replace(/(\s)(#+)$/, '$1\\$2')
+      .replace(/^\s+|\s+$/g, space => [...space].map(c => `&#${c.codePointAt(0)};`).join(''));
+  }
+
+  /**
+   * Undo escapeMarkdown(): <br> becomes a line break, a numeric character
+   * reference its character, and a backslash before punctuation is dropped
+   */
+  static unescapeMarkdown(text) {
+    return String(text).replace(/\\([!-/:-@[-`{-~])|<br\s*\/?>|&#(\d+);/gi, (match, escaped, code) => {
+      if (escaped) return escaped;
+      if (code === undefined) return '\n';
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+  }
+
+  /**
+   * Serialize nodes as a plain-text outline, indented two spaces per level
+   */
+  static toOutline(nodes) {
+    const lines = [];
+    const visit = (node, depth) => {
+      lines.push('  '.repeat(depth) + String(node.name || '').replace(/\s*\n\s*/g, ' '));
+      (node.children || []).forEach(child => visit(child, depth + 1));
+    };
+    [].concat(nodes).forEach(node => visit(node, 0));
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Create an ID generator for nodes built outside an instance
+   */
+  static createIdGenerator(prefix = 'node_') {
+    let counter = Date.now();
+    return () => prefix + (++counter);
+  }
+
+  /**
+   * Check map data. Returns a list of { path, code, message } errors, where
+   * path is a JSON path such as '$.children[1].id'; empty if the data is valid.
+   */
+  static validateData(data) {
+    return MindMap.normalizeData(data).errors;
+  }
+
+  /**
+   * Repair map data: missing IDs are generated, duplicate IDs replaced,
+   * names coerced to strings, and cycles, non-object children, bad styles
+   * and cross-links to unknown nodes dropped. Returns { data, errors } with
+   * a clean deep copy and the problems that were fixed. Data that isn't a
+   * node object at all is replaced by an empty root. options.generateId
+   * creates node IDs.
+   */
+  static normalizeData(data, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const errors = [];
+    const report = (path, code, message) => errors.push({ path, code, message });
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      const type = data === null ? 'null' : Array.isArray(data) ? 'an array' : `a ${typeof data}`;
+      report('$', 'invalid-root', `Data is ${type}, not a node object`);
+      return { data: { id: String(generateId()), name: 'Mind Map' }, errors };
+    }
+
+    const ids = new Set();
+    const ancestors = new Set();
+
+    // Generated IDs must not collide with IDs that come later in the data
+    const reserved = new Set();
+    const collect = (node, seen) => {
+      if (!node || typeof node !== 'object' || seen.has(node)) return;
+      seen.add(node);
+      if (typeof node.id === 'string' || typeof node.id === 'number') reserved.add(String(node.id));
+      if (Array.isArray(node.children)) node.children.forEach(child => collect(child, seen));
+    };
+    collect(data, new Set());
+    const freshId = () => {
+      let id;
+      do id = String(generateId()); while (reserved.has(id) || ids.has(id));
+      return id;
+    };
+
+    const copyValue = (value, path) => {
+      try {
+        return JSON.parse(JSON.stringify(value));
+      } catch (err) {
+        report(path, 'invalid-value', 'Value can\'t be serialized as JSON');
+        return undefined;
+      }
+    };
+
+    const visit = (node, path) => {
+      const clean = {};
+
+      let id = node.id;
+      if (typeof id === 'number' && Number.isFinite(id)) {
+        report(`${path}.id`, 'invalid-id', `ID ${id} is a number, not a string`);
+        id = String(id);
+      }
+      if (typeof id !== 'string' || id === '') {
+        report(`${path}.id`, 'missing-id', 'Node has no ID');
+        id = freshId();
+      } else if (ids.has(id)) {
+        report(`${path}.id`, 'duplicate-id', `ID "${id}" is used by another node`);
+        id = freshId();
+      }
+      ids.add(id);
+      clean.id = id;
+
+      if (typeof node.name === 'string') {
+        clean.name = node.name;
+      } else {
+        const coerced = typeof node.name === 'number' || typeof node.name === 'boolean' ? String(node.name) : '';
+        report(`${path}.name`, node.name === undefined ? 'missing-name' : 'invalid-name',
+          node.name === undefined ? 'Node has no name' : `Name is a ${node.name === null ? 'null' : typeof node.name}, not a string`);
+        clean.name = coerced;
+      }
+
+      for (const key of Object.keys(node)) {
+        if (key === 'id' || key === 'name' || key === 'children' || key.charAt(0) === '_') continue;
+        if (key === 'links' && path === '$') continue;
+        const value = node[key];
+        if (value === undefined) continue;
+
+        if (key === 'style' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+          report(`${path}.style`, 'invalid-style', 'Style must be an object');
+          continue;
         }
-      });
+        if ((key === 'note' || key === 'url' || key === 'image') && typeof value !== 'string') {
+          report(`${path}.${key}`, 'invalid-value', `${key} must be a string`);
+          continue;
+        }
+        if (key === 'collapsed' && typeof value !== 'boolean') {
+          report(`${path}.collapsed`, 'invalid-value', 'collapsed must be true or false');
+          if (value) clean.collapsed = true;
+          continue;
+        }
+        const copy = copyValue(value, `${path}.${key}`);
+        if (copy !== undefined) clean[key] = copy;
+      }
 
-      // Click outside to cancel
-      overlay.addEventListener('click', (e) => {
-        if (e.target === overlay) {
-          cancel();
+      if (node.children !== undefined && node.children !== null) {
+        if (!Array.isArray(node.children)) {
+          report(`${path}.children`, 'invalid-children', 'children must be an array');
+        } else {
+          ancestors.add(node);
+          clean.children = [];
+          node.children.forEach((child, i) => {
+            const childPath = `${path}.children[${i}]`;
+            if (!child || typeof child !== 'object' || Array.isArray(child)) {
+              report(childPath, 'invalid-node', 'Child is not a node object');
+            } else if (ancestors.has(child)) {
+              report(childPath, 'cycle', 'Node contains itself');
+            } else {
+              clean.children.push(visit(child, childPath));
+            }
+          });
+          ancestors.delete(node);
         }
-      });
+      }
+      return clean;
+    };
+
+    const tree = visit(data, '$');
+
+    if (data.links !== undefined) {
+      if (!Array.isArray(data.links)) {
+        report('$.links', 'invalid-links', 'links must be an array');
+      } else {
+        const links = [];
+        data.links.forEach((link, i) => {
+          const path = `$.links[${i}]`;
+          if (!link || typeof link !== 'object' || !ids.has(link.from) || !ids.has(link.to) || link.from === link.to) {
+            report(path, 'invalid-link', 'Cross-link must connect two different existing nodes');
+            return;
+          }
+          const copy = copyValue(link, path);
+          if (copy) links.push(copy);
+        });
+        if (links.length) tree.links = links;
+      }
+    }
+
+    return { data: tree, errors };
+  }
+
+  /**
+   * Set a CSS property in an element's inline style, or remove it when the
+   * value is empty. Untouched if unchanged.
+   */
+  static setStyleProperty(element, name, value) {
+    const current = element.style.getPropertyValue(name);
+    if (value) {
+      if (current !== String(value)) element.style.setProperty(name, value);
+    } else if (current) {
+      element.style.removeProperty(name);
+    }
+  }
+
+  /**
+   * Set an attribute only when its value changes; null or undefined removes it
+   */
+  static updateAttribute(element, name, value) {
+    if (value === null || value === undefined) {
+      if (element.hasAttribute(name)) element.removeAttribute(name);
+    } else if (element.getAttribute(name) !== String(value)) {
+      element.setAttribute(name, value);
+    }
+  }
+
+  /**
+   * Return a URL that is safe to put in an href, or null for scripting
+   * schemes such as javascript:. Options: image (also allow data:image URLs).
+   */
+  static safeUrl(url, options = {}) {
+    const value = String(url).trim();
+    // Browsers ignore control characters and spaces inside a scheme
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value.replace(/[\u0000-\u0020\u007f]/g, ''));
+    if (!scheme) return value;
+    if (['http', 'https', 'mailto', 'ftp'].includes(scheme[1].toLowerCase())) return value;
+    if (options.image && /^data:image\//i.test(value)) return value;
+    return null;
+  }
+
+  /**
+   * Build a name matcher for a search query. Throws for an invalid regex.
+   */
+  static createMatcher(query, options = {}) {
+    if (options.regex) {
+      const pattern = new RegExp(query, options.caseSensitive ? '' : 'i');
+      return name => pattern.test(name);
+    }
+    const needle = options.caseSensitive ? query : query.toLowerCase();
+    return name => (options.caseSensitive ? name : name.toLowerCase()).includes(needle);
+  }
+
+  /**
+   * Parse an XML document into plain { name, attributes, children } objects
+   * (text nodes are { text }). Works without a DOM, so it also runs in Node.
+   * Throws on malformed markup.
+   */
+  static parseXML(text) {
+    const doc = { name: '#document', attributes: {}, children: [] };
+    const stack = [doc];
+    const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+    const source = String(text);
+    let index = 0;
+
+    while (index < source.length) {
+      token.lastIndex = index;
+      const match = token.exec(source);
+      if (!match || match.index !== index) {
+        throw new Error(`MindMap: Malformed XML near "${source.substr(index, 20)}"`);
+      }
+      index = token.lastIndex;
+
+      const parent = stack[stack.length - 1];
+      const [, cdata, closeName, openName, attributeText, selfClosing, textContent] = match;
+
+      if (cdata !== undefined) {
+        parent.children.push({ text: cdata });
+      } else if (textContent !== undefined) {
+        if (stack.length > 1) parent.children.push({ text: MindMap.decodeXMLEntities(textContent) });
+      } else if (closeName) {
+        if (stack.length === 1 || parent.name !== closeName) {
+          throw new Error(`MindMap: Malformed XML, unexpected </${closeName}>`);
+        }
+        stack.pop();
+      } else if (openName) {
+        const element = { name: openName, attributes: {}, children: [] };
+        const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let a;
+        while ((a = attribute.exec(attributeText))) {
+          element.attributes[a[1]] = MindMap.decodeXMLEntities(a[2] !== undefined ? a[2] : a[3]);
+        }
+        parent.children.push(element);
+        if (!selfClosing) stack.push(element);
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`MindMap: Malformed XML, <${stack[stack.length - 1].name}> is not closed`);
+    }
+    const root = doc.children.find(child => child.name);
+    if (!root) throw new Error('MindMap: XML document has no root element');
+    return root;
+  }
+
+  /**
+   * Decode XML character and entity references. References to code points
+   * past U+10FFFF are kept as written.
+   */
+  static decodeXMLEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00a0' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (ref, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : ref; // Out of range: keep as written
+      }
+      return named[name] !== undefined ? named[name] : ref;
+    });
+  }
+
+  /**
+   * Escape text for use in XML content or attribute values
+   */
+  static escapeXML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '&#10;');
+  }
+
+  /**
+   * Get the plain text of a parsed XML element, with line breaks between
+   * HTML blocks (used for rich-text notes)
+   */
+  static xmlText(element) {
+    const blocks = ['p', 'div', 'li', 'br', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'text'];
+    const collect = (el) => el.children.map((child) => {
+      if (child.name === undefined) return child.text.replace(/\s+/g, ' ');
+      if (child.name === 'head' || child.name === 'style' || child.name === 'script') return '';
+      const inner = collect(child);
+      return blocks.includes(child.name.toLowerCase()) ? `\n${inner}\n` : inner;
+    }).join('');
+
+    return collect(element).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Collects warnings for unsupported elements, one entry per element name
+   */
+  static createWarningCollector() {
+    const counts = new Map();
+    return {
+      add: (name) => counts.set(name, (counts.get(name) || 0) + 1),
+      list: () => Array.from(counts, ([name, count]) =>
+        `Unsupported element <${name}> was skipped${count > 1 ? ` (${count} times)` : ''}`)
+    };
+  }
+
+  /**
+   * Parse an OPML outline. Carries over text, notes (_note), links (url,
+   * htmlUrl or xmlUrl) and folding (head/expansionState).
+   * Returns { data, warnings }.
+   */
+  static parseOPML(text, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const warnings = MindMap.createWarningCollector();
+    const opml = MindMap.parseXML(text);
+    if (opml.name !== 'opml') throw new Error('MindMap: Not an OPML document');
+
+    const elements = (el) => el.children.filter(child => child.name);
+    const head = elements(opml).find(el => el.name === 'head');
+    const body = elements(opml).find(el => el.name === 'body');
+    if (!body) throw new Error('MindMap: OPML document has no <body>');
+
+    let title = '';
+    let expansionState = null;
+    if (head) {
+      for (const el of elements(head)) {
+        if (el.name === 'title') title = MindMap.xmlText(el);
+        if (el.name === 'expansionState') {
+          expansionState = new Set(MindMap.xmlText(el).split(',').map(n => parseInt(n, 10)).filter(n => !isNaN(n)));
+        }
+      }
+    }
+
+    const convert = (outline) => {
+      const attrs = outline.attributes;
+      const node = { id: generateId(), name: attrs.text !== undefined ? attrs.text : (attrs.title || '') };
+      if (attrs._note) node.note = attrs._note;
+      const url = attrs.url || attrs.htmlUrl || attrs.xmlUrl;
+      if (url) node.url = url;
+
+      const children = [];
+      for (const el of elements(outline)) {
+        if (el.name === 'outline') children.push(convert(el));
+        else warnings.add(el.name);
+      }
+      if (children.length) node.children = children;
+      return node;
+    };
+
+    const nodes = [];
+    for (const el of elements(body)) {
+      if (el.name === 'outline') nodes.push(convert(el));
+      else warnings.add(el.name);
+    }
+
+    // expansionState lists the expanded rows of the outline as displayed
+    if (expansionState) {
+      let row = 0;
+      const applyFolding = (node) => {
+        const expanded = expansionState.has(row++);
+        if (!node.children) return;
+        if (expanded) node.children.forEach(applyFolding);
+        else node.collapsed = true;
+      };
+      nodes.forEach(applyFolding);
+    }
+
+    let data;
+    if (nodes.length === 1) {
+      data = nodes[0];
+    } else {
+      data = { id: generateId(), name: title || 'Mind Map' };
+      if (nodes.length) data.children = nodes;
+    }
+    return { data, warnings: warnings.list() };
+  }
+
+  /**
+   * Serialize a tree as an OPML 2.0 document
+   */
+  static toOPML(tree) {
+    const expanded = [];
+    let row = 0;
+    const visit = (node, indent, visible) => {
+      // expansionState counts displayed rows only, so skip collapsed subtrees
+      const current = visible ? row++ : -1;
+      let attrs = ` text="${MindMap.escapeXML(node.name || '')}"`;
+      if (node.note) attrs += ` _note="${MindMap.escapeXML(node.note)}"`;
+      if (node.url) attrs += ` type="link" url="${MindMap.escapeXML(node.url)}"`;
+
+      const children = node.children || [];
+      if (!children.length) return `${indent}<outline${attrs}/>\n`;
+
+      const open = visible && !node.collapsed;
+      if (open) expanded.push(current);
+      const inner = children.map(child => visit(child, indent + '  ', open)).join('');
+      return `${indent}<outline${attrs}>\n${inner}${indent}</outline>\n`;
+    };
+
+    const outline = visit(tree, '    ', true);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<opml version="2.0">\n' +
+      '  <head>\n' +
+      `    <title>${MindMap.escapeXML(tree.name || '')}</title>\n` +
+      (expanded.length ? `    <expansionState>${expanded.join(',')}</expansionState>\n` : '') +
+      '  </head>\n' +
+      '  <body>\n' +
+      outline +
+      '  </body>\n' +
+      '</opml>\n';
+  }
+
+  /**
+   * Parse a FreeMind/Freeplane .mm map. Carries over text (TEXT or rich
+   * text), IDs, folding (FOLDED), links (LINK) and notes.
+   * Returns { data, warnings }.
+   */
+  static parseFreeMind(text, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const warnings = MindMap.createWarningCollector();
+    const map = MindMap.parseXML(text);
+    if (map.name !== 'map') throw new Error('MindMap: Not a FreeMind map');
+
+    const elements = (el) => el.children.filter(child => child.name);
+    const usedIds = new Set();
+
+    const convert = (el) => {
+      const attrs = el.attributes;
+      let id = attrs.ID;
+      if (!id || usedIds.has(id)) id = generateId();
+      usedIds.add(id);
+
+      const node = { id, name: attrs.TEXT || '' };
+      if (attrs.LINK) node.url = attrs.LINK;
+
+      const children = [];
+      for (const child of elements(el)) {
+        if (child.name === 'node') {
+          children.push(convert(child));
+        } else if (child.name === 'richcontent') {
+          const type = (child.attributes.TYPE || '').toUpperCase();
+          if (type === 'NODE' && attrs.TEXT === undefined) node.name = MindMap.xmlText(child);
+          else if (type === 'NOTE') node.note = MindMap.xmlText(child);
+          else warnings.add(`richcontent TYPE="${child.attributes.TYPE}"`);
+        } else {
+          warnings.add(child.name);
+        }
+      }
+      if (children.length) {
+        node.children = children;
+        if (attrs.FOLDED === 'true') node.collapsed = true;
+      }
+      return node;
+    };
+
+    let data = null;
+    for (const el of elements(map)) {
+      if (el.name === 'node' && !data) data = convert(el);
+      else warnings.add(el.name);
+    }
+    if (!data) throw new Error('MindMap: FreeMind map has no root node');
+    return { data, warnings: warnings.list() };
+  }
+
+  /**
+   * Serialize a tree as a FreeMind .mm map
+   */
+  static toFreeMind(tree) {
+    const visit = (node, indent) => {
+      let attrs = ` ID="${MindMap.escapeXML(node.id)}" TEXT="${MindMap.escapeXML(node.name || '')}"`;
+      const children = node.children || [];
+      if (node.collapsed && children.length) attrs += ' FOLDED="true"';
+      if (node.url) attrs += ` LINK="${MindMap.escapeXML(node.url)}"`;
+
+      let inner = '';
+      if (node.note) {
+        const paragraphs = String(node.note).split('\n')
+          .map(line => `<p>${MindMap.escapeXML(line)}</p>`).join('');
+        inner += `${indent}  <richcontent TYPE="NOTE"><html><head></head><body>${paragraphs}</body></html></richcontent>\n`;
+      }
+      inner += children.map(child => visit(child, indent + '  ')).join('');
+
+      if (!inner) return `${indent}<node${attrs}/>\n`;
+      return `${indent}<node${attrs}>\n${inner}${indent}</node>\n`;
+    };
+
+    return `<map version="1.0.1">\n${visit(tree, '')}</map>\n`;
+  }
+
+  /**
+   * Mermaid mindmap node shapes: delimiters around the text, keyed by the
+   * shape name kept in node.shape
+   */
+  static get mermaidShapes() {
+    return {
+      circle: ['((', '))'],
+      bang: ['))', '(('],
+      hexagon: ['{{', '}}'],
+      cloud: [')', '('],
+      rounded: ['(', ')'],
+      square: ['[', ']']
+    };
+  }
+
+  /**
+   * Parse a Mermaid `mindmap` diagram. Node shapes are kept in node.shape,
+   * ::icon() in node.icon and ::: classes in node.className.
+   */
+  static fromMermaid(text, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const shapes = MindMap.mermaidShapes;
+    const usedIds = new Set();
+    const stack = [];
+    let root = null;
+    let last = null;
+    let inFrontmatter = false;
+    let seenHeader = false;
+
+    const lines = String(text).split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const content = line.trim();
+
+      if (content === '---' && !seenHeader) {
+        inFrontmatter = !inFrontmatter;
+        continue;
+      }
+      if (inFrontmatter || !content || content.startsWith('%%')) continue;
+      if (!seenHeader) {
+        if (content !== 'mindmap') throw new Error('MindMap: Mermaid text must start with "mindmap"');
+        seenHeader = true;
+        continue;
+      }
+
+      // Decorations apply to the node above
+      const icon = content.match(/^::icon\((.*)\)$/);
+      if (icon) {
+        if (last) last.icon = icon[1];
+        continue;
+      }
+      if (content.startsWith(':::')) {
+        if (last) last.className = content.slice(3).trim();
+        continue;
+      }
+
+      const node = { name: content };
+      let id = null;
+      for (const shape in shapes) {
+        const [open, close] = shapes[shape];
+        const start = content.indexOf(open);
+        if (start === -1 || !content.endsWith(close) || content.length < start + open.length + close.length) continue;
+        const prefix = content.slice(0, start);
+        if (prefix && !/^[^\s()[\]{}]+$/.test(prefix)) continue;
+        id = prefix || null;
+        node.name = content.slice(start + open.length, content.length - close.length);
+        node.shape = shape;
+        break;
+      }
+      const quoted = node.name.match(/^"`([\s\S]*)`"$/) || node.name.match(/^"([\s\S]*)"$/);
+      if (quoted) node.name = quoted[1];
+      node.name = MindMap.decodeMermaidEntities(node.name.replace(/<br\s*\/?>/gi, '\n'));
+
+      if (!id || usedIds.has(id)) id = generateId();
+      usedIds.add(id);
+      const entry = { indent: line.match(/^\s*/)[0].replace(/\t/g, '    ').length, node: { id, ...node } };
+
+      while (stack.length && stack[stack.length - 1].indent >= entry.indent) stack.pop();
+      if (stack.length) {
+        const parent = stack[stack.length - 1].node;
+        if (!parent.children) parent.children = [];
+        parent.children.push(entry.node);
+      } else if (root) {
+        throw new Error(`MindMap: Mermaid mindmap has more than one root (line ${i + 1})`);
+      } else {
+        root = entry.node;
+      }
+      stack.push(entry);
+      last = entry.node;
+    }
+
+    if (!root) throw new Error('MindMap: Mermaid mindmap has no nodes');
+    return root;
+  }
+
+  /**
+   * Decode Mermaid entity codes (#quot;, #35; ...) in node text
+   */
+  static decodeMermaidEntities(text) {
+    const named = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: '\u00a0' };
+    return text.replace(/#(\d+|[a-z]+);/gi, (ref, code) => {
+      if (/^\d+$/.test(code)) return Number(code) <= 0x10ffff ? String.fromCodePoint(Number(code)) : ref;
+      return named[code] !== undefined ? named[code] : ref;
     });
   }
 
   /**
-   * Start inline editing
+   * Serialize a tree as a Mermaid `mindmap` diagram. Names of shaped nodes
+   * are quoted; characters Mermaid would read as syntax are written as
+   * entity codes.
+   */
+  static toMermaid(tree) {
+    const shapes = MindMap.mermaidShapes;
+    const lines = ['mindmap'];
+    let counter = 0;
+    const encode = (text, pattern) => text.replace(pattern, char => `#${char.codePointAt(0)};`);
+    const visit = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      const name = encode(String(node.name || ''), /[#"<>`]/g).replace(/\s*\n\s*/g, '<br/>');
+      const shape = shapes[node.shape];
+      if (shape) {
+        const id = /^[A-Za-z_][\w-]*$/.test(node.id) ? node.id : `n${++counter}`;
+        lines.push(`${indent}${id}${shape[0]}"${name}"${shape[1]}`);
+      } else if (name) {
+        // Unshaped nodes can't be quoted: brackets would open a shape, and a
+        // leading ":" or "%%" would read as a decoration or a comment
+        lines.push(`${indent}${encode(encode(name, /[()[\]{}]/g), /^[:%\s]|\s$/g)}`);
+      } else {
+        lines.push(`${indent}""`);
+      }
+      if (node.icon) lines.push(`${indent}::icon(${node.icon})`);
+      if (node.className) lines.push(`${indent}:::${node.className}`);
+      (node.children || []).forEach(child => visit(child, depth + 1));
+    };
+    visit(tree, 1);
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Parse a PlantUML @startmindmap diagram (* and +/- OrgMode syntax,
+   * including :multi-line; labels). A [#color] becomes style.fill, a
+   * boxless "_" node.boxless, and a branch on the left ("-" markers or
+   * after "left side") node.side.
    */
-  startEdit(nodeId) {
-    if (!this.config.editable || this.isEditing) return;
-
-    const node = this.findNodeById(this.treeData, nodeId);
-    if (!node) return;
-
-    this.isEditing = true;
-    this.editingNode = nodeId;
-    this.svg.setAttribute('class', this.svg.getAttribute('class') + ' editing');
+  static fromPlantUML(text, options = {}) {
+    const generateId = options.generateId || MindMap.createIdGenerator();
+    const stack = [];
+    let root = null;
+    let pending = null;
+    let inBlock = null;
+    let leftSide = false;
+
+    // A :multi-line; label ends at a ";" not escaped with "~"
+    const closes = text => /(^|[^~])(~~)*;$/.test(text);
+    const unescape = text => text.replace(/~([;~])(?=\n|$)/g, '$1');
+
+    const add = (depth, name, lineNumber, meta) => {
+      const node = { id: generateId(), name, ...meta };
+      while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+      if (stack.length) {
+        const parent = stack[stack.length - 1].node;
+        if (!parent.children) parent.children = [];
+        parent.children.push(node);
+      } else if (root) {
+        throw new Error(`MindMap: PlantUML mindmap has more than one root (line ${lineNumber})`);
+      } else {
+        root = node;
+      }
+      stack.push({ depth, node });
+    };
 
-    // Find the node element and its position
-    const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
-    if (!nodeElement) return;
+    const lines = String(text).split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const content = line.trim();
+
+      // Continuation of a :multi-line; label
+      if (pending) {
+        if (closes(content)) {
+          pending.lines.push(line.replace(/;\s*$/, ''));
+          add(pending.depth, unescape(pending.lines.join('\n')), pending.lineNumber, pending.meta);
+          pending = null;
+        } else {
+          pending.lines.push(line);
+        }
+        continue;
+      }
 
-    // Add editing class for visual feedback
-    const currentClass = nodeElement.getAttribute('class') || '';
-    if (!currentClass.includes('editing')) {
-      nodeElement.setAttribute('class', currentClass + ' editing');
-    }
+      // Skip <style>, legend and similar blocks
+      if (inBlock) {
+        if (inBlock.test(content)) inBlock = null;
+        continue;
+      }
+      if (/^<style>/i.test(content)) {
+        if (!/<\/style>$/i.test(content)) inBlock = /<\/style>$/i;
+        continue;
+      }
+      if (/^legend\b/i.test(content)) {
+        inBlock = /^endlegend$/i;
+        continue;
+      }
 
-    // Get text element position
-    const textElement = nodeElement.querySelector('text');
-    const rect = textElement.getBoundingClientRect();
+      if (/^@endmindmap/i.test(content)) break;
+      if (!content || content.startsWith("'") || /^@startmindmap/i.test(content)) continue;
 
-    // Create input
-    const input = document.createElement('input');
-    input.className = 'mindmap-edit-input';
-    input.value = node.name;
-    input.style.left = (rect.left - 50) + 'px';
-    input.style.top = (rect.top - 15) + 'px';
-    input.style.width = '100px';
+      if (/^left\s+side$/i.test(content)) {
+        leftSide = true;
+        continue;
+      }
 
-    document.body.appendChild(input);
-    input.select();
-    input.focus();
+      const item = content.match(/^([*+-]+)(?:\[#([^\]]*)\])?(_)?\s*(.*)$/);
+      if (!item) continue; // title, caption, skinparam, ...
+
+      const depth = item[1].length;
+      const label = item[4];
+      const meta = {};
+      const color = item[2] || '';
+      if (/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) meta.style = { fill: `#${color}` };
+      else if (/^[a-z]+$/i.test(color)) meta.style = { fill: color };
+      if (item[3]) meta.boxless = true;
+      if (depth === 2 && (item[1][0] === '-' || (leftSide && item[1][0] === '*'))) meta.side = 'left';
+
+      if (label.startsWith(':')) {
+        if (closes(label)) {
+          add(depth, unescape(label.slice(1, -1)), i + 1, meta);
+        } else {
+          pending = { depth, lines: [label.slice(1)], lineNumber: i + 1, meta };
+        }
+      } else {
+        add(depth, label, i + 1, meta);
+      }
+    }
 
-    const finishEdit = (save = true) => {
-      if (!this.isEditing) return;
+    if (!root) throw new Error('MindMap: PlantUML mindmap has no nodes');
+    return root;
+  }
 
-      if (save && input.value.trim()) {
-        this.renameNode(nodeId, input.value.trim());
+  /**
+   * Serialize a tree as a PlantUML @startmindmap diagram. Names that would
+   * not survive the one-line form (line breaks, a leading ":", "[" or "_",
+   * surrounding spaces) use the :multi-line; form, where a ";" or "~"
+   * ending a line is escaped with "~". A plain style.fill is written as
+   * [#color], and maps with left-side branches use +/- markers.
+   */
+  static toPlantUML(tree) {
+    const lines = ['@startmindmap'];
+    const sided = (tree.children || []).some(child => child.side === 'left');
+    const visit = (node, depth, marker) => {
+      const fill = (node.style && node.style.fill) || '';
+      let prefix = marker.repeat(depth);
+      if (/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(fill)) prefix += `[${fill}]`;
+      else if (/^[a-z]+$/i.test(fill)) prefix += `[#${fill}]`;
+      if (node.boxless) prefix += '_';
+
+      const name = String(node.name || '');
+      if (!name || /\n|^[:[_\s]|\s$/.test(name)) {
+        lines.push(`${prefix}:${name.replace(/[;~](?=\n|$)/g, '~$&')};`);
       } else {
-        this.render(); // Re-render to remove editing class
+        lines.push(`${prefix} ${name}`);
       }
+      (node.children || []).forEach(child => {
+        visit(child, depth + 1, !sided ? '*' : depth > 1 ? marker : child.side === 'left' ? '-' : '+');
+      });
+    };
+    visit(tree, 1, sided ? '+' : '*');
+    lines.push('@endmindmap');
+    return lines.join('\n') + '\n';
+  }
 
-      input.remove();
-      this.isEditing = false;
-      this.editingNode = null;
-      const svgClass = this.svg.getAttribute('class') || '';
-      this.svg.setAttribute('class', svgClass.replace(' editing', '').replace('editing', ''));
+  /**
+   * Default keyboard shortcuts. Override any of them with the keyBindings
+   * option; use null to disable one.
+   */
+  static get defaultKeyBindings() {
+    return {
+      undo: 'Mod+Z',
+      redo: ['Mod+Shift+Z', 'Mod+Y'],
+      navigateUp: 'ArrowUp',
+      navigateDown: 'ArrowDown',
+      navigateLeft: 'ArrowLeft',
+      navigateRight: 'ArrowRight',
+      addChild: ['Insert', 'Mod+Enter'], // Not Tab: Tab has to move focus out of the map
+      addSibling: 'Enter',
+      rename: 'F2',
+      delete: ['Delete', 'Backspace'],
+      toggleCollapse: 'Space',
+      deselect: 'Escape',
+      contextMenu: ['Shift+F10', 'ContextMenu'],
+      selectAll: 'Mod+A'
     };
+  }
 
-    input.addEventListener('blur', () => finishEdit(true));
-    input.addEventListener('keydown', e => {
-      if (e.key === 'Enter') finishEdit(true);
-      if (e.key === 'Escape') finishEdit(false);
-    });
+  /**
+   * Default configuration, overridden by the constructor options
+   */
+  static get defaults() {
+    return {
+      width: 800,
+      height: 800,
+      data: null, // Map to start with (MindMap.sampleData if not given)
+      theme: 'default', // 'default', 'dark', 'compact'
+      layout: 'radial', // 'radial', 'tree', 'balanced', 'orgchart', 'outline'
+      radiusStep: 120,
+      siblingSpacing: 40, // Smallest distance between neighbouring leaves in tree, balanced and outline layouts
+      editable: true,
+      showControls: true,
+      showStatus: true,
+      showSearch: false, // Search box in the controls bar
+      exportFilename: 'mindmap-data.json',
+      svgExportFilename: 'mindmap.svg',
+      pngExportFilename: 'mindmap.png',
+      historyDepth: 100, // Maximum number of undo steps
+      historyGroupDelay: 500, // Repeated edits of one node closer together than this (ms) form one undo step
+      keyBindings: {}, // Overrides for MindMap.defaultKeyBindings
+      minZoom: 0.1,
+      maxZoom: 5,
+      zoomSensitivity: 0.1, // Zoom change per mouse wheel notch
+      animationDuration: 200, // Camera animation length (ms)
+      nodeRadius: { root: 12, branch: 7, leaf: 8 },
+      fontSize: null, // Font sizes in px per role, e.g. { root: 16 }; null keeps the theme's
+      labelMaxWidth: 160, // Labels wrap onto more lines past this width (px); 0 disables wrapping
+      avoidLabelOverlap: true, // Layouts make room for labels; radial shortens those that still don't fit
+      rotateLabels: false, // Turn radial labels to run along their branch's angle
+      maxRadiusStep: null, // Furthest apart rings may move to fit labels (px, default 2 × radiusStep)
+      imageSize: 48, // Size of node.image thumbnails (px)
+      inheritBranchColors: false, // Nodes without their own fill/stroke take their parent's
+      ariaLabel: 'Mind map', // Accessible name of the tree
+      storage: null, // Adapter with load/save/list/remove, e.g. MindMap.localStorageAdapter()
+      storageKey: 'mindmap', // Key the map is saved under
+      autosave: true, // Save to storage after each edit
+      autosaveDelay: 1000, // Wait this long (ms) after the last edit before saving
+      collaboration: null, // { transport, peerId?, name?, color? } to edit together with other peers
+      onInvalidData: 'repair', // setData() with invalid data: 'repair' (and emit dataRepair), 'warn' (also log) or 'throw'
+      colorPalette: [
+        { name: 'Red', fill: '#f87171', stroke: '#dc2626' },
+        { name: 'Orange', fill: '#fb923c', stroke: '#ea580c' },
+        { name: 'Yellow', fill: '#facc15', stroke: '#ca8a04' },
+        { name: 'Green', fill: '#4ade80', stroke: '#16a34a' },
+        { name: 'Blue', fill: '#60a5fa', stroke: '#2563eb' },
+        { name: 'Purple', fill: '#c084fc', stroke: '#9333ea' },
+        { name: 'Gray', fill: '#9ca3af', stroke: '#4b5563' }
+      ],
+      colors: {
+        root: { fill: '#f97316', stroke: '#dc2626', text: '#ffffff' },
+        branch: { fill: '#34d399', stroke: '#059669', text: '#065f46' },
+        leaf: { fill: '#60a5fa', stroke: '#2563eb', text: '#1e40af' },
+        link: 'rgba(255,255,255,0.6)'
+      }
+    };
   }
 
   /**
-   * Count leaves in subtree
+   * How often peers announce their presence (ms)
    */
-  countLeaves(node) {
-    if (!node.children || node.children.length === 0) {
-      node._leafCount = 1;
-      node._isLeaf = true;
-      return 1;
-    }
-    node._isLeaf = false;
-    let sum = 0;
-    for (const c of node.children) sum += this.countLeaves(c);
-    node._leafCount = sum;
-    return sum;
+  static get presenceInterval() {
+    return 5000;
+  }
+
+  /**
+   * Order [clock, peer] stamps
+   */
+  static compareStamps(a, b) {
+    return a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0);
+  }
+
+  /**
+   * Order operations by Lamport clock, then peer ID
+   */
+  static compareOperations(a, b) {
+    return MindMap.compareStamps([a.clock, a.peer], [b.clock, b.peer]);
   }
 
   /**
-   * Layout algorithm for positioning nodes
+   * Describe how one tree became another as operations: add, move (to a
+   * parent, after a sibling), rename, update (other fields, null removes
+   * one), delete, links (the cross-links) and reset (a different root).
+   * Applying them in order to prev gives next.
    */
-  layout(node, startAngle, endAngle, depth = 0) {
-    const mid = (startAngle + endAngle) / 2;
-    const r = depth * this.config.radiusStep;
-    const centerX = this.config.width / 2;
-    const centerY = this.config.height / 2;
+  static diffTrees(prev, next) {
+    if (!next) return [];
+    if (!prev || prev.id !== next.id) return [{ type: 'reset', tree: JSON.parse(JSON.stringify(next)) }];
+
+    const before = new Map();
+    const index = (node, parentId) => {
+      before.set(node.id, { node, parentId, position: before.size });
+      (node.children || []).forEach(child => index(child, node.id));
+    };
+    index(prev, null);
+
+    const ops = [];
+    const fieldsOf = (node) => {
+      const fields = {};
+      for (const key in node) {
+        const rootLinks = key === 'links' && (node === prev || node === next);
+        if (key !== 'id' && key !== 'children' && !rootLinks) fields[key] = node[key];
+      }
+      return JSON.parse(JSON.stringify(fields));
+    };
+    const compareFields = (old, node) => {
+      const a = fieldsOf(old);
+      const b = fieldsOf(node);
+      if (a.name !== b.name) ops.push({ type: 'rename', id: node.id, name: b.name });
+      const changes = {};
+      let changed = false;
+      new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+        if (key === 'name' || JSON.stringify(a[key]) === JSON.stringify(b[key])) return;
+        changes[key] = key in b ? b[key] : null;
+        changed = true;
+      });
+      if (changed) ops.push({ type: 'update', id: node.id, fields: changes });
+    };
 
-    node._x = centerX + r * Math.cos(mid);
-    node._y = centerY + r * Math.sin(mid);
-    node._angle = mid;
-    node._depth = depth;
+    const seen = new Set();
+    const visit = (node) => {
+      seen.add(node.id);
+      const children = node.children || [];
+
+      // Children that stay under this node in the same relative order don't move
+      const stayed = children.filter(c => before.has(c.id) && before.get(c.id).parentId === node.id);
+      const kept = MindMap.longestIncreasingRun(stayed.map(c => before.get(c.id).position));
+      const inPlace = new Set(kept.map(i => stayed[i].id));
+
+      children.forEach((child, i) => {
+        const after = i > 0 ? children[i - 1].id : null;
+        const old = before.get(child.id);
+        if (!old) {
+          ops.push({ type: 'add', id: child.id, parent: node.id, after, fields: fieldsOf(child) });
+        } else {
+          if (!inPlace.has(child.id)) ops.push({ type: 'move', id: child.id, parent: node.id, after });
+          compareFields(old.node, child);
+        }
+        visit(child);
+      });
+    };
+    compareFields(prev, next);
+    visit(next);
 
-    if (!node.children || node.children.length === 0) return;
+    // Deleting the topmost removed node takes its subtree with it
+    before.forEach(({ parentId }, id) => {
+      if (!seen.has(id) && seen.has(parentId)) ops.push({ type: 'delete', id });
+    });
 
-    let angle = startAngle;
-    for (const c of node.children) {
-      const span = (endAngle - startAngle) * (c._leafCount / node._leafCount);
-      this.layout(c, angle, angle + span, depth + 1);
-      angle += span;
+    if (JSON.stringify(prev.links || []) !== JSON.stringify(next.links || [])) {
+      ops.push({ type: 'links', links: JSON.parse(JSON.stringify(next.links || [])) });
     }
+    return ops;
   }
 
   /**
-   * Layout root node
+   * Which nodes differ between two trees: { ids, links } with the IDs of
+   * added, moved, renamed, updated and deleted nodes (deleted subtrees
+   * included) plus their old and new parents, and whether the cross-links
+   * changed. Null if the root was replaced.
    */
-  layoutRoot(root) {
-    const gap = 0.0001;
-    const start = -Math.PI / 2 + gap;
-    const end = -Math.PI / 2 + Math.PI * 2 - gap;
-    const centerX = this.config.width / 2;
-    const centerY = this.config.height / 2;
+  static changedNodes(prev, next) {
+    const ops = MindMap.diffTrees(prev, next);
+    if (ops.some(op => op.type === 'reset')) return null;
+
+    const parents = new Map();
+    const nodes = new Map();
+    const index = (node, parentId) => {
+      parents.set(node.id, parentId);
+      nodes.set(node.id, node);
+      (node.children || []).forEach(child => index(child, node.id));
+    };
+    if (prev) index(prev, null);
+
+    const ids = new Set();
+    const addSubtree = (node) => {
+      ids.add(node.id);
+      (node.children || []).forEach(addSubtree);
+    };
+    let links = false;
+    ops.forEach(op => {
+      if (op.type === 'links') {
+        links = true;
+        return;
+      }
+      ids.add(op.id);
+      if (op.parent) ids.add(op.parent);
+      if ((op.type === 'move' || op.type === 'delete') && parents.get(op.id)) ids.add(parents.get(op.id));
+      if (op.type === 'delete' && nodes.has(op.id)) addSubtree(nodes.get(op.id));
+    });
+    return { ids, links };
+  }
+
+  /**
+   * Indexes of a longest strictly increasing subsequence of numbers
+   */
+  static longestIncreasingRun(values) {
+    const tails = [];
+    const previous = [];
+    values.forEach((value, i) => {
+      let lo = 0;
+      let hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (values[tails[mid]] < value) lo = mid + 1;
+        else hi = mid;
+      }
+      previous[i] = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = i;
+    });
+    const run = [];
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) run.unshift(i);
+    return run;
+  }
 
-    root._x = centerX;
-    root._y = centerY;
-    root._angle = 0;
-    root._depth = 0;
-    root._isRoot = true;
+  /**
+   * Apply an operation from diffTrees to a tree and return the tree.
+   * Operations on missing nodes, on the root's position and moves into a
+   * node's own subtree are ignored, so any order of operations gives a
+   * valid tree.
+   */
+  static applyOperation(tree, op) {
+    if (op.type === 'reset') {
+      return op.tree && typeof op.tree === 'object' && !Array.isArray(op.tree) ? MindMap.normalizeData(op.tree).data : tree;
+    }
+    if (op.type === 'links') {
+      if (Array.isArray(op.links) && op.links.length) tree.links = JSON.parse(JSON.stringify(op.links));
+      else delete tree.links;
+      return tree;
+    }
 
-    if (!root.children) return;
+    const find = (node, id, parent) => {
+      if (node.id === id) return { node, parent };
+      for (const child of node.children || []) {
+        const found = find(child, id, node);
+        if (found) return found;
+      }
+      return null;
+    };
+    const place = (parent, node, after) => {
+      if (!parent.children) parent.children = [];
+      const at = after === null || after === undefined ? 0 : parent.children.findIndex(c => c.id === after) + 1;
+      // A missing sibling puts the node last
+      parent.children.splice(at === 0 && after ? parent.children.length : at, 0, node);
+    };
+    const detach = ({ node, parent }) => {
+      parent.children.splice(parent.children.indexOf(node), 1);
+    };
 
-    let angle = start;
-    for (const c of root.children) {
-      const span = (end - start) * (c._leafCount / root._leafCount);
-      this.layout(c, angle, angle + span, 1);
-      angle += span;
+    const target = find(tree, op.id, null);
+    switch (op.type) {
+      case 'add': {
+        const parent = find(tree, op.parent, null);
+        if (target || !parent) break;
+        place(parent.node, { ...JSON.parse(JSON.stringify(op.fields || {})), id: op.id }, op.after);
+        break;
+      }
+      case 'move': {
+        const parent = find(tree, op.parent, null);
+        if (!target || !target.parent || !parent || find(target.node, op.parent, null)) break;
+        detach(target);
+        place(parent.node, target.node, op.after);
+        break;
+      }
+      case 'rename':
+        if (target) target.node.name = String(op.name);
+        break;
+      case 'update':
+        if (!target || !op.fields) break;
+        for (const key in op.fields) {
+          if (key === 'id' || key === 'children') continue;
+          if (op.fields[key] === null) delete target.node[key];
+          else target.node[key] = JSON.parse(JSON.stringify(op.fields[key]));
+        }
+        break;
+      case 'delete':
+        if (target && target.parent) detach(target);
+        break;
     }
+    return tree;
   }
 
   /**
-   * Draw the mindmap
+   * Transport that syncs maps between tabs of the same origin with a
+   * BroadcastChannel
    */
-  draw(root) {
-    // Clear viewport
-    while (this.viewport.firstChild) {
-      this.viewport.removeChild(this.viewport.firstChild);
-    }
-
-    const gLinks = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    const gNodes = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    this.viewport.appendChild(gLinks);
-    this.viewport.appendChild(gNodes);
-
-    // Draw links
-    const drawLinks = (node) => {
-      if (!node.children) return;
-      for (const c of node.children) {
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        const px = node._x, py = node._y;
-        const cx1 = px + (this.config.radiusStep * 0.4) * Math.cos(node._angle);
-        const cy1 = py + (this.config.radiusStep * 0.4) * Math.sin(node._angle);
-        const cx2 = c._x - (this.config.radiusStep * 0.4) * Math.cos(c._angle);
-        const cy2 = c._y - (this.config.radiusStep * 0.4) * Math.sin(c._angle);
-        const d = `M ${px} ${py} C ${cx1} ${cy1} ${cx2} ${cy2} ${c._x} ${c._y}`;
-        line.setAttribute('d', d);
-        line.setAttribute('class', 'mindmap-link');
-        gLinks.appendChild(line);
-        drawLinks(c);
-      }
-    };
-
-    // Draw nodes
-    const drawNodes = (node) => {
-      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-      let nodeClasses = 'mindmap-node';
-      g.setAttribute('data-node-id', node.id);
+  static broadcastChannelTransport(name = 'mindmap') {
+    const channel = new BroadcastChannel(name);
+    return {
+      send: (message) => channel.postMessage(message),
+      subscribe: (handler) => {
+        const listener = (e) => handler(e.data);
+        channel.addEventListener('message', listener);
+        return () => channel.removeEventListener('message', listener);
+      },
+      close: () => channel.close()
+    };
+  }
+
+  /**
+   * Render a map to a standalone SVG string without a DOM, e.g. in Node.js
+   * for thumbnails or server-side rendering. Takes the constructor options
+   * that affect the picture (theme, layout, colors, nodeRadius, fontSize,
+   * labelMaxWidth, ...) plus background and padding as for exportSVG(),
+   * crop (false keeps the live map's 0 0 width height view box) and
+   * embedData (false leaves out the data MindMap.hydrate() reads). Throws
+   * if data isn't a node object.
+   */
+  static renderToString(data, options = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('MindMap: renderToString() needs a root node object');
+    }
+    const { background, padding = 20, crop = true, embedData = true, ...config } = options;
+    const defaults = MindMap.defaults;
+    const theme = MindMap.themeDefaults[config.theme] || MindMap.themeDefaults.default;
+    const colors = { ...defaults.colors, ...config.colors };
+    ['root', 'branch', 'leaf'].forEach(role => {
+      colors[role] = { ...defaults.colors[role], ...colors[role] };
+    });
+
+    // A bare instance: the layout, label and link helpers don't need the DOM
+    const map = Object.create(MindMap.prototype);
+    map.config = { ...defaults, ...config, colors, fontSize: { ...theme.fontSize, ...config.fontSize } };
+    map.listeners = {};
+    map.container = null;
+    map.viewport = null;
+    map.nodeRadii = new Map();
+
+    const { data: tree, errors } = MindMap.normalizeData(data, { generateId: MindMap.createIdGenerator() });
+    if (errors.length) map.handleInvalidData(errors, data);
+    map.treeData = tree;
+    map.positions = map.computeLayout(tree);
+
+    const el = MindMap.svgElement;
+    const esc = MindMap.escapeXML;
+    const layoutEntry = map.getLayoutEntry();
+    const gradients = { root: 'mindmapRootGradient', branch: 'mindmapBranchGradient', leaf: 'mindmapLeafGradient' };
+    const links = [];
+    const nodes = [];
+
+    // Mirrors drawNode(), with the stylesheet's rules as presentation attributes
+    const drawNode = (node, depth, style) => {
+      const pos = map.positions[node.id];
+      const angle = pos.angle || 0;
+      const hasChildren = !!(node.children && node.children.length > 0);
+      const isLeaf = !hasChildren;
+      const role = depth === 0 ? 'root' : (isLeaf ? 'leaf' : 'branch');
+      const r = style.radius || map.config.nodeRadius[role];
+      const shape = style.shape || 'circle';
+      const extent = shape === 'pill' ? r * 1.6 : r;
+      map.nodeRadii.set(node.id, extent);
+
+      const text = (size, weight) => ({
+        fill: style.text || colors[role].text,
+        'font-size': typeof size === 'number' ? `${size}px` : size,
+        'font-weight': weight,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'middle'
+      });
+      const parts = [];
+
+      const labelPlacement = depth === 0 ? layoutEntry.rootLabel : layoutEntry.label;
+      const label = map.getLabelLayout(node, role, style, labelPlacement, pos, r, extent);
+      if (node.note || label.truncated) {
+        parts.push(el('title', {}, esc([label.truncated && node.name, node.note].filter(Boolean).join('\n\n'))));
+      }
 
-      // Add specific classes for styling
-      if (node._isRoot) {
-        nodeClasses += ' root';
-      } else if (node._isLeaf) {
-        nodeClasses += ' leaf';
+      const paint = shape === 'none' ? { fill: 'transparent', stroke: 'none' } : {
+        fill: style.fill || `url(#${gradients[role]})`,
+        stroke: style.stroke || colors[role].stroke,
+        'stroke-width': role === 'root' ? 3 : 2,
+        'stroke-dasharray': node.collapsed && hasChildren ? '2, 2' : null
+      };
+      if (shape === 'rounded' || shape === 'pill') {
+        const rx = shape === 'pill' ? r : r * 0.35;
+        parts.push(el('rect', { x: -extent, y: -r, width: extent * 2, height: r * 2, rx, ...paint }));
       } else {
-        nodeClasses += ' branch';
+        parts.push(el('circle', { r, ...paint }));
       }
 
-      // Add editing class if this node is being edited
-      if (this.editingNode === node.id) {
-        nodeClasses += ' editing';
+      if (style.icon) parts.push(el('text', text(Math.round(r * 1.3), 700), esc(style.icon)));
+
+      // Link and note markers above the node, then the image thumbnail
+      const markers = [];
+      const url = node.url && MindMap.safeUrl(node.url);
+      if (url) {
+        markers.push(transform => el('a', { href: url, 'xlink:href': url, target: '_blank', rel: 'noopener noreferrer', transform },
+          el('title', {}, esc(node.url)) + el('text', text(11, 600), '🔗')));
       }
+      if (node.note) markers.push(transform => el('text', { ...text(11, 600), transform }, '📝'));
+      markers.forEach((marker, i) => {
+        parts.push(marker(`translate(${(i - (markers.length - 1) / 2) * 16},${-(r + 10)})`));
+      });
 
-      g.setAttribute('class', nodeClasses);
-      g.setAttribute('transform', `translate(${node._x},${node._y})`);
+      const image = node.image && MindMap.safeUrl(node.image, { image: true });
+      if (image) {
+        const size = map.config.imageSize;
+        parts.push(el('image', {
+          href: image,
+          'xlink:href': image,
+          x: -size / 2,
+          y: -(r + (markers.length ? 20 : 6) + size),
+          width: size,
+          height: size,
+          preserveAspectRatio: 'xMidYMid meet'
+        }));
+      }
 
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      let r;
-      if (node._isRoot) {
-        r = 12;
-      } else if (node._isLeaf) {
-        r = 8;
-      } else {
-        r = 7;
-      }
-      circle.setAttribute('r', r);
-      g.appendChild(circle);
-
-      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      text.textContent = node.name || '';
-
-      if (node._depth > 0) {
-        const textOffset = r + (node._isLeaf ? 20 : 18);
-        const dx = Math.cos(node._angle) * textOffset;
-        const dy = Math.sin(node._angle) * textOffset;
-        text.setAttribute('x', dx);
-        text.setAttribute('y', dy);
-        const angleDeg = (node._angle * 180 / Math.PI + 360) % 360;
-        if (angleDeg > 90 && angleDeg < 270) {
-          text.setAttribute('text-anchor', 'end');
-        }
+      if (hasChildren) {
+        const badgeText = node.collapsed ? `+${map.countDescendants(node)}` : '−';
+        parts.push(el('g', { transform: `translate(${Math.cos(angle) * (extent + 7)},${Math.sin(angle) * (r + 7)})` },
+          el('circle', { r: node.collapsed ? 8 : 6, fill: theme.surface, stroke: colors.branch.stroke, 'stroke-width': 1.5 }) +
+          el('text', { ...text(9, 700), fill: colors.branch.stroke }, badgeText)));
       }
 
-      g.appendChild(text);
+      const font = map.getLabelFont(role, style);
+      const lines = label.lines;
+      const firstLine = labelPlacement === 'below' ? 0 : -(lines.length - 1) / 2;
+      parts.push(el('text', {
+        ...text(style.fontSize || font.size, font.weight),
+        x: label.x,
+        y: label.y,
+        'text-anchor': label.anchor || 'middle',
+        transform: label.rotate !== null ? `rotate(${label.rotate},${label.x},${label.y})` : null
+      }, lines.length === 1 ? esc(lines[0]) : lines.map((line, i) =>
+        el('tspan', { x: label.x || 0, dy: `${i === 0 ? firstLine * 1.2 : 1.2}em` }, esc(line))).join('')));
+
+      nodes.push(el('g', { transform: `translate(${pos.x},${pos.y})` }, parts.join('')));
+    };
 
-      // Event handlers
-      if (this.config.editable) {
-        // Mouse events
-        g.addEventListener('contextmenu', e => {
-          e.preventDefault();
-          this.showContextMenu(e.clientX, e.clientY, node.id);
+    const visit = (node, depth, style) => {
+      drawNode(node, depth, style);
+      MindMap.visibleChildren(node).forEach(c => {
+        const childStyle = map.resolveNodeStyle(c, style);
+        links.push(el('path', {
+          d: map.getLinkPath(node, c),
+          fill: 'none',
+          stroke: childStyle.stroke || childStyle.fill || colors.link,
+          'stroke-width': 2
+        }));
+        visit(c, depth + 1, childStyle);
+      });
+    };
+    visit(tree, 0, map.resolveNodeStyle(tree, null));
+
+    const crossLinks = (tree.links || [])
+      .filter(link => map.positions[link.from] && map.positions[link.to])
+      .map(link => {
+        const style = link.style || {};
+        const color = style.stroke || colors.branch.stroke;
+        const geometry = map.getCrossLinkGeometry(link.from, link.to);
+        const path = el('path', {
+          d: geometry.path,
+          fill: 'none',
+          stroke: color,
+          'stroke-width': style.width || 1.5,
+          'stroke-dasharray': style.dashed === false ? null : '6, 4'
         });
+        const arrow = el('path', { d: geometry.arrow, fill: color, stroke: 'none' });
+        const label = link.label ? el('text', {
+          x: geometry.labelX,
+          y: geometry.labelY,
+          fill: color,
+          stroke: theme.surface,
+          'stroke-width': 3,
+          'paint-order': 'stroke',
+          'font-size': '10px',
+          'text-anchor': 'middle'
+        }, esc(link.label)) : '';
+        return el('g', {}, path + arrow + label);
+      });
 
-        g.addEventListener('dblclick', e => {
-          e.preventDefault();
-          this.startEdit(node.id);
-        });
+    // Crop to the content like exportSVG(), or keep the live map's view box
+    let box = { x: 0, y: 0, width: map.config.width, height: map.config.height };
+    if (crop) {
+      const bounds = map.getContentBounds();
+      box = {
+        x: bounds.x - padding,
+        y: bounds.y - padding,
+        width: bounds.width + padding * 2,
+        height: bounds.height + padding * 2
+      };
+    }
 
-        // Touch events for editing
-        let touchStartTime = 0;
-        let touchStartPos = null;
-        let tapCount = 0;
-        let tapTimeout = null;
-        let longPressTimeout = null;
-
-        g.addEventListener('touchstart', e => {
-          e.stopPropagation(); // Prevent SVG pan/zoom
-          touchStartTime = Date.now();
-          touchStartPos = {
-            x: e.touches[0].clientX,
-            y: e.touches[0].clientY
-          };
-
-          // Start long press timer with visual feedback
-          longPressTimeout = setTimeout(() => {
-            g.classList.add('long-pressing');
-          }, 300); // Visual feedback after 300ms
-        });
+    const fill = background !== undefined ? background : theme.background;
+    const content = [
+      embedData ? el('metadata', { class: 'mindmap-data' }, esc(JSON.stringify(tree))) : '',
+      el('defs', {}, MindMap.gradientMarkup(colors)),
+      fill && fill !== 'transparent' ? el('rect', { ...box, fill }) : '',
+      el('g', {}, [links.join(''), crossLinks.join(''), nodes.join('')].map(layer => el('g', {}, layer)).join(''))
+    ];
+
+    return el('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+      viewBox: `${box.x} ${box.y} ${box.width} ${box.height}`,
+      width: box.width,
+      height: box.height,
+      role: 'img',
+      'aria-label': map.config.ariaLabel,
+      'font-family': 'system-ui, -apple-system, "Segoe UI", Roboto, Ubuntu, "Helvetica Neue", Arial, sans-serif'
+    }, content.join(''));
+  }
 
-        g.addEventListener('touchmove', e => {
-          // Cancel long press if finger moves too much
-          if (touchStartPos) {
-            const currentPos = {
-              x: e.touches[0].clientX,
-              y: e.touches[0].clientY
-            };
-            const distance = Math.sqrt(
-              Math.pow(currentPos.x - touchStartPos.x, 2) +
-              Math.pow(currentPos.y - touchStartPos.y, 2)
-            );
-
-            if (distance > 15) { // 15px tolerance
-              clearTimeout(longPressTimeout);
-              g.classList.remove('long-pressing');
-            }
-          }
-        });
+  /**
+   * Make a map rendered with renderToString() interactive: the data embedded
+   * in the SVG inside container is loaded into a new MindMap, which replaces
+   * the picture. Pass the options the SVG was rendered with.
+   */
+  static hydrate(container, options = {}) {
+    const element = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!element) {
+      throw new Error('MindMap: Container element not found');
+    }
 
-        g.addEventListener('touchend', e => {
-          e.stopPropagation(); // Prevent SVG pan/zoom
-          e.preventDefault();
+    const metadata = element.querySelector('metadata.mindmap-data');
+    if (!metadata) return new MindMap(element, options);
 
-          // Clear timeouts and visual feedback
-          clearTimeout(longPressTimeout);
-          g.classList.remove('long-pressing');
-
-          const touchEndTime = Date.now();
-          const touchDuration = touchEndTime - touchStartTime;
-          const touchEndPos = {
-            x: e.changedTouches[0].clientX,
-            y: e.changedTouches[0].clientY
-          };
-
-          // Calculate distance moved
-          const distance = Math.sqrt(
-            Math.pow(touchEndPos.x - touchStartPos.x, 2) +
-            Math.pow(touchEndPos.y - touchStartPos.y, 2)
-          );
-
-          // Long press for context menu (600ms+, minimal movement)
-          if (touchDuration >= 600 && distance < 15) {
-            this.showContextMenu(touchEndPos.x, touchEndPos.y, node.id);
-            return;
-          }
+    let data;
+    try {
+      data = JSON.parse(metadata.textContent);
+    } catch (e) {
+      throw new Error('MindMap: Embedded map data is not valid JSON');
+    }
+    return new MindMap(element, { data, ...options });
+  }
 
-          // Quick tap for double-tap detection
-          if (touchDuration < 400 && distance < 15) {
-            tapCount++;
-
-            if (tapCount === 1) {
-              // Start timer for double tap
-              tapTimeout = setTimeout(() => {
-                tapCount = 0;
-                // Single tap - just provide feedback
-                this.setStatus(`Tapped "${node.name}" - Double tap to edit, long press for menu`);
-              }, 400);
-            } else if (tapCount === 2) {
-              // Double tap - start editing
-              clearTimeout(tapTimeout);
-              tapCount = 0;
-              this.startEdit(node.id);
-            }
-          }
-        });
-      }
+  /**
+   * Build the markup of an SVG element. Attributes that are null or
+   * undefined are left out; content is markup, so escape text first.
+   */
+  static svgElement(name, attributes = {}, content = '') {
+    const attrs = Object.keys(attributes)
+      .filter(key => attributes[key] !== null && attributes[key] !== undefined)
+      .map(key => ` ${key}="${MindMap.escapeXML(attributes[key])}"`)
+      .join('');
+    return content ? `<${name}${attrs}>${content}</${name}>` : `<${name}${attrs}/>`;
+  }
 
-      g.style.cursor = 'pointer';
-      gNodes.appendChild(g);
+  /**
+   * Gradients the node shapes are filled with, from config.colors
+   */
+  static gradientMarkup(colors) {
+    const esc = MindMap.escapeXML;
+    return `
+      <linearGradient id="mindmapRootGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+        <stop offset="0%" style="stop-color:${esc(colors.root.fill)};stop-opacity:1" />
+        <stop offset="100%" style="stop-color:${esc(colors.root.stroke)};stop-opacity:1" />
+      </linearGradient>
+      <linearGradient id="mindmapBranchGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+        <stop offset="0%" style="stop-color:${esc(colors.branch.fill)};stop-opacity:1" />
+        <stop offset="100%" style="stop-color:${esc(colors.branch.stroke)};stop-opacity:1" />
+      </linearGradient>
+      <linearGradient id="mindmapLeafGradient" x1="0%" y1="0%" x2="100%" y2="100%">
+        <stop offset="0%" style="stop-color:${esc(colors.leaf.fill)};stop-opacity:1" />
+        <stop offset="50%" style="stop-color:${esc(colors.leaf.fill)};stop-opacity:0.8" />
+        <stop offset="100%" style="stop-color:${esc(colors.leaf.stroke)};stop-opacity:1" />
+      </linearGradient>
+    `;
+  }
 
-      if (node.children) {
-        for (const c of node.children) drawNodes(c);
-      }
+  /**
+   * What brainmap.css sets per theme, for rendering without the stylesheet:
+   * background, surface (badges, label halos) and font sizes (px). The dark
+   * theme's gradient background is drawn in a single color.
+   */
+  static get themeDefaults() {
+    const fontSize = { root: 14, branch: 12, leaf: 11 };
+    return {
+      default: { background: '#9696c2', surface: '#ffffff', fontSize },
+      dark: { background: '#1f2937', surface: '#374151', fontSize },
+      compact: { background: '#9696c2', surface: '#ffffff', fontSize: { root: 12, branch: 10, leaf: 9 } }
     };
-
-    drawLinks(root);
-    drawNodes(root);
   }
 
   /**
-   * Render the mindmap
+   * Map shown when no data was given and nothing was autosaved
    */
-  render() {
-    if (!this.treeData) return;
+  static get sampleData() {
+    return {
+      id: 'root',
+      name: 'My Mind Map',
+      children: [
+        { id: 'node1', name: 'Idea 1', children: [{ id: 'node1-1', name: 'Detail A' }] },
+        { id: 'node2', name: 'Idea 2' },
+        { id: 'node3', name: 'Idea 3', children: [{ id: 'node3-1', name: 'Detail B' }, { id: 'node3-2', name: 'Detail C' }] }
+      ]
+    };
+  }
 
-    this.countLeaves(this.treeData);
-    this.layoutRoot(this.treeData);
-    this.draw(this.treeData);
-    this.updateTransform();
+  /**
+   * Storage adapter keeping maps as JSON in localStorage. Options: prefix
+   * for the item keys (default 'mindmap:'), storage (default localStorage).
+   */
+  static localStorageAdapter(options = {}) {
+    const prefix = options.prefix !== undefined ? options.prefix : 'mindmap:';
+    const storage = options.storage || window.localStorage;
+    return {
+      load: async (key) => {
+        const json = storage.getItem(prefix + key);
+        return json ? JSON.parse(json) : null;
+      },
+      save: async (key, data) => {
+        storage.setItem(prefix + key, JSON.stringify(data));
+      },
+      list: async () => {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+          const name = storage.key(i);
+          if (name.startsWith(prefix)) keys.push(name.slice(prefix.length));
+        }
+        return keys;
+      },
+      remove: async (key) => {
+        storage.removeItem(prefix + key);
+      }
+    };
   }
 
   /**
-   * Export data as JSON
+   * Storage adapter keeping maps in an IndexedDB object store, for maps too
+   * large for localStorage. Options: database (default 'mindmap'), store
+   * (default 'maps').
    */
-  exportData() {
-    const dataStr = JSON.stringify(this.treeData, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = this.config.exportFilename;
-    a.click();
-    URL.revokeObjectURL(url);
-    this.setStatus(`Data exported to ${this.config.exportFilename}`);
+  static indexedDBAdapter(options = {}) {
+    const database = options.database || 'mindmap';
+    const storeName = options.store || 'maps';
+    let opening = null;
+
+    const open = () => {
+      if (!opening) {
+        opening = new Promise((resolve, reject) => {
+          const request = indexedDB.open(database, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }).catch((err) => {
+          opening = null; // Try again next time
+          throw err;
+        });
+      }
+      return opening;
+    };
+    const run = async (mode, operation) => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    };
+
+    return {
+      load: async (key) => (await run('readonly', store => store.get(key))) || null,
+      save: async (key, data) => {
+        await run('readwrite', store => store.put(data, key));
+      },
+      list: async () => (await run('readonly', store => store.getAllKeys())).map(String),
+      remove: async (key) => {
+        await run('readwrite', store => store.delete(key));
+      }
+    };
   }
 
   /**
-   * Reset view to center
+   * Storage adapter keeping copies of maps in memory, for tests
    */
-  resetView() {
-    this.offsetX = 0;
-    this.offsetY = 0;
-    this.zoom = 1;
-    this.updateTransform();
-    this.setStatus('View reset to center');
+  static memoryAdapter() {
+    const maps = new Map();
+    return {
+      load: async (key) => (maps.has(key) ? JSON.parse(maps.get(key)) : null),
+      save: async (key, data) => {
+        maps.set(key, JSON.stringify(data));
+      },
+      list: async () => [...maps.keys()],
+      remove: async (key) => {
+        maps.delete(key);
+      }
+    };
   }
 
   /**
-   * Destroy the mindmap and clean up
+   * MIME type of the JSON subtree payload on the system clipboard
    */
-  destroy() {
-    this.hideContextMenu();
-    this.removeEventListeners();
-    if (this.container) {
-      this.container.innerHTML = '';
-    }
+  static get clipboardType() {
+    return 'application/x-mindmap+json';
   }
 
   /**
-   * Update configuration
+   * CSS properties copied from the computed styles into exported SVGs
    */
-  updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
-    this.setupDOM();
-    this.setupEventListeners();
-    this.render();
+  static get exportStyleProperties() {
+    return [
+      'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+      'opacity', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline'
+    ];
   }
 }
 
+// Built-in layouts
+MindMap.layouts = {};
+MindMap.clipboard = null; // Shared by every map on the page
+MindMap.registerLayout('radial', MindMap.radialLayout, { link: 'radial', label: 'radial' });
+MindMap.registerLayout('tree', MindMap.treeLayout, { link: 'horizontal', label: 'side' });
+MindMap.registerLayout('balanced', MindMap.balancedLayout, { link: 'horizontal', label: 'side' });
+MindMap.registerLayout('orgchart', MindMap.orgChartLayout, { link: 'vertical', label: 'below', rootLabel: 'below' });
+MindMap.registerLayout('outline', MindMap.outlineLayout, { link: 'elbow', label: 'side', rootLabel: 'side' });
+
 // Export for both CommonJS and ES modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = MindMap;
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    { id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }] },
+    { id: 'b', name: '' },
+    { id: 'c', name: 'C', collapsed: true, children: [{ id: 'c1', name: 'C1' }] }
+  ]
+};
+
+const nodeEl = (map, id) => map.svg.querySelector(`[data-node-id="${id}"]`);
+const keydown = (target, key, init = {}) =>
+  target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }));
+
+test('the map is exposed as a tree of tree items', () => {
+  const map = createMap({ data, ariaLabel: 'Project plan' });
+  assert.strictEqual(map.svg.getAttribute('role'), 'tree');
+  assert.strictEqual(map.svg.getAttribute('aria-label'), 'Project plan');
+
+  const a = nodeEl(map, 'a');
+  assert.strictEqual(a.getAttribute('role'), 'treeitem');
+  assert.strictEqual(a.getAttribute('aria-level'), '2');
+  assert.strictEqual(a.getAttribute('aria-posinset'), '1');
+  assert.strictEqual(a.getAttribute('aria-setsize'), '3');
+  assert.strictEqual(a.getAttribute('aria-expanded'), 'true');
+  assert.strictEqual(a.getAttribute('aria-label'), 'A');
+  assert.strictEqual(nodeEl(map, 'a1').getAttribute('aria-expanded'), null);
+  assert.strictEqual(nodeEl(map, 'b').getAttribute('aria-label'), 'Unnamed');
+  assert.strictEqual(nodeEl(map, 'c').getAttribute('aria-expanded'), 'false');
+  assert.strictEqual(a.querySelector('text.mindmap-label').getAttribute('aria-hidden'), 'true');
+  map.destroy();
+});
+
+test('one node is the tab stop and follows the selection', () => {
+  const map = createMap({ data });
+  const tabStops = () => [...map.svg.querySelectorAll('[tabindex="0"]')].map(el => el.getAttribute('data-node-id'));
+  assert.deepStrictEqual(tabStops(), ['root']);
+
+  map.selectNode('a1');
+  assert.deepStrictEqual(tabStops(), ['a1']);
+  assert.strictEqual(nodeEl(map, 'a1').getAttribute('aria-selected'), 'true');
+  assert.strictEqual(nodeEl(map, 'root').getAttribute('aria-selected'), 'false');
+  map.destroy();
+});
+
+test('focusing a node selects it', () => {
+  const map = createMap({ data });
+  assert.strictEqual(map.focusNode('b'), true);
+  assert.strictEqual(window.document.activeElement, nodeEl(map, 'b'));
+  assert.strictEqual(map.getSelectedNode(), 'b');
+  assert.strictEqual(map.focusNode('missing'), false);
+  map.destroy();
+});
+
+test('status messages are announced in the live region', () => {
+  const map = createMap({ data });
+  assert.strictEqual(map.liveRegion.getAttribute('aria-live'), 'polite');
+  map.toggleCollapse('a');
+  const message = map.liveRegion.textContent;
+  assert.ok(message);
+  assert.strictEqual(nodeEl(map, 'a').getAttribute('aria-expanded'), 'false');
+
+  // Repeating a message still changes the region so it is read again
+  map.announce(message);
+  assert.notStrictEqual(map.liveRegion.textContent, message);
+  assert.strictEqual(map.liveRegion.textContent.trim(), message);
+  map.destroy();
+});
+
+test('the context menu is operated with the keyboard', () => {
+  const map = createMap({ data });
+  map.showContextMenu(10, 10, 'a');
+  const menu = map.contextMenu;
+  assert.strictEqual(menu.getAttribute('role'), 'menu');
+  const items = [...menu.querySelectorAll('[role="menuitem"]')];
+  items[0].focus();
+
+  keydown(menu, 'ArrowDown');
+  assert.strictEqual(window.document.activeElement, items[1]);
+  keydown(menu, 'End');
+  assert.strictEqual(window.document.activeElement, items[items.length - 1]);
+  keydown(menu, 'ArrowDown');
+  assert.strictEqual(window.document.activeElement, items[0]);
+  keydown(menu, 'Escape');
+  assert.ok(!menu.isConnected);
+  map.destroy();
+});
+
+test('the input dialog is modal and Escape cancels it', async () => {
+  const map = createMap({ data });
+  const result = map.showInputModal('Node name');
+  const modal = window.document.querySelector('.mindmap-modal');
+  assert.strictEqual(modal.getAttribute('role'), 'dialog');
+  assert.strictEqual(modal.getAttribute('aria-modal'), 'true');
+  assert.strictEqual(window.document.getElementById(modal.getAttribute('aria-labelledby')).textContent, 'Node name');
+
+  // Tab from the last button wraps to the input
+  modal.querySelector('[data-action="confirm"]').focus();
+  keydown(modal, 'Tab');
+  assert.strictEqual(window.document.activeElement, modal.querySelector('.mindmap-modal-input'));
+
+  keydown(modal, 'Escape');
+  await assert.rejects(result, /Cancelled/);
+  assert.strictEqual(window.document.querySelector('.mindmap-modal'), null);
+  map.destroy();
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [{ id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }] }, { id: 'b', name: 'B' }]
+};
+
+// Where a point in tree coordinates ends up on the SVG
+const toScreen = (map, point) => ({ x: point.x * map.zoom + map.offsetX, y: point.y * map.zoom + map.offsetY });
+
+test('setZoom keeps its anchor in place and honours the zoom limits', () => {
+  const map = createMap({ data, minZoom: 0.5, maxZoom: 2 });
+  map.setZoom(1.5, { x: 100, y: 300 });
+  assert.strictEqual(map.zoom, 1.5);
+  const fixed = { x: (100 - map.offsetX) / map.zoom, y: (300 - map.offsetY) / map.zoom };
+  map.setZoom(1.8, { x: 100, y: 300 });
+  assert.deepStrictEqual(toScreen(map, fixed), { x: 100, y: 300 });
+
+  map.setZoom(10);
+  assert.strictEqual(map.zoom, 2);
+  map.setZoom(0.01);
+  assert.strictEqual(map.zoom, 0.5);
+  map.destroy();
+});
+
+test('the mouse wheel zooms around the cursor', () => {
+  const map = createMap({ data, zoomSensitivity: 0.1 });
+  map.svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 800, height: 800 });
+  map.svg.dispatchEvent(new window.WheelEvent('wheel', { deltaY: -100, clientX: 200, clientY: 600, cancelable: true }));
+  assert.ok(Math.abs(map.zoom - 1.1) < 1e-9);
+  const point = toScreen(map, { x: 200, y: 600 });
+  assert.ok(Math.abs(point.x - 200) < 1e-9 && Math.abs(point.y - 600) < 1e-9);
+  map.destroy();
+});
+
+test('zoomToNode and panTo center their target', () => {
+  const map = createMap({ data, maxZoom: 3 });
+  map.zoomToNode('a1');
+  const pos = map.getNodePosition('a1');
+  assert.strictEqual(map.zoom, 1.5);
+  assert.deepStrictEqual(toScreen(map, pos), { x: 400, y: 400 });
+
+  map.panTo(10, 20);
+  assert.deepStrictEqual(toScreen(map, { x: 10, y: 20 }), { x: 400, y: 400 });
+  assert.strictEqual(map.zoomToNode('missing'), false);
+  map.destroy();
+});
+
+test('fitToContent brings every node into view', () => {
+  const map = createMap({ data, layout: 'tree' });
+  map.setView({ zoom: 4, offsetX: -3000, offsetY: 2000 });
+  assert.strictEqual(map.fitToContent({ maxZoom: 1 }), true);
+  const view = map.getViewport();
+  for (const id of ['root', 'a', 'a1', 'b']) {
+    const pos = map.getNodePosition(id);
+    assert.ok(pos.x > view.x && pos.x < view.x + view.width && pos.y > view.y && pos.y < view.y + view.height, id);
+  }
+  assert.ok(map.zoom <= 1);
+  map.destroy();
+});
+
+test('animated moves ease to the target and report viewportChange', async (t) => {
+  global.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 10);
+  global.cancelAnimationFrame = clearTimeout;
+  t.after(() => {
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const map = createMap({ data, animationDuration: 40 });
+  const views = [];
+  map.on('viewportChange', view => views.push(view));
+  map.setView({ zoom: 2, offsetX: -100, offsetY: -50 }, { animate: true });
+  assert.strictEqual(map.zoom, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.deepStrictEqual([map.zoom, map.offsetX, map.offsetY], [2, -100, -50]);
+  assert.ok(views.length > 1);
+  assert.deepStrictEqual(views[views.length - 1], map.getViewport());
+  map.destroy();
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap, window } = require('./helpers');
+
+const data = { id: 'root', name: 'Root', children: [{ id: 'a', name: 'A' }] };
+const menuItems = map => [...map.contextMenu.querySelectorAll('[role="menuitem"]')].map(item => item.textContent);
+
+test('the context menu offers Paste before anything was copied', () => {
+  MindMap.clipboard = null;
+  const map = createMap({ data });
+  map.showContextMenu(10, 10, 'a');
+  assert.ok(menuItems(map).includes('Paste'));
+  map.hideContextMenu();
+  map.destroy();
+});
+
+test('Paste from the menu reads text from the system clipboard', async () => {
+  MindMap.clipboard = null;
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: { readText: async () => 'Ideas\n  First' }
+  });
+  const map = createMap({ data });
+  try {
+    assert.strictEqual(await map.pasteFromClipboard('a'), true);
+    const idea = map.findNodeById(map.treeData, 'a').children[0];
+    assert.strictEqual(idea.name, 'Ideas');
+    assert.strictEqual(idea.children[0].name, 'First');
+  } finally {
+    delete window.navigator.clipboard;
+    map.destroy();
+  }
+});
+
+test('Paste from the menu falls back to nodes copied on the page', async () => {
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: { readText: async () => { throw new Error('denied'); } }
+  });
+  const map = createMap({ data });
+  try {
+    map.copy('a');
+    assert.strictEqual(await map.pasteFromClipboard('root'), true);
+    assert.deepStrictEqual(map.treeData.children.map(c => c.name), ['A', 'A']);
+  } finally {
+    delete window.navigator.clipboard;
+    map.destroy();
+  }
+});
@@ -0,0 +1,192 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const helpers = require('./helpers');
+
+// Connected maps keep a heartbeat timer, so always destroy them
+const maps = [];
+const createMap = (options) => {
+  const map = helpers.createMap(options);
+  maps.push(map);
+  return map;
+};
+afterEach(() => maps.splice(0).forEach(map => map.destroy()));
+
+/**
+ * In-memory transport: messages are queued until flush() delivers them to
+ * every other subscriber, in order
+ */
+function createBus() {
+  const subscribers = [];
+  const queue = [];
+  return {
+    transport() {
+      const transport = {
+        send: (message) => queue.push([transport, JSON.parse(JSON.stringify(message))]),
+        subscribe: (handler) => {
+          const entry = { transport, handler };
+          subscribers.push(entry);
+          return () => subscribers.splice(subscribers.indexOf(entry), 1);
+        }
+      };
+      return transport;
+    },
+    flush() {
+      while (queue.length) {
+        const [from, message] = queue.shift();
+        subscribers.filter(s => s.transport !== from).forEach(s => s.handler(message));
+      }
+    }
+  };
+}
+
+const mapA = { id: 'root', name: 'Session map', children: [{ id: 'a', name: 'A' }] };
+const mapB = { id: 'root', name: 'Joiner map', children: [{ id: 'b', name: 'B' }] };
+
+function withClock(offset, fn) {
+  const now = Date.now;
+  Date.now = () => now() + offset;
+  try {
+    return fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+test('a joiner adopts the session map even when its clock is behind', () => {
+  const bus = createBus();
+  const a = createMap({ data: mapA });
+  const b = createMap({ data: mapB });
+  withClock(0, () => a.connect(bus.transport(), { peerId: 'peer-z' }));
+  bus.flush();
+  // An hour behind, and a lower peer ID: neither may win over the session
+  withClock(-3600 * 1000, () => b.connect(bus.transport(), { peerId: 'peer-a' }));
+  bus.flush();
+
+  assert.deepStrictEqual(b.getData(), a.getData());
+  assert.strictEqual(a.getData().name, 'Session map');
+});
+
+test('peers connecting at the same moment agree on one map', () => {
+  const bus = createBus();
+  const a = createMap({ data: mapA });
+  const b = createMap({ data: mapB });
+  withClock(3600 * 1000, () => a.connect(bus.transport(), { peerId: 'peer-z' }));
+  withClock(-3600 * 1000, () => b.connect(bus.transport(), { peerId: 'peer-a' }));
+  bus.flush();
+
+  assert.deepStrictEqual(a.getData(), b.getData());
+  assert.strictEqual(a.getData().name, 'Joiner map');
+});
+
+test('edits reach the other peer', () => {
+  const bus = createBus();
+  const a = createMap({ data: mapA });
+  const b = createMap({ data: mapB });
+  a.connect(bus.transport(), { peerId: 'peer-1' });
+  bus.flush();
+  b.connect(bus.transport(), { peerId: 'peer-2' });
+  bus.flush();
+
+  a.renameNode('a', 'Renamed');
+  b.addChild('a', 'Child');
+  bus.flush();
+  assert.deepStrictEqual(a.getData(), b.getData());
+  assert.strictEqual(b.findNodeById(b.treeData, 'a').name, 'Renamed');
+});
+
+test('remote edits keep local undo steps on other nodes', () => {
+  const bus = createBus();
+  const data = { id: 'root', name: 'Root', children: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }] };
+  const a = createMap({ data, historyGroupDelay: 0 });
+  const b = createMap({ data });
+  a.connect(bus.transport(), { peerId: 'peer-1' });
+  bus.flush();
+  b.connect(bus.transport(), { peerId: 'peer-2' });
+  bus.flush();
+
+  a.renameNode('a', 'A1');
+  a.renameNode('c', 'C1');
+  bus.flush();
+  b.renameNode('b', 'B1');
+  b.deleteNode('c');
+  bus.flush();
+
+  // Renaming "c" can't be undone any more, renaming "a" still can
+  assert.strictEqual(a.undoStack.length, 1);
+  assert.ok(a.undo());
+  bus.flush();
+  assert.strictEqual(a.findNodeById(a.treeData, 'a').name, 'A');
+  assert.strictEqual(a.findNodeById(a.treeData, 'b').name, 'B1');
+  assert.deepStrictEqual(a.getData(), b.getData());
+});
+
+test('adopting the session map clears local undo steps', () => {
+  const bus = createBus();
+  const a = createMap({ data: mapA });
+  const b = createMap({ data: mapB });
+  a.connect(bus.transport(), { peerId: 'peer-1' });
+  bus.flush();
+  b.renameNode('b', 'Before joining');
+  b.connect(bus.transport(), { peerId: 'peer-2' });
+  bus.flush();
+  assert.strictEqual(b.canUndo(), false);
+});
+
+test('operations everyone has seen are folded into the base', () => {
+  const bus = createBus();
+  const a = createMap({ data: mapA });
+  const b = createMap({ data: mapA });
+  a.connect(bus.transport(), { peerId: 'peer-1' });
+  bus.flush();
+  b.connect(bus.transport(), { peerId: 'peer-2' });
+  bus.flush();
+
+  for (let i = 0; i < 5; i++) {
+    a.addChild('a', `From A ${i}`);
+    b.renameNode('root', `Root ${i}`);
+    bus.flush();
+  }
+  assert.ok(a.collab.log.length >= 10);
+
+  // Heartbeats report each peer's clock; then both can compact
+  a.sendPresence();
+  b.sendPresence();
+  bus.flush();
+  assert.strictEqual(a.collab.log.length, 0);
+  assert.strictEqual(b.collab.log.length, 0);
+  assert.deepStrictEqual(a.collab.base, a.getData());
+  assert.deepStrictEqual(b.collab.base, b.getData());
+
+  // A joiner only gets the compacted map, and later edits still merge
+  const c = createMap({ data: mapB });
+  const transport = bus.transport();
+  const syncs = [];
+  const unsubscribe = transport.subscribe(message => message.type === 'sync' && syncs.push(message));
+  c.connect(transport, { peerId: 'peer-3' });
+  bus.flush();
+  unsubscribe();
+  assert.ok(syncs.length > 0 && syncs.every(sync => sync.log.length === 0));
+  assert.deepStrictEqual(c.getData(), a.getData());
+
+  c.renameNode('a', 'From C');
+  a.addChild('root', 'Late');
+  bus.flush();
+  assert.deepStrictEqual(a.getData(), c.getData());
+  assert.deepStrictEqual(b.getData(), c.getData());
+});
+
+test('a peer that has not reported its clock holds compaction back', () => {
+  const bus = createBus();
+  const a = createMap({ data: mapA });
+  const b = createMap({ data: mapA });
+  a.connect(bus.transport(), { peerId: 'peer-1' });
+  bus.flush();
+  b.connect(bus.transport(), { peerId: 'peer-2' });
+  bus.flush();
+  a.renameNode('a', 'Renamed');
+  bus.flush();
+
+  a.peers.get('peer-2').clock = null;
+  a.compactLog();
+  assert.strictEqual(a.collab.log.length, 1);
+});
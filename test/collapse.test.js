@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    { id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1', children: [{ id: 'a1x', name: 'A1x' }] }] },
+    { id: 'b', name: 'B', children: [{ id: 'b1', name: 'B1' }] },
+    { id: 'c', name: 'C' }
+  ]
+};
+
+const recordEvents = (map) => {
+  const events = [];
+  map.on('nodeCollapse', node => events.push(`collapse:${node.id}`));
+  map.on('nodeExpand', node => events.push(`expand:${node.id}`));
+  return events;
+};
+
+test('collapseToDepth emits nodeCollapse for each node it collapses', () => {
+  const map = createMap({ data });
+  const events = recordEvents(map);
+  map.collapseToDepth(1);
+  assert.deepStrictEqual(events, ['collapse:a', 'collapse:a1', 'collapse:b']);
+  assert.strictEqual(map.findNodeById(map.treeData, 'root').collapsed, undefined);
+  map.destroy();
+});
+
+test('expandAll emits nodeExpand only for nodes that were collapsed', () => {
+  const map = createMap({ data });
+  map.collapse('b');
+  const events = recordEvents(map);
+  map.expandAll();
+  assert.deepStrictEqual(events, ['expand:b']);
+  map.expandAll();
+  assert.deepStrictEqual(events, ['expand:b']);
+  map.destroy();
+});
+
+test('collapse changes are not undo steps in any collapse method', () => {
+  const map = createMap({ data });
+  map.collapse('a');
+  map.toggleCollapse('b');
+  map.setNodesCollapsed(['a', 'b'], false);
+  map.collapseToDepth(0);
+  map.expandAll();
+  assert.strictEqual(map.canUndo(), false);
+  map.destroy();
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    { id: 'a', name: 'A', note: 'Remember this', url: 'https://example.com/a', image: 'https://example.com/a.png' },
+    { id: 'b', name: 'B' }
+  ]
+};
+
+const nodeEl = (map, id) => map.svg.querySelector(`[data-node-id="${id}"]`);
+
+test('notes, links and images are drawn on the node', () => {
+  const map = createMap({ data });
+  const a = nodeEl(map, 'a');
+  assert.strictEqual(a.querySelector(':scope > title').textContent, 'Remember this');
+  assert.ok(a.querySelector('.mindmap-note-icon'));
+  const link = a.querySelector('a.mindmap-node-link');
+  assert.strictEqual(link.getAttribute('href'), 'https://example.com/a');
+  assert.strictEqual(link.getAttribute('rel'), 'noopener noreferrer');
+  assert.strictEqual(a.querySelector('image.mindmap-node-image').getAttribute('href'), 'https://example.com/a.png');
+  assert.strictEqual(nodeEl(map, 'b').querySelector('title, .mindmap-node-link, .mindmap-node-image'), null);
+  map.destroy();
+});
+
+test('unsafe link and image URLs are not drawn', () => {
+  const map = createMap({ data: {
+    id: 'root',
+    name: 'Root',
+    url: 'java\nscript:alert(1)',
+    image: 'data:text/html,<script>alert(1)</script>',
+    children: [{ id: 'a', name: 'A', image: 'data:image/png;base64,AAAA' }]
+  } });
+  assert.strictEqual(nodeEl(map, 'root').querySelector('.mindmap-node-link, .mindmap-node-image'), null);
+  assert.ok(nodeEl(map, 'a').querySelector('.mindmap-node-image'));
+  map.destroy();
+});
+
+test('setNodeContent updates, removes and undoes fields', () => {
+  const map = createMap({ data });
+  assert.strictEqual(map.setNodeContent('b', { note: 'New note', url: 'https://example.com/b' }), true);
+  assert.strictEqual(nodeEl(map, 'b').querySelector('title').textContent, 'New note');
+  assert.strictEqual(map.setNodeContent('b', { note: 'New note' }), false);
+
+  assert.strictEqual(map.setNodeContent('a', { note: '', image: null }), true);
+  const a = map.getData().children[0];
+  assert.strictEqual('note' in a, false);
+  assert.strictEqual('image' in a, false);
+  assert.strictEqual(a.url, 'https://example.com/a');
+  assert.strictEqual(nodeEl(map, 'a').querySelector('.mindmap-node-image'), null);
+
+  map.undo();
+  assert.strictEqual(map.getData().children[0].note, 'Remember this');
+  map.undo();
+  assert.strictEqual(map.getData().children[1].note, undefined);
+  map.destroy();
+});
+
+test('long labels wrap between words and at line breaks', () => {
+  const map = createMap({ data });
+  const name = 'A rather long label that will not fit on one line';
+  const lines = map.wrapLabel(name, 'branch', {}, 100);
+  assert.ok(lines.length > 1);
+  assert.strictEqual(lines.join(' '), name);
+  lines.forEach(line => assert.ok(map.measureText(line, map.getLabelFont('branch')) <= 100, line));
+
+  assert.deepStrictEqual(map.wrapLabel('First\nSecond', 'branch', {}, 0), ['First', 'Second']);
+  const broken = map.wrapLabel('Supercalifragilisticexpialidocious', 'branch', {}, 60);
+  assert.ok(broken.length > 1);
+  assert.strictEqual(broken.join(''), 'Supercalifragilisticexpialidocious');
+  map.destroy();
+});
+
+test('wrapped labels are drawn as tspans and measured for layout', () => {
+  const name = 'A rather long label that will not fit on one line';
+  const map = createMap({ data: { id: 'root', name: 'Root', children: [{ id: 'a', name }] }, labelMaxWidth: 100 });
+  const tspans = nodeEl(map, 'a').querySelectorAll('text.mindmap-label tspan');
+  assert.strictEqual(tspans.length, map.wrapLabel(name, 'leaf').length);
+  assert.strictEqual([...tspans].map(tspan => tspan.textContent).join(' '), name);
+
+  const node = map.findNodeById(map.treeData, 'a');
+  const wrapped = map.measureLabel(node, 1);
+  map.updateConfig({ labelMaxWidth: 0 });
+  const single = map.measureLabel(node, 1);
+  assert.ok(wrapped.height > single.height);
+  assert.ok(wrapped.width < single.width);
+  assert.strictEqual(nodeEl(map, 'a').querySelector('text.mindmap-label').textContent, name);
+  map.destroy();
+});
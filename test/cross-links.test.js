@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap, window } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    { id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }] },
+    { id: 'b', name: 'B' }
+  ]
+};
+
+const linkEl = (map, from, to) => map.svg.querySelector(`.mindmap-cross-link[data-from="${from}"][data-to="${to}"]`);
+
+test('cross-links are added, drawn and undone', () => {
+  const map = createMap({ data });
+  const added = [];
+  map.on('crossLinkAdd', link => added.push(link));
+
+  assert.strictEqual(map.addCrossLink('a1', 'b', { label: 'depends on', style: { stroke: '#dc2626', dashed: false } }), true);
+  assert.deepStrictEqual(added, [{ from: 'a1', to: 'b', label: 'depends on', style: { stroke: '#dc2626', dashed: false } }]);
+  const element = linkEl(map, 'a1', 'b');
+  assert.match(element.getAttribute('class'), /solid/);
+  assert.strictEqual(element.style.getPropertyValue('--mindmap-cross-link-color'), '#dc2626');
+  assert.strictEqual(element.querySelector('.mindmap-cross-link-label').textContent, 'depends on');
+  assert.ok(element.querySelector('.mindmap-cross-link-path').getAttribute('d'));
+
+  map.undo();
+  assert.deepStrictEqual(map.getCrossLinks(), []);
+  assert.strictEqual(linkEl(map, 'a1', 'b'), null);
+  map.redo();
+  assert.ok(linkEl(map, 'a1', 'b'));
+  map.destroy();
+});
+
+test('self-links, duplicates and unknown nodes are refused', () => {
+  const map = createMap({ data });
+  assert.strictEqual(map.addCrossLink('a', 'a'), false);
+  assert.strictEqual(map.addCrossLink('a', 'missing'), false);
+  assert.strictEqual(map.addCrossLink('a', 'b'), true);
+  assert.strictEqual(map.addCrossLink('a', 'b'), false);
+  assert.strictEqual(map.addCrossLink('b', 'a'), true);
+  assert.strictEqual(map.getCrossLinks().length, 2);
+  map.destroy();
+});
+
+test('cross-links are updated and removed', () => {
+  const map = createMap({ data: { ...data, links: [{ from: 'a', to: 'b', label: 'old' }] } });
+  const events = [];
+  map.on('crossLinkUpdate', link => events.push(['update', link.label]));
+  map.on('crossLinkRemove', link => events.push(['remove', link.from, link.to]));
+
+  assert.strictEqual(map.updateCrossLink('a', 'b', { label: 'new' }), true);
+  assert.strictEqual(linkEl(map, 'a', 'b').querySelector('text').textContent, 'new');
+  assert.strictEqual(map.updateCrossLink('a', 'b', { label: null }), true);
+  assert.strictEqual(linkEl(map, 'a', 'b').querySelector('text'), null);
+  assert.strictEqual(map.removeCrossLink('a', 'b'), true);
+  assert.strictEqual(map.removeCrossLink('a', 'b'), false);
+  assert.strictEqual(map.getData().links, undefined);
+  assert.deepStrictEqual(events, [['update', 'new'], ['update', undefined], ['remove', 'a', 'b']]);
+  map.destroy();
+});
+
+test('deleting a node removes its cross-links until undone', () => {
+  const map = createMap({ data: { ...data, links: [{ from: 'a1', to: 'b' }, { from: 'b', to: 'root' }] } });
+  map.deleteNode('a');
+  assert.deepStrictEqual(map.getCrossLinks(), [{ from: 'b', to: 'root' }]);
+  map.undo();
+  assert.strictEqual(map.getCrossLinks().length, 2);
+  assert.ok(linkEl(map, 'a1', 'b'));
+  map.destroy();
+});
+
+test('links to unknown nodes are dropped when loading', () => {
+  const { data: repaired, errors } = MindMap.normalizeData({ ...data, links: [{ from: 'a', to: 'nowhere' }, { from: 'a', to: 'b' }] });
+  assert.deepStrictEqual(repaired.links, [{ from: 'a', to: 'b' }]);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('connect mode links to the next clicked node and Escape cancels it', () => {
+  const map = createMap({ data });
+  const click = (id) => map.svg.querySelector(`[data-node-id="${id}"] text.mindmap-label`)
+    .dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+  assert.strictEqual(map.startConnect('a'), true);
+  assert.ok(map.svg.classList.contains('connecting'));
+  click('b');
+  assert.deepStrictEqual(map.getCrossLinks(), [{ from: 'a', to: 'b' }]);
+  assert.ok(!map.svg.classList.contains('connecting'));
+
+  map.startConnect('b');
+  map.svg.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.strictEqual(map.connectingFrom, null);
+  click('a1');
+  assert.strictEqual(map.getCrossLinks().length, 1);
+  assert.strictEqual(map.getSelection()[0], 'a1');
+  map.destroy();
+});
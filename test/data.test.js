@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap } = require('./helpers');
+
+test('non-object roots are reported at $ instead of throwing', () => {
+  for (const data of [null, undefined, 'map', 42, [{ id: 'a', name: 'A' }]]) {
+    const errors = MindMap.validateData(data);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].path, '$');
+    assert.strictEqual(errors[0].code, 'invalid-root');
+
+    const { data: repaired } = MindMap.normalizeData(data, { generateId: () => 'fresh' });
+    assert.deepStrictEqual(repaired, { id: 'fresh', name: 'Mind Map' });
+  }
+});
+
+test('the onInvalidData policy decides what a non-object root does', () => {
+  const strict = createMap({ data: { id: 'root', name: 'Root' }, onInvalidData: 'throw' });
+  assert.throws(() => strict.setData('not a map'), err => err.errors[0].path === '$');
+  assert.strictEqual(strict.getData().name, 'Root');
+  strict.destroy();
+
+  const lenient = createMap({ data: { id: 'root', name: 'Root' } });
+  lenient.setData(null);
+  assert.strictEqual(lenient.getData().name, 'Mind Map');
+  lenient.destroy();
+});
+
+test('repaired data is reported through dataRepair', () => {
+  const reports = [];
+  const map = createMap({ onDataRepair: (errors) => reports.push(errors.map(e => e.code)) });
+  map.setData({ name: 'No ID' });
+  assert.deepStrictEqual(reports[reports.length - 1], ['missing-id']);
+  map.destroy();
+});
+
+test("'warn' repairs, reports dataRepair and logs the problems", (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const reports = [];
+  const map = createMap({ onInvalidData: 'warn', onDataRepair: (errors) => reports.push(errors.length) });
+  map.setData({ name: 'No ID' });
+  assert.strictEqual(map.getData().name, 'No ID');
+  assert.deepStrictEqual(reports, [1]);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /\$\.id: Node has no ID/);
+  map.destroy();
+});
+
+test('an unknown onInvalidData policy is rejected', () => {
+  assert.throws(() => createMap({ onInvalidData: 'ignore' }), /Unknown onInvalidData policy "ignore"/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap } = require('./helpers');
+
+const names = tree => [tree.name, ...(tree.children || []).flatMap(names)];
+
+const tricky = [
+  'a [bracket]',
+  'a (paren) and {brace}',
+  ')(',
+  'say "hi"',
+  ':leading colon',
+  '::icon(fa fa-book)',
+  ':::urgent',
+  '%% not a comment',
+  '#1 <b>bold</b> `code`',
+  '[#red] not a color',
+  '_ not boxless',
+  'ends with;',
+  'two\nlines;\nend~',
+  ''
+];
+
+const tree = {
+  id: 'root',
+  name: 'Root (main)',
+  children: tricky.map((name, i) => ({ id: `c${i}`, name }))
+};
+
+test('names survive a Mermaid round trip', () => {
+  const parsed = MindMap.fromMermaid(MindMap.toMermaid(tree));
+  assert.deepStrictEqual(names(parsed), names(tree));
+  assert.strictEqual(parsed.children.every(child => !child.shape), true);
+});
+
+test('shaped Mermaid nodes are quoted and keep their shape', () => {
+  const shaped = {
+    id: 'root',
+    name: 'Root',
+    children: Object.keys(MindMap.mermaidShapes).flatMap(shape =>
+      tricky.map((name, i) => ({ id: `${shape}${i}`, name, shape })))
+  };
+  const text = MindMap.toMermaid(shaped);
+  assert.match(text, /square0\["a \[bracket\]"\]/);
+  assert.match(text, /square3\["say #34;hi#34;"\]/);
+  const parsed = MindMap.fromMermaid(text);
+  assert.deepStrictEqual(names(parsed), names(shaped));
+  assert.deepStrictEqual(parsed.children.map(c => c.shape), shaped.children.map(c => c.shape));
+});
+
+test('names survive a PlantUML round trip', () => {
+  const text = MindMap.toPlantUML(tree);
+  assert.match(text, /^\*\*::leading colon;$/m);
+  const parsed = MindMap.fromPlantUML(text);
+  assert.deepStrictEqual(names(parsed), names(tree));
+});
+
+test('PlantUML colors, sides and boxless markers survive a round trip', () => {
+  const text = [
+    '@startmindmap',
+    '+[#Orange] Root',
+    '++[#FFBBCC] Right',
+    '+++_ Boxless',
+    '--[#lightgreen] Left',
+    '---:multi',
+    'line;',
+    '@endmindmap'
+  ].join('\n');
+  const parsed = MindMap.fromPlantUML(text);
+  const [right, left] = parsed.children;
+  assert.deepStrictEqual(parsed.style, { fill: 'Orange' });
+  assert.deepStrictEqual(right.style, { fill: '#FFBBCC' });
+  assert.strictEqual(right.side, undefined);
+  assert.strictEqual(right.children[0].boxless, true);
+  assert.strictEqual(left.side, 'left');
+  assert.deepStrictEqual(left.style, { fill: 'lightgreen' });
+  assert.strictEqual(left.children[0].name, 'multi\nline');
+
+  const written = MindMap.toPlantUML(parsed);
+  assert.match(written, /^\+\+\+_ Boxless$/m);
+  assert.match(written, /^--\[#lightgreen\] Left$/m);
+  const strip = node => ({
+    name: node.name, style: node.style, side: node.side, boxless: node.boxless,
+    children: (node.children || []).map(strip)
+  });
+  assert.deepStrictEqual(strip(MindMap.fromPlantUML(written)), strip(parsed));
+});
+
+test('branches after "left side" are on the left', () => {
+  const parsed = MindMap.fromPlantUML('@startmindmap\n* Root\n** Right\nleft side\n** Left\n*** Deeper\n@endmindmap');
+  assert.deepStrictEqual(parsed.children.map(child => child.side), [undefined, 'left']);
+  assert.strictEqual(parsed.children[1].children[0].side, undefined);
+  assert.match(MindMap.toPlantUML(parsed), /^\+\+ Right\n-- Left\n--- Deeper$/m);
+});
+
+test('out-of-range Mermaid entity codes are kept as written', () => {
+  assert.strictEqual(MindMap.fromMermaid('mindmap\n  a["x #1114112; y"]').name, 'x #1114112; y');
+});
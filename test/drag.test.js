@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap } = require('./helpers');
+
+test('the drag ghost is hidden from assistive technology', () => {
+  const map = createMap({
+    data: { id: 'root', name: 'Root', children: [{ id: 'a', name: 'A' }] }
+  });
+  map.focusNode('a');
+  assert.ok(map.startNodeDrag('a'));
+
+  const ghost = map.nodeDrag.ghost;
+  assert.strictEqual(ghost.getAttribute('aria-hidden'), 'true');
+  [ghost, ...ghost.querySelectorAll('*')].forEach(el => {
+    [...el.attributes].forEach(({ name }) => {
+      assert.ok(name !== 'role' && name !== 'tabindex' && (name === 'aria-hidden' || !name.startsWith('aria-')), name);
+    });
+  });
+  assert.strictEqual(map.svg.querySelectorAll('[role="treeitem"]').length, 2);
+  map.destroy();
+});
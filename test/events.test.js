@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap } = require('./helpers');
+
+test('a throwing listener does not interrupt the edit', () => {
+  const map = createMap();
+  const errors = [];
+  global.reportError = (err) => errors.push(err);
+  // historyChange fires after the edit is recorded but before the redraw
+  map.on('historyChange', () => { throw new Error('listener failed'); });
+
+  assert.strictEqual(map.addChild('root', 'New'), true);
+  const added = map.treeData.children[map.treeData.children.length - 1];
+  assert.strictEqual(added.name, 'New');
+  assert.ok(map.getNodeElement(added.id), 'the new node is drawn');
+  assert.ok(map.canUndo());
+
+  delete global.reportError;
+  assert.deepStrictEqual(errors.map(e => e.message), ['listener failed']);
+  map.destroy();
+});
+
+test('a listener returning false still cancels a before event', () => {
+  const map = createMap({ onBeforeNodeAdd: () => false });
+  assert.strictEqual(map.addChild('root', 'New'), false);
+  map.destroy();
+});
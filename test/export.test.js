@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+// Image that loads as soon as its source is set
+class LoadingImage {
+  set src(url) {
+    setTimeout(() => this.onload());
+  }
+}
+
+test('exportPNG rejects when the canvas fails instead of never settling', async (t) => {
+  t.mock.method(URL, 'createObjectURL', () => 'blob:map');
+  t.mock.method(URL, 'revokeObjectURL', () => {});
+  global.Image = LoadingImage;
+  const map = createMap({ data: { id: 'root', name: 'Root' } });
+  try {
+    // The test setup's canvas has no 2D context
+    await assert.rejects(map.exportPNG(), /2D context unavailable/);
+
+    const getContext = window.HTMLCanvasElement.prototype.getContext;
+    window.HTMLCanvasElement.prototype.getContext = () => ({ drawImage() {} });
+    t.mock.method(window.HTMLCanvasElement.prototype, 'toBlob', () => {
+      throw new window.DOMException('The canvas has been tainted', 'SecurityError');
+    });
+    try {
+      await assert.rejects(map.exportPNG(), { name: 'SecurityError' });
+    } finally {
+      window.HTMLCanvasElement.prototype.getContext = getContext;
+    }
+  } finally {
+    delete global.Image;
+    map.destroy();
+  }
+});
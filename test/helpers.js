@@ -0,0 +1,25 @@
+// Test setup: a jsdom window for the MindMap to render into
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { pretendToBeVisual: true });
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+global.Blob = dom.window.Blob;
+global.XMLSerializer = dom.window.XMLSerializer;
+
+// jsdom has no canvas; text is measured with the library's estimate instead
+dom.window.HTMLCanvasElement.prototype.getContext = () => null;
+
+const MindMap = require('../brainmap.js');
+
+/**
+ * Create a map in a fresh container
+ */
+function createMap(options = {}) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  return new MindMap(container, options);
+}
+
+module.exports = { MindMap, createMap, window: dom.window };
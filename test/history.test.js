@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }]
+};
+
+test('quick renames of one node are one undo step', () => {
+  const map = createMap({ data });
+  map.renameNode('a', 'A1');
+  map.renameNode('a', 'A2');
+  map.undo();
+  assert.strictEqual(map.findNodeById(map.treeData, 'a').name, 'A');
+  assert.strictEqual(map.canUndo(), false);
+  map.destroy();
+});
+
+test('renames of different nodes are separate steps', () => {
+  const map = createMap({ data });
+  map.renameNode('a', 'A1');
+  map.renameNode('b', 'B1');
+  map.undo();
+  assert.strictEqual(map.findNodeById(map.treeData, 'a').name, 'A1');
+  assert.strictEqual(map.findNodeById(map.treeData, 'b').name, 'B');
+  map.destroy();
+});
+
+test('structural edits are separate steps even in quick succession', () => {
+  const map = createMap({ data });
+  map.addChild('a', 'C');
+  map.deleteNode('b');
+  map.undo();
+  assert.ok(map.findNodeById(map.treeData, 'b'));
+  assert.strictEqual(map.findNodeById(map.treeData, 'a').children.length, 1);
+  map.undo();
+  assert.strictEqual((map.findNodeById(map.treeData, 'a').children || []).length, 0);
+  map.destroy();
+});
+
+test('batch() still groups structural edits', () => {
+  const map = createMap({ data });
+  map.batch('Reorganize', () => {
+    map.addChild('a', 'C');
+    map.moveNode('b', 'a');
+  });
+  map.undo();
+  assert.deepStrictEqual(map.treeData.children.map(c => c.id), ['a', 'b']);
+  assert.strictEqual((map.findNodeById(map.treeData, 'a').children || []).length, 0);
+  assert.strictEqual(map.canUndo(), false);
+  map.destroy();
+});
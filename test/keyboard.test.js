@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+const data = { id: 'root', name: 'Root', children: [{ id: 'a', name: 'A' }] };
+
+const press = (map, key, init = {}) => {
+  const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+  map.svg.dispatchEvent(event);
+  return event;
+};
+
+test('Tab leaves the map instead of adding a child', () => {
+  const map = createMap({ data });
+  map.selectNode('a');
+  const event = press(map, 'Tab');
+  assert.strictEqual(event.defaultPrevented, false);
+  assert.strictEqual(map.findNodeById(map.treeData, 'a').children, undefined);
+  map.destroy();
+});
+
+test('Insert and Mod+Enter add a child', () => {
+  for (const [key, init] of [['Insert', {}], ['Enter', { ctrlKey: true }]]) {
+    const map = createMap({ data });
+    map.selectNode('a');
+    assert.strictEqual(press(map, key, init).defaultPrevented, true);
+    assert.strictEqual(map.findNodeById(map.treeData, 'a').children.length, 1);
+    map.destroy();
+  }
+});
+
+const tree = {
+  id: 'root',
+  name: 'Root',
+  children: [{ id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }] }, { id: 'b', name: 'B' }]
+};
+
+const editInput = () => document.querySelector('.mindmap-edit-input');
+
+test('arrow keys follow the tree', () => {
+  const map = createMap({ data: tree, layout: 'tree' });
+  map.selectNode('a');
+  press(map, 'ArrowRight');
+  assert.strictEqual(map.selectedNode, 'a1');
+  press(map, 'ArrowLeft');
+  assert.strictEqual(map.selectedNode, 'a');
+  press(map, 'ArrowDown');
+  assert.strictEqual(map.selectedNode, 'b');
+  press(map, 'ArrowLeft');
+  assert.strictEqual(map.selectedNode, 'root');
+  map.destroy();
+});
+
+test('Enter adds a sibling straight into inline edit', () => {
+  const map = createMap({ data: tree });
+  map.selectNode('b');
+  press(map, 'Enter');
+  assert.strictEqual(map.isEditing, true);
+  assert.strictEqual(document.querySelector('.mindmap-modal-overlay'), null);
+
+  const input = editInput();
+  input.value = 'C';
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.strictEqual(editInput(), null);
+  assert.deepStrictEqual(map.getData().children.map(c => c.name), ['A', 'B', 'C']);
+  map.destroy();
+});
+
+test('F2 renames, Delete removes and Space collapses the selected node', () => {
+  const map = createMap({ data: tree });
+  map.selectNode('a');
+  press(map, 'F2');
+  assert.strictEqual(map.editingNode, 'a');
+  editInput().value = 'Renamed';
+  editInput().dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+  assert.strictEqual(map.findNodeById(map.treeData, 'a').name, 'Renamed');
+
+  press(map, ' ');
+  assert.strictEqual(map.findNodeById(map.treeData, 'a').collapsed, true);
+
+  press(map, 'Delete');
+  assert.strictEqual(map.findNodeById(map.treeData, 'a'), null);
+  assert.strictEqual(map.selectedNode, 'b');
+  map.destroy();
+});
+
+test('key bindings can be changed and disabled', () => {
+  const map = createMap({ data: tree, keyBindings: { rename: 'Mod+E', delete: null } });
+  map.selectNode('b');
+  press(map, 'F2');
+  assert.strictEqual(map.isEditing, false);
+  assert.strictEqual(press(map, 'Delete').defaultPrevented, false);
+  assert.ok(map.findNodeById(map.treeData, 'b'));
+
+  press(map, 'e', { ctrlKey: true });
+  assert.strictEqual(map.editingNode, 'b');
+  editInput().dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.strictEqual(map.isEditing, false);
+  map.destroy();
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap } = require('./helpers');
+
+const long = 'A long label that wraps onto more than one line';
+const data = {
+  id: 'root',
+  name: 'Project plan with a long root label',
+  children: [
+    { id: 'a', name: long, children: [{ id: 'a1', name: long }, { id: 'a2', name: 'Short' }, { id: 'a3', name: `${long}, and then some` }] },
+    { id: 'b', name: 'B', children: [{ id: 'b1', name: long, children: [{ id: 'b1x', name: long }] }] },
+    { id: 'c', name: `${long} ${long}` },
+    { id: 'd', name: 'Design\nBuild\nShip' }
+  ]
+};
+
+// The box a node's label is drawn in, following getLabelLayout()
+const labelRect = (map, node, pos) => {
+  const entry = map.getLayoutEntry();
+  const placement = pos.depth === 0 ? entry.rootLabel : entry.label;
+  const box = map.measureLabel(node, pos.depth);
+  const role = pos.depth === 0 ? 'root' : (node.children ? 'branch' : 'leaf');
+  const line = map.getLabelFont(role, node.style || {}).size * 1.2;
+  if (placement === 'below') {
+    const top = pos.y + box.offset - line / 2;
+    return { left: pos.x - box.width / 2, right: pos.x + box.width / 2, top, bottom: top + box.height };
+  }
+  const vertical = { top: pos.y - box.height / 2, bottom: pos.y + box.height / 2 };
+  if (placement === 'center') return { left: pos.x - box.width / 2, right: pos.x + box.width / 2, ...vertical };
+  const start = Math.cos(pos.angle) < 0 ? pos.x - box.offset - box.width : pos.x + box.offset;
+  return { left: start, right: start + box.width, ...vertical };
+};
+
+const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+
+for (const layout of ['tree', 'balanced', 'orgchart', 'outline']) {
+  test(`${layout} layout keeps label boxes apart`, () => {
+    const map = createMap({ data, layout });
+    const rects = [];
+    const visit = (node) => {
+      rects.push({ id: node.id, rect: labelRect(map, node, map.getNodePosition(node.id)) });
+      (node.children || []).forEach(visit);
+    };
+    visit(map.treeData);
+
+    for (let i = 0; i < rects.length; i++) {
+      for (let j = i + 1; j < rects.length; j++) {
+        assert.ok(!overlaps(rects[i].rect, rects[j].rect), `${rects[i].id} and ${rects[j].id} overlap`);
+      }
+    }
+    map.destroy();
+  });
+}
+
+const small = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    { id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }] },
+    { id: 'b', name: 'B' },
+    { id: 'c', name: 'C' },
+    { id: 'd', name: 'D' }
+  ]
+};
+
+const labelAnchor = (map, id) =>
+  map.svg.querySelector(`[data-node-id="${id}"] text.mindmap-label`).getAttribute('text-anchor');
+
+test('setLayout switches between the built-in arrangements', () => {
+  const map = createMap({ data: small, layout: 'tree' });
+  const pos = id => map.getNodePosition(id);
+
+  assert.ok(pos('a').x > pos('root').x && pos('a1').x > pos('a').x);
+  assert.strictEqual(labelAnchor(map, 'a1'), 'start');
+
+  map.setLayout('balanced');
+  const sides = ['a', 'b', 'c', 'd'].map(id => Math.sign(pos(id).x - pos('root').x));
+  assert.ok(sides.includes(1) && sides.includes(-1));
+  assert.strictEqual(labelAnchor(map, 'd'), 'end');
+
+  map.setLayout('orgchart');
+  assert.ok(pos('a').y > pos('root').y && pos('a1').y > pos('a').y);
+  assert.strictEqual(pos('a1').x, pos('a').x);
+
+  map.setLayout('outline');
+  const order = ['root', 'a', 'a1', 'b', 'c', 'd'].map(id => pos(id).y);
+  assert.deepStrictEqual(order, [...order].sort((x, y) => x - y));
+  assert.ok(pos('a1').x > pos('a').x && pos('a').x > pos('root').x);
+  map.destroy();
+});
+
+test('each layout draws its own link curve', () => {
+  const paths = {};
+  for (const layout of ['radial', 'tree', 'orgchart', 'outline']) {
+    const map = createMap({ data: small, layout });
+    paths[layout] = map.svg.querySelector('.mindmap-link').getAttribute('d');
+    map.destroy();
+  }
+  // Horizontal curves leave the parent sideways, vertical ones downwards
+  const [, x, y, , c1x, c1y] = paths.tree.split(' ').map(Number);
+  assert.ok(c1x > x && c1y === y);
+  const [, px, py, , cx, cy] = paths.orgchart.split(' ').map(Number);
+  assert.ok(cx === px && cy > py);
+  assert.match(paths.outline, /^M [\d.]+ [\d.]+ V [\d.]+ H [\d.]+$/);
+});
+
+test('registered layouts position the map without touching its data', () => {
+  const seen = [];
+  MindMap.registerLayout('line', (tree, options) => {
+    seen.push(JSON.stringify(tree));
+    const positions = {};
+    let index = 0;
+    const visit = (node, depth) => {
+      positions[node.id] = { x: 50 + index++ * 100, y: options.height / 2, depth };
+      MindMap.visibleChildren(node).forEach(child => visit(child, depth + 1));
+    };
+    visit(tree, 0);
+    return positions;
+  }, { link: 'straight', label: 'below' });
+
+  const map = createMap({ data: small, layout: 'line' });
+  try {
+    assert.deepStrictEqual(map.getNodePosition('a1'), { x: 250, y: 400, depth: 2 });
+    assert.strictEqual(map.getLayoutEntry().label, 'below');
+    assert.match(map.svg.querySelector('.mindmap-link').getAttribute('d'), /^M [\d.]+ [\d.]+ L [\d.]+ [\d.]+$/);
+
+    // Layouts get the data as given and leave nothing behind in it
+    assert.deepStrictEqual(JSON.parse(seen[seen.length - 1]), small);
+    const json = JSON.stringify(map.getData());
+    assert.deepStrictEqual(JSON.parse(json), small);
+  } finally {
+    map.destroy();
+    delete MindMap.layouts.line;
+  }
+});
+
+test('an unknown layout falls back to radial', () => {
+  const map = createMap({ data: small, layout: 'nope' });
+  assert.strictEqual(map.getLayoutEntry(), MindMap.layouts.radial);
+  map.destroy();
+});
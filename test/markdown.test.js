@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap } = require('./helpers');
+
+const names = tree => [tree.name, ...(tree.children || []).flatMap(names)];
+
+test('names survive a Markdown round trip', () => {
+  const tree = {
+    id: 'root',
+    name: '# Title #',
+    children: [
+      { id: 'a', name: '- not a bullet', children: [{ id: 'a1', name: '* star' }, { id: 'a2', name: '+ plus' }] },
+      { id: 'b', name: '1. first' },
+      { id: 'c', name: '2) second' },
+      { id: 'd', name: 'two\nlines' },
+      { id: 'e', name: '' },
+      { id: 'f', name: '> quote' },
+      { id: 'g', name: '```' },
+      { id: 'h', name: '---' },
+      { id: 'i', name: 'C:\\path\\*.md' },
+      { id: 'j', name: 'literal <br> tag' },
+      { id: 'k', name: 'C #' },
+      { id: 'l', name: '  padded\t' },
+      { id: 'm', name: ' ' },
+      { id: 'n', name: '`code` and *stars* and _under_' },
+      { id: 'o', name: '[text](https://example.com) ~~struck~~' },
+      { id: 'p', name: 'Q&amp;A &#32; AT&T' }
+    ]
+  };
+  const parsed = MindMap.parseMarkdown(MindMap.toMarkdown(tree));
+  assert.deepStrictEqual(names(parsed), names(tree));
+  assert.strictEqual(parsed.children[0].children.length, 2);
+});
+
+test('escaped Markdown reads naturally', () => {
+  const markdown = MindMap.toMarkdown({
+    id: 'root',
+    name: 'Root',
+    children: [{ id: 'a', name: '# tag' }, { id: 'b', name: 'line\nbreak' }, { id: 'c', name: '' }]
+  });
+  assert.strictEqual(markdown, '# Root\n\n- \\# tag\n- line<br>break\n-\n');
+});
+
+test('inline Markdown in names is escaped on export', () => {
+  const markdown = MindMap.toMarkdown({
+    id: 'root',
+    name: ' Root ',
+    children: [{ id: 'a', name: '[text](url)' }, { id: 'b', name: '`code`' }]
+  });
+  assert.strictEqual(markdown, '# &#32;Root&#32;\n\n- \\[text\\](url)\n- \\`code\\`\n');
+});
+
+test('pasted outlines never reuse an ID already in the map', () => {
+  const map = createMap({ data: { id: 'root', name: 'Root' } });
+  const next = map.nodeIdCounter;
+  map.setData({
+    id: 'root',
+    name: 'Root',
+    children: [{ id: `node_${next + 1}`, name: 'Taken' }, { id: `node_${next + 2}`, name: 'Taken too' }]
+  });
+  assert.strictEqual(map.pasteText('root', 'One\n  Two'), true);
+
+  const ids = [];
+  const collect = node => { ids.push(node.id); (node.children || []).forEach(collect); };
+  collect(map.getData());
+  assert.strictEqual(ids.length, 5);
+  assert.strictEqual(new Set(ids).size, 5);
+  map.destroy();
+});
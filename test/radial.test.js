@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap } = require('./helpers');
+
+// Far more labels than fit around the first ring
+const data = {
+  id: 'root',
+  name: 'Product launch',
+  children: [
+    ...Array.from({ length: 16 }, (_, i) => ({ id: `x${i}`, name: `Another fairly long topic ${i + 1}` })),
+    { id: 'big', name: 'Work packages', children: Array.from({ length: 12 }, (_, i) => ({ id: `w${i}`, name: `Work package number ${i + 1}` })) },
+    ...['Research', 'Budget planning', 'Hiring the team', 'Legal review'].map((name, i) => ({ id: `n${i}`, name }))
+  ]
+};
+
+// The box a radial label is drawn in, following getLabelLayout(): centred
+// on its anchor on the right, ending there on the left
+const labelRect = (map, node, pos) => {
+  const box = map.measureLabel(node, pos.depth);
+  const width = Math.min(box.width, pos.labelWidth || Infinity);
+  const x = pos.x + Math.cos(pos.angle) * box.offset;
+  const y = pos.y + Math.sin(pos.angle) * box.offset;
+  const left = pos.depth > 0 && Math.cos(pos.angle) < 0 ? x - width : x - width / 2;
+  return { id: node.id, left, right: left + width, top: y - box.height / 2, bottom: y + box.height / 2 };
+};
+
+const overlapping = (map) => {
+  const rects = [];
+  const visit = (node) => {
+    rects.push(labelRect(map, node, map.getNodePosition(node.id)));
+    (node.children || []).forEach(visit);
+  };
+  visit(map.treeData);
+  const pairs = [];
+  rects.forEach((a, i) => rects.slice(i + 1).forEach(b => {
+    if (a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom) pairs.push(`${a.id}/${b.id}`);
+  }));
+  return pairs;
+};
+
+const radius = (map, id) => {
+  const root = map.getNodePosition('root');
+  const pos = map.getNodePosition(id);
+  return Math.round(Math.hypot(pos.x - root.x, pos.y - root.y));
+};
+
+test('crowded radial labels are kept apart', () => {
+  const crowded = createMap({ data, avoidLabelOverlap: false });
+  assert.ok(overlapping(crowded).length > 0);
+  crowded.destroy();
+
+  const map = createMap({ data });
+  assert.deepStrictEqual(overlapping(map), []);
+  map.destroy();
+});
+
+test('rings move apart for labels, up to maxRadiusStep', () => {
+  const map = createMap({ data, radiusStep: 120 });
+  assert.strictEqual(radius(map, 'x0'), 240);
+  assert.strictEqual(radius(map, 'w0'), 480);
+
+  map.updateConfig({ maxRadiusStep: 180 });
+  assert.strictEqual(radius(map, 'x0'), 180);
+  assert.strictEqual(radius(map, 'w0'), 360);
+
+  map.updateConfig({ avoidLabelOverlap: false });
+  assert.strictEqual(radius(map, 'x0'), 120);
+  assert.strictEqual(radius(map, 'w0'), 240);
+  map.destroy();
+});
+
+test('a sparse map keeps its rings', () => {
+  const sparse = { id: 'root', name: 'Root', children: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }] };
+  const map = createMap({ data: sparse, radiusStep: 120 });
+  assert.strictEqual(radius(map, 'a'), 120);
+  assert.ok(!map.getNodePosition('a').labelWidth);
+  map.destroy();
+});
+
+test('labels that still do not fit are shortened, with the full name as tooltip', () => {
+  const map = createMap({ data });
+  const shortened = Object.keys(map.positions).filter(id => map.positions[id].labelWidth);
+  assert.ok(shortened.length > 0);
+
+  const node = map.findNodeById(map.treeData, shortened[0]);
+  const g = map.svg.querySelector(`[data-node-id="${node.id}"]`);
+  assert.match(g.querySelector('text.mindmap-label').textContent, /…$/);
+  assert.strictEqual(g.querySelector(':scope > title').textContent, node.name);
+  assert.strictEqual(g.getAttribute('aria-label'), node.name);
+  map.destroy();
+});
+
+test('rotated labels run along the radius', () => {
+  const map = createMap({ data, rotateLabels: true });
+  const pos = map.getNodePosition('x3');
+  const label = map.svg.querySelector('[data-node-id="x3"] text.mindmap-label');
+  const degrees = (pos.angle * 180 / Math.PI + 360) % 360;
+  const expected = degrees > 90 && degrees < 270 ? degrees - 180 : degrees;
+  const [, angle] = /^rotate\(([-\d.e]+),/.exec(label.getAttribute('transform'));
+  assert.ok(Math.abs(Number(angle) - expected) < 1e-6);
+  map.destroy();
+});
+
+test('radialLayout spreads by leaf count without a label measure', () => {
+  const positions = MindMap.radialLayout(data, { width: 800, height: 800, radiusStep: 100, avoidLabelOverlap: true });
+  assert.deepStrictEqual({ x: positions.root.x, y: positions.root.y }, { x: 400, y: 400 });
+  assert.ok(Math.abs(Math.hypot(positions.w0.x - 400, positions.w0.y - 400) - 200) < 1e-6);
+  assert.ok(Object.values(positions).every(pos => !('labelWidth' in pos)));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [{ id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }] }, { id: 'b', name: 'B' }]
+};
+
+const nodeEl = (map, id) => map.svg.querySelector(`[data-node-id="${id}"]`);
+const linkEl = (map, id) => map.svg.querySelector(`[data-link-id="${id}"]`);
+
+test('a rename updates only that node and keeps every element', () => {
+  const map = createMap({ data, layout: 'tree' });
+  const before = ['root', 'a', 'a1', 'b'].map(id => nodeEl(map, id));
+  const unchangedLabel = nodeEl(map, 'b').querySelector('text.mindmap-label');
+  const link = linkEl(map, 'a1');
+
+  map.renameNode('a1', 'Renamed');
+  assert.deepStrictEqual(['root', 'a', 'a1', 'b'].map(id => nodeEl(map, id)), before);
+  assert.strictEqual(nodeEl(map, 'b').querySelector('text.mindmap-label'), unchangedLabel);
+  assert.strictEqual(linkEl(map, 'a1'), link);
+  assert.strictEqual(nodeEl(map, 'a1').querySelector('text.mindmap-label').textContent, 'Renamed');
+  map.destroy();
+});
+
+test('added and deleted nodes gain and lose their elements', () => {
+  const map = createMap({ data });
+  const kept = nodeEl(map, 'a');
+  map.deleteNode('b');
+  assert.strictEqual(nodeEl(map, 'b'), null);
+  assert.strictEqual(linkEl(map, 'b'), null);
+
+  map.addChild('a', 'New');
+  const added = map.findNodeById(map.treeData, 'a').children[1];
+  assert.ok(nodeEl(map, added.id));
+  assert.ok(linkEl(map, added.id));
+  assert.strictEqual(nodeEl(map, 'a'), kept);
+  map.destroy();
+});
+
+test('keyboard focus survives a re-render', () => {
+  const map = createMap({ data });
+  map.selectNode('b');
+  map.focusNode('b');
+  assert.strictEqual(window.document.activeElement, nodeEl(map, 'b'));
+  map.renameNode('a', 'Changed');
+  assert.strictEqual(window.document.activeElement, nodeEl(map, 'b'));
+  map.destroy();
+});
+
+test('clicks inside a node are handled by the one listener on the SVG', () => {
+  const map = createMap({ data });
+  const clicked = [];
+  map.on('nodeClick', node => clicked.push(node.id));
+  nodeEl(map, 'a1').querySelector('text.mindmap-label').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  assert.deepStrictEqual(clicked, ['a1']);
+  assert.strictEqual(map.selectedNode, 'a1');
+  map.destroy();
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [{ id: 'a', name: 'Branch', children: [{ id: 'a1', name: 'Leaf' }] }]
+};
+
+const labelWeight = (svg, name) => {
+  const match = svg.match(new RegExp(`<text[^>]*font-weight="([^"]+)"[^>]*>${name}</text>`));
+  return match && match[1];
+};
+
+test('server-rendered labels use the same fonts as the live map', () => {
+  const svg = MindMap.renderToString(data);
+  const map = createMap({ data });
+  for (const [name, role] of [['Root', 'root'], ['Branch', 'branch'], ['Leaf', 'leaf']]) {
+    assert.strictEqual(labelWeight(svg, name), String(map.getLabelFont(role).weight));
+  }
+  map.destroy();
+});
+
+test('renderToString rejects a missing root', () => {
+  for (const missing of [null, undefined, 'map', []]) {
+    assert.throws(() => MindMap.renderToString(missing), /needs a root node object/);
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Project',
+  children: [
+    { id: 'design', name: 'Design', collapsed: true, children: [{ id: 'mockups', name: 'Mockups' }] },
+    { id: 'build', name: 'Build', children: [{ id: 'api', name: 'API design' }] },
+    { id: 'ship', name: 'Ship' }
+  ]
+};
+
+const classOf = (map, id) => map.svg.querySelector(`[data-node-id="${id}"]`).getAttribute('class');
+
+test('search highlights matches, dims the rest and expands collapsed ancestors', () => {
+  const map = createMap({ data });
+  const events = [];
+  map.on('search', (query, results) => events.push([query, results]));
+
+  assert.deepStrictEqual(map.search('mock'), ['mockups']);
+  assert.strictEqual(map.findNodeById(map.treeData, 'design').collapsed, undefined);
+  assert.match(classOf(map, 'mockups'), /\bsearch-match\b/);
+  assert.match(classOf(map, 'ship'), /\bsearch-dimmed\b/);
+
+  map.clearSearch();
+  assert.doesNotMatch(classOf(map, 'ship'), /search-/);
+  assert.deepStrictEqual(events, [['mock', ['mockups']], [null, []]]);
+  map.destroy();
+});
+
+test('search options: case sensitivity and regular expressions', () => {
+  const map = createMap({ data });
+  assert.deepStrictEqual(map.search('design'), ['design', 'api']);
+  assert.deepStrictEqual(map.search('design', { caseSensitive: true }), ['api']);
+  assert.deepStrictEqual(map.search('^(build|ship)$', { regex: true }), ['build', 'ship']);
+  assert.deepStrictEqual(map.search('(', { regex: true }), []);
+  assert.match(map.statusTextEl.textContent, /Invalid search pattern/);
+  map.destroy();
+});
+
+test('next and previous select each match and center the view on it', () => {
+  const map = createMap({ data, animationDuration: 0 });
+  map.search('design');
+
+  map.nextSearchResult();
+  assert.strictEqual(map.selectedNode, 'design');
+  const center = () => {
+    const view = map.getViewport();
+    return { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+  };
+  const pos = map.getNodePosition('design');
+  assert.deepStrictEqual(center(), { x: pos.x, y: pos.y });
+
+  map.nextSearchResult();
+  assert.strictEqual(map.selectedNode, 'api');
+  map.nextSearchResult();
+  assert.strictEqual(map.selectedNode, 'design');
+  map.previousSearchResult();
+  assert.strictEqual(map.selectedNode, 'api');
+  map.destroy();
+});
+
+test('the search box runs searches and steps through matches', () => {
+  const map = createMap({ data, showSearch: true, animationDuration: 0 });
+  const input = map.controlsEl.querySelector('.mindmap-search-input');
+  const count = map.controlsEl.querySelector('.mindmap-search-count');
+
+  input.value = 'design';
+  input.dispatchEvent(new window.Event('input'));
+  assert.strictEqual(count.textContent, '–/2');
+
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+  assert.strictEqual(count.textContent, '1/2');
+  assert.strictEqual(map.selectedNode, 'design');
+
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+  assert.strictEqual(map.searchQuery, null);
+  assert.strictEqual(count.textContent, '');
+  map.destroy();
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap, window } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    { id: 'a', name: 'A', children: [{ id: 'a1', name: 'A1' }, { id: 'a2', name: 'A2' }] },
+    { id: 'b', name: 'B', children: [{ id: 'b1', name: 'B1' }] },
+    { id: 'c', name: 'C' }
+  ]
+};
+
+const nodeEl = (map, id) => map.svg.querySelector(`[data-node-id="${id}"]`);
+const click = (map, id, init = {}) => nodeEl(map, id).querySelector('text.mindmap-label')
+  .dispatchEvent(new window.MouseEvent('click', { bubbles: true, ...init }));
+const childIds = (node) => (node.children || []).map(c => c.id);
+
+test('modifier clicks add to and remove from the selection', () => {
+  const map = createMap({ data });
+  const changes = [];
+  map.on('selectionChange', ids => changes.push(ids));
+
+  click(map, 'a');
+  click(map, 'b', { shiftKey: true });
+  click(map, 'c', { ctrlKey: true });
+  assert.deepStrictEqual(map.getSelection(), ['a', 'b', 'c']);
+  assert.strictEqual(map.getSelectedNode(), 'c');
+  assert.deepStrictEqual(['a', 'b', 'c'].map(id => nodeEl(map, id).classList.contains('selected')), [true, true, true]);
+
+  click(map, 'c', { metaKey: true });
+  assert.deepStrictEqual(map.getSelection(), ['a', 'b']);
+  assert.strictEqual(map.getSelectedNode(), 'b');
+  assert.strictEqual(nodeEl(map, 'c').getAttribute('aria-selected'), 'false');
+
+  click(map, 'a1');
+  assert.deepStrictEqual(map.getSelection(), ['a1']);
+  assert.deepStrictEqual(changes, [['a'], ['a', 'b'], ['a', 'b', 'c'], ['a', 'b'], ['a1']]);
+  map.destroy();
+});
+
+test('setSelection ignores unknown IDs and selectSubtree takes a whole branch', () => {
+  const map = createMap({ data });
+  map.setSelection(['a', 'missing', 'c', 'a'], 'a');
+  assert.deepStrictEqual(map.getSelection(), ['a', 'c']);
+  assert.strictEqual(map.getSelectedNode(), 'a');
+
+  map.selectSubtree('a');
+  assert.deepStrictEqual(map.getSelection(), ['a', 'a1', 'a2']);
+  map.destroy();
+});
+
+test('a modifier drag on the canvas selects the nodes inside it', () => {
+  const map = createMap({ data });
+  const { width, height } = map.config;
+  map.svg.getBoundingClientRect = () => ({ left: 0, top: 0, width, height });
+  const screen = (id) => ({
+    x: map.positions[id].x * map.zoom + map.offsetX,
+    y: map.positions[id].y * map.zoom + map.offsetY
+  });
+  const drag = (from, to, init) => {
+    const mouse = (type, point) => map.svg.dispatchEvent(new window.MouseEvent(type, { bubbles: true, button: 0, clientX: point.x, clientY: point.y, ...init }));
+    mouse('mousedown', from);
+    mouse('mousemove', to);
+    mouse('mouseup', to);
+  };
+  const around = (ids) => {
+    const points = ids.map(screen);
+    return [
+      { x: Math.min(...points.map(p => p.x)) - 1, y: Math.min(...points.map(p => p.y)) - 1 },
+      { x: Math.max(...points.map(p => p.x)) + 1, y: Math.max(...points.map(p => p.y)) + 1 }
+    ];
+  };
+
+  drag(...around(['a1', 'a2']), { shiftKey: true });
+  assert.deepStrictEqual(map.getSelection().sort(), ['a1', 'a2']);
+  assert.strictEqual(map.svg.querySelector('.mindmap-marquee'), null);
+
+  // Ctrl adds to the selection
+  drag(...around(['b1']), { ctrlKey: true });
+  assert.deepStrictEqual(map.getSelection().sort(), ['a1', 'a2', 'b1']);
+  map.destroy();
+});
+
+test('bulk delete, move, style and collapse are single undo steps', () => {
+  const map = createMap({ data });
+  map.setSelection(['a', 'a1', 'c']);
+  assert.strictEqual(map.deleteNodes(), true);
+  assert.deepStrictEqual(childIds(map.getData()), ['b']);
+  map.undo();
+  assert.deepStrictEqual(childIds(map.getData()), ['a', 'b', 'c']);
+
+  assert.strictEqual(map.moveNodes(['a2', 'c', 'b'], 'b'), true);
+  const moved = map.getData();
+  assert.deepStrictEqual(childIds(moved), ['a', 'b']);
+  assert.deepStrictEqual(childIds(moved.children[1]), ['b1', 'a2', 'c']);
+  map.undo();
+  assert.deepStrictEqual(childIds(map.getData().children[0]), ['a1', 'a2']);
+
+  map.setSelection(['a1', 'b1']);
+  assert.strictEqual(map.setNodesStyle(null, { fill: '#fee2e2' }), true);
+  assert.strictEqual(map.getData().children[1].children[0].style.fill, '#fee2e2');
+  map.undo();
+  assert.strictEqual(map.getData().children[0].children[0].style, undefined);
+  assert.strictEqual(map.getData().children[1].children[0].style, undefined);
+
+  assert.strictEqual(map.setNodesCollapsed(['a', 'b'], true), true);
+  assert.deepStrictEqual(map.getData().children.map(c => !!c.collapsed), [true, true, false]);
+  map.destroy();
+});
+
+test('Delete removes the whole selection and selects a surviving ancestor', () => {
+  const map = createMap({ data });
+  map.setSelection(['a1', 'a2']);
+  map.svg.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Delete', bubbles: true, cancelable: true }));
+  assert.deepStrictEqual(childIds(map.getData().children[0]), []);
+  assert.deepStrictEqual(map.getSelection(), ['a']);
+  map.destroy();
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap, createMap } = require('./helpers');
+
+const saved = { id: 'root', name: 'Saved', children: [{ id: 'a', name: 'A' }] };
+
+test('a failed load stops autosave until the map is saved explicitly', async () => {
+  const storage = MindMap.memoryAdapter();
+  await storage.save('map', saved);
+  const load = storage.load;
+  storage.load = async () => { throw new Error('disk unavailable'); };
+
+  const errors = [];
+  const map = createMap({ storage, storageKey: 'map', autosaveDelay: 0, onStorageError: (err, key) => errors.push([err.message, key]) });
+  await map.ready;
+  assert.deepStrictEqual(errors, [['disk unavailable', 'map']]);
+  assert.strictEqual(map.saveState, 'error');
+
+  map.addChild(map.treeData.id, 'Edit');
+  map.flushAutosave();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  storage.load = load;
+  assert.deepStrictEqual(await storage.load('map'), saved);
+  assert.strictEqual(map.saveState, 'error');
+
+  assert.strictEqual(await map.save(), true);
+  assert.strictEqual(map.saveState, 'saved');
+  assert.notDeepStrictEqual(await storage.load('map'), saved);
+  map.destroy();
+});
+
+test('the map is usable before the autosave is restored', async () => {
+  const storage = MindMap.memoryAdapter();
+  await storage.save('map', saved);
+  const map = createMap({ storage, storageKey: 'map', data: { id: 'start', name: 'Start' } });
+  assert.strictEqual(map.getData().name, 'Start');
+  assert.strictEqual(map.addChild('start', 'Early'), true);
+  await map.ready;
+  // The edit made while loading wins over the saved map
+  assert.strictEqual(map.getData().children[0].name, 'Early');
+  map.destroy();
+
+  const later = createMap({ storage, storageKey: 'map' });
+  await later.ready;
+  assert.strictEqual(later.getData().name, 'Start');
+  later.destroy();
+});
+
+test('invalid saved data is reported instead of rejecting ready', async () => {
+  const storage = MindMap.memoryAdapter();
+  await storage.save('map', { id: 'root', name: 42 });
+  const errors = [];
+  const map = createMap({ storage, storageKey: 'map', onInvalidData: 'throw' });
+  map.on('storageError', (err, key) => errors.push(key));
+  await map.ready;
+  assert.deepStrictEqual(errors, ['map']);
+  assert.strictEqual(map.saveState, 'error');
+  assert.strictEqual(map.getData().name, MindMap.sampleData.name);
+  map.destroy();
+});
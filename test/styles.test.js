@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMap } = require('./helpers');
+
+const data = {
+  id: 'root',
+  name: 'Root',
+  children: [
+    {
+      id: 'a',
+      name: 'A',
+      style: { fill: '#fde68a', stroke: '#d97706', shape: 'rounded', radius: 12, fontSize: 18, fontWeight: 400, icon: '⭐' },
+      children: [{ id: 'a1', name: 'A1' }]
+    },
+    { id: 'b', name: 'B', style: { shape: 'pill' } },
+    { id: 'c', name: 'C', style: { shape: 'none' } }
+  ]
+};
+
+const nodeEl = (map, id) => map.svg.querySelector(`[data-node-id="${id}"]`);
+const nodeFill = (map, id) => nodeEl(map, id).style.getPropertyValue('--mindmap-node-fill');
+
+test('node styles from the data are drawn', () => {
+  const map = createMap({ data });
+  const a = nodeEl(map, 'a');
+  assert.match(a.getAttribute('class'), /custom-fill/);
+  assert.strictEqual(nodeFill(map, 'a'), '#fde68a');
+  assert.strictEqual(a.querySelector('.mindmap-shape').tagName, 'rect');
+  assert.strictEqual(a.querySelector('.mindmap-shape').getAttribute('height'), '24');
+  assert.strictEqual(a.querySelector('.mindmap-icon').textContent, '⭐');
+  const label = a.querySelector('text.mindmap-label');
+  assert.strictEqual(label.style.fontSize, '18px');
+  assert.strictEqual(label.style.fontWeight, '400');
+
+  const pill = nodeEl(map, 'b').querySelector('.mindmap-shape');
+  assert.ok(Number(pill.getAttribute('width')) > Number(pill.getAttribute('height')));
+  assert.match(nodeEl(map, 'c').querySelector('.mindmap-shape').getAttribute('class'), /mindmap-shape-none/);
+  map.destroy();
+});
+
+test('nodeRadius sets the size of each role', () => {
+  const map = createMap({ data, nodeRadius: { root: 20, branch: 9, leaf: 5 } });
+  assert.strictEqual(nodeEl(map, 'root').querySelector('circle').getAttribute('r'), '20');
+  assert.strictEqual(nodeEl(map, 'a1').querySelector('circle').getAttribute('r'), '5');
+  map.destroy();
+});
+
+test('subtrees can inherit their branch color', () => {
+  const plain = createMap({ data });
+  assert.strictEqual(nodeFill(plain, 'a1'), '');
+  plain.destroy();
+
+  const inherited = createMap({ data, inheritBranchColors: true });
+  assert.strictEqual(nodeFill(inherited, 'a1'), '#fde68a');
+  assert.strictEqual(inherited.getData().children[0].children[0].style, undefined);
+  inherited.destroy();
+});
+
+test('setNodeStyle merges, removes with null and can be undone', () => {
+  const map = createMap({ data });
+  const styled = [];
+  map.on('nodeStyle', node => styled.push(node.id));
+
+  assert.strictEqual(map.setNodeStyle('a1', { fill: '#bbf7d0', text: '#14532d' }), true);
+  assert.strictEqual(map.setNodeStyle('a1', { text: null }), true);
+  assert.deepStrictEqual(map.getData().children[0].children[0].style, { fill: '#bbf7d0' });
+  assert.deepStrictEqual(styled, ['a1', 'a1']);
+
+  map.undo();
+  assert.strictEqual(map.getData().children[0].children[0].style, undefined);
+  map.destroy();
+});
+
+test('the context menu colors a node and resets it', () => {
+  const map = createMap({ data, colorPalette: [{ name: 'Mint', fill: '#bbf7d0', stroke: '#16a34a' }] });
+  map.showContextMenu(10, 10, 'a1');
+  map.contextMenu.querySelector('.mindmap-color-swatch[aria-label="Color Mint"]').click();
+  assert.deepStrictEqual(map.getData().children[0].children[0].style, { fill: '#bbf7d0', stroke: '#16a34a' });
+
+  map.showContextMenu(10, 10, 'a1');
+  const reset = [...map.contextMenu.querySelectorAll('[role="menuitem"]')].find(item => item.textContent === 'Reset Color');
+  reset.click();
+  assert.strictEqual(map.getData().children[0].children[0].style, undefined);
+  map.destroy();
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MindMap } = require('./helpers');
+
+test('character references are decoded, out-of-range ones kept as written', () => {
+  assert.strictEqual(MindMap.decodeXMLEntities('&#65;&#x1F600;&amp;'), 'A\u{1F600}&');
+  assert.strictEqual(MindMap.decodeXMLEntities('a &#x110000; b &#99999999;'), 'a &#x110000; b &#99999999;');
+});
+
+test('OPML and FreeMind imports survive out-of-range references', () => {
+  const opml = MindMap.parseOPML('<opml version="2.0"><body><outline text="Bad &#x110000; ref"/></body></opml>');
+  assert.strictEqual(opml.data.name, 'Bad &#x110000; ref');
+
+  const mm = MindMap.parseFreeMind('<map version="1.0.1"><node TEXT="Root &#1114112;"/></map>');
+  assert.strictEqual(mm.data.name, 'Root &#1114112;');
+});